@@ -76,12 +76,17 @@ function(exports, scene, scenegraph, node) {
 	 * by calling all assigned functions.
 	 * Reference to the affected node and parameters are
 	 * stored in the closure of the animation function.
+	 *
+	 * @parameter dTime time step in units of one frame of the animation loop, default is 1.
 	 */
-	function step() {
+	function step(dTime) {
+		if(dTime == undefined) {
+			dTime = 1;
+		}
 		var sceneChanged = false;
 		assignments.forEach(function(element, index, array) {
 			if(element.node.isVisible() && element.node.isAnimated()) {
-				var nodeChanged = element.animationFunction();
+				var nodeChanged = element.animationFunction(dTime);
 				sceneChanged |= nodeChanged;
 			}
 		});
@@ -97,6 +102,7 @@ function(exports, scene, scenegraph, node) {
 	 *
 	 * @returns an animation function that in turn returns,
 	 * if the node changed and the scene should be updated.
+	 * It is called with the time step dTime, see step().
 	 *
 	 * @parameters parameter is an object with: rotationSpeed:vec3.
 	 */
@@ -110,9 +116,10 @@ function(exports, scene, scenegraph, node) {
 		}
 		//console.log("rotate register node " + node.name + " rotationSpeed:" + rotationSpeed);
 
-		return function() {
-			// Assume dTime=1.
-			node.rotate(rotationSpeed);
+		return function(dTime) {
+			var rotation = [];
+			vec3.scale(rotationSpeed, dTime, rotation);
+			node.rotate(rotation);
 			return true;
 		}
 	}
@@ -126,7 +133,7 @@ function(exports, scene, scenegraph, node) {
 
 		// BEGIN exercise Move-Animation
 		
-		return function() {
+		return function(dTime) {
 
 			return true;
 		}
@@ -43,6 +43,8 @@ function(exports, layout, ui, scene, animation) {
 
 		// Create the scene.
 		scene.init();
+		// Changes in the scene restart the render loop.
+		scene.setUpdateCallback(requestUpdate);
 
 		// Initialize HTML layout and from there the GUI/UI with interaction.
 		// After layout is done the canvas exists in its final size.
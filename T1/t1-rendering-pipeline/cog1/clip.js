@@ -0,0 +1,342 @@
+/**
+ * Clipping of polygons and lines in homogeneous clip coordinates,
+ * i.e., after the projection and before the perspective division.
+ *
+ * A vertex is inside the view-frustum if -w <= x,y,z <= w.
+ * Polygons are clipped against all six planes with the
+ * Sutherland-Hodgman algorithm, lines with the same plane test,
+ * points are only culled, see clipPoint().
+ *
+ * New vertices are interpolated in clip coordinates and
+ * registered with the model, together with their interpolated
+ * eye-coordinates, vertex normal and texture coordinate.
+ *
+ * @namespace cog1
+ * @module clip
+ */
+define(["exports", "glMatrix"], function(exports) {
+    "use strict";
+
+	// Clip planes as coefficients for x,y,z,w.
+	// A vertex is inside the plane if the dot product is not negative.
+	// Order: left, right, bottom, top, near, far.
+	var planes = [
+		[1, 0, 0, 1],
+		[-1, 0, 0, 1],
+		[0, 1, 0, 1],
+		[0, -1, 0, 1],
+		[0, 0, 1, 1],
+		[0, 0, -1, 1]
+	];
+	// Bit mask of the planes that are used.
+	// The orthogonal projection maps the depth without clipping it, see scene.setProjection,
+	// thus near and far are skipped in this case.
+	var allPlanesMask = 63;
+	var xyPlanesMask = 15;
+	var activePlanesMask = allPlanesMask;
+
+	// Viewport transformation matrix, set in init.
+	var viewport;
+
+	// Number of polygons that had to be clipped in the current frame.
+	var clipcount = 0;
+
+	// Result of clipPolygon, reused to avoid object creation for every polygon.
+	var result = {
+		polygon : null,
+		textureCoord : null,
+		polygonTextureCoord : null
+	};
+
+	/**
+	 * @parameter _viewport is the viewport matrix from the scene.
+	 * It is kept as reference and may be changed later.
+	 */
+	function init(_viewport) {
+		viewport = _viewport;
+	}
+
+	/**
+	 * Near and far plane are only clipped if the projection has them.
+	 * @parameter clipNearFar default is true.
+	 */
+	function setClipNearFar(clipNearFar) {
+		activePlanesMask = (clipNearFar == false) ? xyPlanesMask : allPlanesMask;
+	}
+
+	/**
+	 * Called from the scene before each frame.
+	 */
+	function resetClipcount() {
+		clipcount = 0;
+	}
+
+	function getClipcount() {
+		return clipcount;
+	}
+
+	/**
+	 * Perform the perspective division and the viewport transformation.
+	 * The viewport maps the normalized depth z/w in [-1,1] to the value
+	 * for the z-buffer, see scene.setViewport(). Like x and y it is linear in screen space.
+	 * The fourth component is 1/w, which is linear in screen space
+	 * and used for perspective-correct interpolation in raster.
+	 *
+	 * @parameter clipVertex vec4 in clip coordinates.
+	 * @parameter dest array for screen coordinates x,y, depth and 1/w.
+	 * @returns dest.
+	 */
+	function toScreen(clipVertex, dest) {
+		var w = clipVertex[3];
+		var x = clipVertex[0] / w;
+		var y = clipVertex[1] / w;
+		var z = clipVertex[2] / w;
+		// See mat4.multiplyVec3 for indices, z does not influence x,y.
+		dest[0] = viewport[0] * x + viewport[4] * y + viewport[12];
+		dest[1] = viewport[1] * x + viewport[5] * y + viewport[13];
+		dest[2] = viewport[10] * z + viewport[14];
+		dest[3] = 1 / w;
+		return dest;
+	}
+
+	/**
+	 * @returns signed distance to the plane (not normalized).
+	 */
+	function planeDistance(plane, v) {
+		return plane[0] * v[0] + plane[1] * v[1] + plane[2] * v[2] + plane[3] * v[3];
+	}
+
+	/**
+	 * @returns bit mask of the active planes the vertex is outside of.
+	 */
+	function outcode(v) {
+		var code = 0;
+		for(var i = 0; i < 6; i++) {
+			if((activePlanesMask & (1 << i)) && planeDistance(planes[i], v) < 0) {
+				code |= (1 << i);
+			}
+		}
+		return code;
+	}
+
+	/**
+	 * Linear interpolation of arrays of any length.
+	 * Undefined input results in undefined.
+	 */
+	function lerp(a, b, t) {
+		if(a == undefined || b == undefined) {
+			return undefined;
+		}
+		var dest = [];
+		for(var i = 0; i < a.length; i++) {
+			dest[i] = a[i] + (b[i] - a[i]) * t;
+		}
+		return dest;
+	}
+
+	/**
+	 * Interpolate all attributes of a clip-vertex.
+	 * A clip-vertex is an object with:
+	 * index of the vertex in the model (-1 if new),
+	 * clip (vec4), eye (vec3), normal (vec3), uv (vec2 or undefined).
+	 */
+	function interpolateClipVertex(a, b, t) {
+		return {
+			index : -1,
+			clip : lerp(a.clip, b.clip, t),
+			eye : lerp(a.eye, b.eye, t),
+			normal : lerp(a.normal, b.normal, t),
+			uv : lerp(a.uv, b.uv, t)
+		};
+	}
+
+	/**
+	 * Sutherland-Hodgman: clip a closed polygon of clip-vertices against one plane.
+	 * @returns new array of clip-vertices.
+	 */
+	function clipAgainstPlane(input, plane) {
+		var output = [];
+		var len = input.length;
+		if(len == 0) {
+			return output;
+		}
+		var prev = input[len - 1];
+		var prevDist = planeDistance(plane, prev.clip);
+		for(var i = 0; i < len; i++) {
+			var curr = input[i];
+			var currDist = planeDistance(plane, curr.clip);
+			if(currDist >= 0) {
+				if(prevDist < 0) {
+					// Entering: add intersection first.
+					output.push(interpolateClipVertex(prev, curr, prevDist / (prevDist - currDist)));
+				}
+				output.push(curr);
+			} else if(prevDist >= 0) {
+				// Leaving: add only the intersection.
+				output.push(interpolateClipVertex(prev, curr, prevDist / (prevDist - currDist)));
+			}
+			prev = curr;
+			prevDist = currDist;
+		}
+		return output;
+	}
+
+	/**
+	 * Clip a polygon of a model against the view-frustum.
+	 * The model must have projected its vertices for the current frame.
+	 * New vertices are added to the model, see model.addClippedVertex().
+	 *
+	 * @parameter model the polygon belongs to.
+	 * @parameter polygon as 1D-array of vertex indices.
+	 * @parameter textureCoord, polygonTextureCoord as in data, may be undefined.
+	 *
+	 * @returns null if the polygon is completely outside, otherwise an object
+	 * with polygon, textureCoord and polygonTextureCoord to pass to raster.
+	 * The object is reused, thus do not keep a reference.
+	 */
+	function clipPolygon(model, polygon, textureCoord, polygonTextureCoord) {
+		var clipVertices = model.getClipVertices();
+
+		// Trivial accept and reject with the outcodes.
+		var codeOr = 0;
+		var codeAnd = allPlanesMask;
+		for(var v = 0; v < polygon.length; v++) {
+			var code = outcode(clipVertices[polygon[v]]);
+			codeOr |= code;
+			codeAnd &= code;
+		}
+		if(codeAnd != 0) {
+			return null;
+		}
+		result.polygon = polygon;
+		result.textureCoord = textureCoord;
+		result.polygonTextureCoord = polygonTextureCoord;
+		if(codeOr == 0) {
+			return result;
+		}
+
+		clipcount++;
+
+		// Assemble clip-vertices with all attributes to interpolate.
+		var eyeVertices = model.getTransformedVertices();
+		var vertexNormals = model.getTransformedVertexNormals();
+		var hasTexture = textureCoord && polygonTextureCoord;
+		var clipPolygon = [];
+		for(var v = 0; v < polygon.length; v++) {
+			var index = polygon[v];
+			clipPolygon.push({
+				index : index,
+				clip : clipVertices[index],
+				eye : eyeVertices[index],
+				normal : vertexNormals[index],
+				uv : hasTexture ? textureCoord[polygonTextureCoord[v]] : undefined
+			});
+		}
+
+		// Clip against all active planes the polygon crosses.
+		for(var i = 0; i < 6; i++) {
+			if(codeOr & (1 << i)) {
+				clipPolygon = clipAgainstPlane(clipPolygon, planes[i]);
+			}
+		}
+		if(clipPolygon.length < 3) {
+			return null;
+		}
+
+		// Register new vertices with the model.
+		result.polygon = [];
+		result.textureCoord = hasTexture ? [] : textureCoord;
+		result.polygonTextureCoord = hasTexture ? [] : polygonTextureCoord;
+		for(var v = 0; v < clipPolygon.length; v++) {
+			var cv = clipPolygon[v];
+			if(cv.index == -1) {
+				if(cv.normal) {
+					vec3.normalize(cv.normal);
+				}
+				cv.index = model.addClippedVertex(cv.clip, cv.eye, cv.normal);
+			}
+			result.polygon.push(cv.index);
+			if(hasTexture) {
+				result.textureCoord.push(cv.uv);
+				result.polygonTextureCoord.push(v);
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Clip a line in clip coordinates against the view-frustum.
+	 * Start and end points are modified in place.
+	 *
+	 * @parameter clipStart, clipEnd vec4 in clip coordinates.
+	 * @parameter eyeStart, eyeEnd vec3 in eye coordinates, interpolated as well.
+	 * @returns false if the line is completely outside.
+	 */
+	function clipLine(clipStart, clipEnd, eyeStart, eyeEnd) {
+		var codeStart = outcode(clipStart);
+		var codeEnd = outcode(clipEnd);
+		if(codeStart & codeEnd) {
+			return false;
+		}
+		if((codeStart | codeEnd) == 0) {
+			return true;
+		}
+		// Parametric clipping of the interval [tStart, tEnd].
+		var tStart = 0;
+		var tEnd = 1;
+		for(var i = 0; i < 6; i++) {
+			if(!(activePlanesMask & (1 << i))) {
+				continue;
+			}
+			var dStart = planeDistance(planes[i], clipStart);
+			var dEnd = planeDistance(planes[i], clipEnd);
+			if(dStart < 0 && dEnd < 0) {
+				return false;
+			}
+			if(dStart < 0) {
+				tStart = Math.max(tStart, dStart / (dStart - dEnd));
+			} else if(dEnd < 0) {
+				tEnd = Math.min(tEnd, dStart / (dStart - dEnd));
+			}
+		}
+		if(tStart > tEnd) {
+			return false;
+		}
+		var newClipStart = lerp(clipStart, clipEnd, tStart);
+		var newClipEnd = lerp(clipStart, clipEnd, tEnd);
+		var newEyeStart = lerp(eyeStart, eyeEnd, tStart);
+		var newEyeEnd = lerp(eyeStart, eyeEnd, tEnd);
+		for(var i = 0; i < 4; i++) {
+			clipStart[i] = newClipStart[i];
+			clipEnd[i] = newClipEnd[i];
+		}
+		for(var i = 0; i < 3; i++) {
+			eyeStart[i] = newEyeStart[i];
+			eyeEnd[i] = newEyeEnd[i];
+		}
+		return true;
+	}
+
+	/**
+	 * Points are not clipped but culled, against the active near and far plane only,
+	 * as the sprite of a point just outside a side may still cover pixels
+	 * (it is cut off in the rasterizer).
+	 *
+	 * @parameter clipVertex vec4 in clip coordinates.
+	 * @returns true if the point is to be drawn.
+	 */
+	function clipPoint(clipVertex) {
+		var nearFarPlanesMask = (1 << 4) | (1 << 5);
+		return (outcode(clipVertex) & nearFarPlanesMask) == 0;
+	}
+
+	// Public API.
+	exports.init = init;
+	exports.setClipNearFar = setClipNearFar;
+	exports.resetClipcount = resetClipcount;
+	exports.getClipcount = getClipcount;
+	exports.toScreen = toScreen;
+	exports.clipPolygon = clipPolygon;
+	exports.clipLine = clipLine;
+	exports.clipPoint = clipPoint;
+});
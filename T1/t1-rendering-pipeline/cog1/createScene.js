@@ -50,6 +50,8 @@ function(exports, scenegraph, animation) {
 		//
 		// var emptyNode1 = scenegraph.createNodeWithModel("empty", "empty");
 		//
+		// var particlesNode = scenegraph.createNodeWithModel("particles", "particles", {count:500, scale:150, pointSize:12});
+		//
 
         // BEGIN exercise Scenegraph
 
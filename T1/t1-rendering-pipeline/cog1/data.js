@@ -104,6 +104,17 @@ define(["exports", "data", "glMatrix"], function(data, exports) {
 	// There is only one texture per model.
 	var textureURL = "";
 
+	// A model without polygons is rendered as points (particles),
+	// one screen-aligned sprite for each vertex, see raster.drawPoint().
+	// The sprite shows the texture of the model, or it is a shaded disc.
+	// Color for each point (with the index of the vertex) as index in color array.
+	// If not given, all points have the first color.
+	var pointColors = [];
+
+	// Diameter of the points in eye coordinates,
+	// the perspective projection attenuates it with the depth.
+	var pointSize = 10;
+
 	/////////////////////////////////////////////////////////////////
 	// Variable that do not refer to the model-data.
 	/////////////////////////////////////////////////////////////////
@@ -558,4 +569,6 @@ define(["exports", "data", "glMatrix"], function(data, exports) {
 	exports.polygonNormals = polygonNormals;
 	exports.polygonTextureCoord = polygonTextureCoord;
 	exports.textureURL = textureURL;
+	exports.pointColors = pointColors;
+	exports.pointSize = pointSize;
 });
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * Fog and depth cueing.
+ *
+ * Pixels fade into the fog color with their distance from the camera.
+ * The framebuffer blends the pixels of the dirty regions in a pass over the z-buffer,
+ * after the samples are resolved, the G-buffer is shaded and the HDR colors are tone mapped,
+ * see framebuffer.display(). Thus the fog color is displayed as given, as the background is.
+ * Thus wireframe edges and normals, which write their depth, are dimmed as the polygons (depth cueing).
+ * The background has no depth and is not fogged, a matching fog color hides the far surfaces in it.
+ *
+ * The distance is linear in eye coordinates, from 0 at the near to 1 at the far plane.
+ *
+ * @namespace cog1
+ * @module fog
+ */
+define(["exports"], function(exports) {
+	"use strict";
+
+	// Falloff of the visibility with the distance, "off" disables the fog.
+	var modeNames = ["off", "linear", "exp", "exp2"];
+	var modeName = "off";
+	// Fog colors to choose from as rgb.
+	var colors = {
+		white : [255, 255, 255],
+		grey : [128, 128, 128],
+		black : [0, 0, 0],
+		sky : [170, 195, 225]
+	};
+	var color = colors.white;
+	// Distance where the fog starts, for all modes.
+	var start = 0.4;
+	// Distance where the linear fog hides everything.
+	var end = 0.8;
+	// Density of the exponential fog, per distance behind the start.
+	var density = 4;
+
+	/**
+	 * @parameter distance from 0 at the near to 1 at the far plane.
+	 * @returns visibility in [0,1], the weight of the color of the pixel against the fog color.
+	 */
+	function visibility(distance) {
+		var d = Math.max(0, distance - start);
+		switch(modeName) {
+			case "linear":
+				if(end <= start) {
+					return d > 0 ? 0 : 1;
+				}
+				return Math.max(0, 1 - d / (end - start));
+			case "exp":
+				return Math.exp(-density * d);
+			case "exp2":
+				d *= density;
+				return Math.exp(-d * d);
+			default:
+				return 1;
+		}
+	}
+
+	function isEnabled() {
+		return modeName != "off";
+	}
+
+	/**
+	 * @parameter name one of modeNames.
+	 */
+	function setModeName(name) {
+		modeName = name;
+	}
+
+	function getModeName() {
+		return modeName;
+	}
+
+	/**
+	 * @parameter _color rgb in [0,255] or the name of one of the colors.
+	 */
+	function setColor(_color) {
+		color = colors[_color] || _color;
+	}
+
+	function getColor() {
+		return color;
+	}
+
+	/**
+	 * @returns names of the predefined colors.
+	 */
+	function getColorNames() {
+		return Object.keys(colors);
+	}
+
+	/**
+	 * @returns name of the current color or undefined for a custom color.
+	 */
+	function getColorName() {
+		return getColorNames().filter(function(name) {
+			return colors[name] == color;
+		})[0];
+	}
+
+	function setStart(_start) {
+		start = _start;
+	}
+
+	function getStart() {
+		return start;
+	}
+
+	function setEnd(_end) {
+		end = _end;
+	}
+
+	function getEnd() {
+		return end;
+	}
+
+	function setDensity(_density) {
+		density = _density;
+	}
+
+	function getDensity() {
+		return density;
+	}
+
+	// Public API.
+	exports.modeNames = modeNames;
+	exports.visibility = visibility;
+	exports.isEnabled = isEnabled;
+	exports.setModeName = setModeName;
+	exports.getModeName = getModeName;
+	exports.setColor = setColor;
+	exports.getColor = getColor;
+	exports.getColorNames = getColorNames;
+	exports.getColorName = getColorName;
+	exports.setStart = setStart;
+	exports.getStart = getStart;
+	exports.setEnd = setEnd;
+	exports.getEnd = getEnd;
+	exports.setDensity = setDensity;
+	exports.getDensity = getDensity;
+});
@@ -9,15 +9,157 @@
  * @namespace cog1
  * @module framebuffer
  */
-define(["exports", "scene"], function(exports, scene) {
+define(["exports", "shader", "postprocess", "fog", "ssao"], function(exports, shader, postprocess, fog, ssao) {
     "use strict";
 
 	// Drawing context for canvas.
 	var ctx;
-	// Width and Height of the ctx for fast access.
+	// Width and Height of the buffers for fast access.
+	// This is the size of the ctx times the supersampling factor.
 	var width;
 	var height;
 
+	// Supersampling anti-aliasing (SSAA):
+	// Number of samples per canvas pixel in x and in y.
+	var supersampling = 1;
+	// Size of the canvas.
+	var canvasWidth;
+	var canvasHeight;
+	// Filter to downsample the buffer onto the canvas.
+	var downsamplingFilterNames = ["box", "tent"];
+	var downsamplingFilterName = "box";
+	// Time in ms used for downsampling in the last frame.
+	var downsamplingTime = 0;
+
+	// High dynamic range (HDR):
+	// The color buffer stores floats, unclamped in the range of bytes, e.g.,
+	// 510 for a color lit twice as bright as its base color.
+	// The tone mapping maps them to bytes in imageData for display, see toneMapRegion().
+	var hdr = false;
+	var toneMappingNames = ["clamp", "reinhard", "aces"];
+	var toneMappingName = "reinhard";
+	// Factor applied to the colors before the tone mapping.
+	var exposure = 1;
+	// Time in ms used for tone mapping in the last frame.
+	var toneMappingTime = 0;
+	// Time in ms used for the fog in the last frame, see fogRegion().
+	var fogTime = 0;
+
+	// Multisample anti-aliasing (MSAA):
+	// Number of coverage and depth samples per pixel, the color is shaded once per pixel.
+	var multisampling = 1;
+	var multisamplingCounts = [1, 2, 4];
+	// Sample positions inside a pixel, relative to its upper left corner (rotated grid).
+	var samplePositions = {
+		1 : [[0.5, 0.5]],
+		2 : [[0.25, 0.25], [0.75, 0.75]],
+		4 : [[0.375, 0.125], [0.875, 0.375], [0.125, 0.625], [0.625, 0.875]]
+	};
+	// Bit mask with all samples of a pixel set.
+	var fullSampleMask = 1;
+	// Color (rgba) and depth for each sample, the samples of a pixel are stored together.
+	var sampleBuffer;
+	var sampleZBuf;
+	// Samples that passed the last zBufferTest(), used by set() without z-buffer test.
+	var lastSampleMask = 1;
+	// Time in ms used to resolve the samples in the last frame.
+	var resolveTime = 0;
+
+	// Transparency: opacity of the current node, multiplied with the alpha of the color.
+	var opacity = 1;
+	// A-buffer for order-independent transparency.
+	// Transparent fragments are collected in a linked list per pixel
+	// and composited back to front in display().
+	// Opaque fragments use the z-buffer as before.
+	// Index of the first fragment for each pixel, -1 if there is none.
+	var fragmentHead;
+	// Fragment data, the index is the fragment.
+	var fragmentNext = [];
+	var fragmentZ = [];
+	// Four entries per fragment: rgb and alpha in [0,1].
+	var fragmentRGBA = [];
+	// Pixels with fragments, to composite and reset only these.
+	var fragmentPixels = [];
+	// Depth that the last z-buffer test replaced, restored if the fragment is transparent.
+	var replacedZ;
+	var replacedSampleZ = [];
+
+	// Stencil buffer with one unsigned byte per pixel, cleared to 0 with each frame.
+	// The stencil test is done before the z-buffer test in zBufferTest(),
+	// depending on the results one of the stencil operations is applied, see setStencil().
+	var stencilBuf;
+	// Compare functions: the reference value (masked) is compared with the stored value (masked),
+	// e.g., "less" passes if ref & mask < stencil & mask.
+	var stencilFunctionNames = ["always", "never", "less", "lequal", "greater", "gequal", "equal", "notequal"];
+	// Operations on the stored value: keep it, replace it with the reference value,
+	// increment it (clamped to 255) or invert its bits.
+	var stencilOperationNames = ["keep", "replace", "increment", "invert"];
+	// Default settings, also for missing fields in setStencil().
+	var defaultStencil = {
+		func : "always",
+		ref : 0,
+		mask : 255,
+		// Operations if the stencil test fails,
+		// if it passes but the z-buffer test fails, and if both pass.
+		fail : "keep",
+		zFail : "keep",
+		zPass : "keep",
+		// Only update the stencil buffer, neither color nor depth, e.g., to set up a mask.
+		stencilOnly : false
+	};
+	// Current settings, the test is skipped if not enabled.
+	var stencil = {};
+	var stencilEnabled = false;
+	// A pixel may be set more than once by a primitive (polygon or outline),
+	// e.g., the scanline fill sets the edges first.
+	// The test uses the value before the primitive and the operation is applied once,
+	// see beginPrimitive(). For each pixel the primitive that last changed it
+	// and the value before.
+	var stencilPrimitive = 1;
+	var stencilStamp;
+	var stencilBefore;
+
+	// Deferred shading: the rasterizer writes the base color into the color buffer
+	// and the data for the light calculation into the G-buffer.
+	// The light is calculated in a second pass once for each visible pixel, see shadeGBuffer(),
+	// instead of for each fragment, including those that are hidden later.
+	var deferredShading = false;
+	// G-buffer with normal and position (vec3 in eye coordinates) and
+	// texture coordinates (uv) for each pixel. Depth is in the z-buffer.
+	var gBufferNormal;
+	var gBufferPosition;
+	var gBufferUV;
+	// 1 if the pixel was set by a polygon with G-buffer data, 0 for background or lines,
+	// which are not shaded.
+	var gBufferWritten;
+	// G-buffer data for the next fragment set(), see setGBufferFragment().
+	var gBufferFragment = {
+		pending : false,
+		normal : [],
+		position : [],
+		uv : []
+	};
+	// Object-ID buffer for picking, two entries per pixel:
+	// the index of the node, see setObjectId(), and the index of the polygon
+	// of the last opaque fragment, -1 for the background.
+	// Transparent fragments and the blended fringes of lines are not recorded.
+	var idBuffer;
+	// Index of the node of the following fragments, -1 for none.
+	var objectId = -1;
+
+	// Distance from the camera of each pixel, Infinity for the background,
+	// input of the ambient occlusion, see computeAmbientOcclusion().
+	var eyeDistanceBuffer = null;
+	// Statistics of the last frame:
+	// Opaque fragments written into the G-buffer, which forward shading would have shaded,
+	// and pixels shaded by the deferred pass.
+	var gBufferStats = {
+		fragments : 0,
+		shadedPixels : 0,
+		// Time in ms of the deferred shading pass.
+		time : 0
+	};
+
 	// We remember the size of the buffers for speedup.
 	// Bytes (assuming one byte per channel) in a frame.
 	var bufSize;
@@ -27,8 +169,21 @@ define(["exports", "scene"], function(exports, scene) {
 	// Thus we use a 1D buffer as storage.
 	// We assume that the dimension of the canvas pixel match the CSS pixel.
 	var imageData;
-	// The data reference of the buffer (imageData.data).
+	// The color buffer, the data reference of imageData.data,
+	// or a Float32Array of the same size for HDR.
 	var framebuffer;
+	// ImageData with the size of canvas, for supersampling.
+	// Otherwise this is the same as imageData.
+	var displayImageData;
+	// Result of the post-processing in the size of imageData, see module postprocess.
+	// The effects do not modify the buffer, as only the dirty regions are reset.
+	var postImageData = null;
+	// The displayed frame is post-processed, see displayPostProcessed().
+	var postProcessed = false;
+	// Debug views displayed instead of the frame, set from the scene:
+	// the scaled z-buffer and the ambient occlusion, see display().
+	var debugZBuffer = false;
+	var debugAmbientOcclusion = false;
 
 	// Z-Buffer, with size number of pixels.
 	// Stores z-coordinate as floats.
@@ -36,37 +191,99 @@ define(["exports", "scene"], function(exports, scene) {
 	//  Float 32 bit View on zBuffer (with ArrayBuffer).
 	var zBuf;
 
+	// Tile-based rendering, see beginTile().
+	// While a tile is active zBuf is the tile-local z-buffer with its
+	// upper left pixel at zBufX, zBufY and a width of zBufWidth,
+	// otherwise it is the z-buffer of the frame.
+	var frameZBuf;
+	var tileZBuf = null;
+	var zBufX = 0;
+	var zBufY = 0;
+	var zBufWidth;
+	var tileHeight;
+	// Depth-only rendering into another z-buffer, e.g., a shadow map, see beginDepthTarget().
+	// Only the z-buffer test is done and no color is written.
+	var depthTarget = false;
+	var depthTargetDirtyRect = null;
+
 	// Buffer (of type DataView with Arraybuffer) for fast reset.
 	// Reset buffer are filled with the background color
 	// an copied to buf for reset.
 	var resetBuffer32;
 	var resetZBuffer;
 
-	// For z buffer. Camera look in -z direction.
+	// For z buffer. Larger values are closer, see scene.setViewport().
+	// The z-buffer is cleared to maxDistance, which is farther than any depth.
 	var maxDistance = -10000;
+	// Mapping of the depth in the z-buffer, set by the scene with the projection:
+	// near and far plane (distances along -z), perspective or orthogonal projection,
+	// reversed-z (near at 1, far at 0) or standard (near at 0, far at 1, stored negated).
+	var depthMapping = {
+		near : 1,
+		far : 1000,
+		perspective : false,
+		reversedZ : false
+	};
+	// Buffer pixels per unit in eye coordinates, for the perspective projection at distance 1,
+	// set by the scene with the viewport, see setPixelsPerEyeUnit().
+	var pixelsPerEyeUnit = 1;
+	// Fragments at most this closer than the stored depth fail the z-buffer test and
+	// at most this farther pass, i.e., a positive value resolves z-fights for later fragments,
+	// a negative one for earlier fragments. The depth is normalized to [0,1] by the projection.
+	var depthEpsilon = 0;
+	// Polygon offset: the depth of the fragments of a primitive is moved before the z-buffer test
+	// by factor times the depth slope of its polygon plus units times depthUnit,
+	// positive values towards the camera, see beginPolygonOffset().
+	// The offset of the current node or decal, null for the default offset.
+	var polygonOffset = null;
+	var defaultPolygonOffset = {
+		factor : 0,
+		units : 0
+	};
+	// Added for the strokes of polygons, i.e., the edges, to stay on top of the fill.
+	var edgeOffset = {
+		factor : 1,
+		units : 1
+	};
+	// Smallest depth difference that is resolved reliably by the interpolation.
+	var depthUnit = 0.00001;
+	// Slopes of polygons almost perpendicular to the screen are clamped to this.
+	var maxDepthSlope = 0.01;
+	// Offset of the current primitive.
+	var depthOffset = 0;
 	// Background color rgb
 	var bgColor = [255, 255, 255, 255];
 	// "white";
 
 	// Rectangle with region of modified pixel.
-	// We only repazBuf[i] the dirty rectangle.
+	// It grows with the pixels set until it is closed into the dirty regions, see closeDirtyRegion().
 	var dirtyRect = {
 		x : undefined,
 		y : undefined,
 		xMax : undefined,
-		yMax : undefined,
-		width : undefined,
-		height : undefined
+		yMax : undefined
 	};
+	// Disjoint rectangles with x, y, xMax, yMax of the pixels modified in the frame.
+	// We only reset and repaint the dirty regions, thus two small models
+	// in opposite corners do not cost the pixels between them.
+	var dirtyRegions = [];
+	// Beyond this number regions are merged, even if they do not overlap.
+	var maxDirtyRegions = 32;
 
 	/**
 	 * @parameter _ctx is a 2D context of the canvas.
 	 * @parameter _bgColor is an rgb array.
+	 * @parameter _supersampling factor, default is 1, i.e., no supersampling.
+	 * @parameter _multisampling samples per pixel, default is 1, i.e., no multisampling.
 	 */
-	function init(_ctx, _bgColor) {
+	function init(_ctx, _bgColor, _supersampling, _multisampling) {
 		ctx = _ctx;
-		width = ctx.width;
-		height = ctx.height;
+		supersampling = _supersampling || 1;
+		multisampling = _multisampling || 1;
+		canvasWidth = ctx.width;
+		canvasHeight = ctx.height;
+		width = canvasWidth * supersampling;
+		height = canvasHeight * supersampling;
 		// Calculate size for rgba pixel.
 		bufSize = width * height * 4;
 
@@ -82,18 +299,40 @@ define(["exports", "scene"], function(exports, scene) {
 
 		// Initialize the frame-buffer.
 		// console.log("framebuffer: " + width + " " + .height);
-		imageData = ctx.getImageData(0, 0, width, height);
-		framebuffer = imageData.data;
-		if((width != imageData.width) || (height != imageData.height)) {
+		displayImageData = ctx.getImageData(0, 0, canvasWidth, canvasHeight);
+		if((canvasWidth != displayImageData.width) || (canvasHeight != displayImageData.height)) {
 			console.log("WARNING: Dimension of the canvas pixel match the CSS pixel.");
 		}
+		if(supersampling == 1) {
+			imageData = displayImageData;
+		} else {
+			imageData = ctx.createImageData(width, height);
+		}
 		// Initialize the zBuffer.
 		zBufSize = width * height;
 		zBuf = new Float32Array(zBufSize);
+		frameZBuf = zBuf;
+		zBufX = 0;
+		zBufY = 0;
+		zBufWidth = width;
 
 		initResetBuffer();
+		initColorBuffer();
+		initSampleBuffer();
+		fragmentHead = new Int32Array(zBufSize).fill(-1);
+		resetFragments();
+		initGBuffer();
+		stencilBuf = new Uint8Array(zBufSize);
+		idBuffer = new Int32Array(zBufSize * 2).fill(-1);
+		stencilStamp = new Uint32Array(zBufSize);
+		stencilBefore = new Uint8Array(zBufSize);
+
+		// The canvas is new or cleared.
+		postProcessed = false;
 
 		// Reset to initialize framebuffer and z-buffer.
+		// The regions of the last frame refer to the old buffers, which may have been larger.
+		dirtyRegions = [];
 		setMaxDirtyRect();
 		reset();
 	}
@@ -117,14 +356,101 @@ define(["exports", "scene"], function(exports, scene) {
 		}
 	}
 
+	/**
+	 * Use imageData as color buffer or allocate a float buffer for HDR.
+	 * The float buffer is initialized to the bgColor, as reset() only resets the dirty regions.
+	 */
+	function initColorBuffer() {
+		if(!hdr) {
+			framebuffer = imageData.data;
+			return;
+		}
+		framebuffer = Float32Array.from(new Uint8ClampedArray(resetBuffer32.buffer));
+	}
+
+	/**
+	 * Allocate the G-buffer if deferred shading is on.
+	 */
+	function initGBuffer() {
+		if(!deferredShading || zBufSize == undefined) {
+			gBufferWritten = null;
+			return;
+		}
+		gBufferNormal = new Float32Array(zBufSize * 3);
+		gBufferPosition = new Float32Array(zBufSize * 3);
+		gBufferUV = new Float32Array(zBufSize * 2);
+		// Initialize, as reset() only resets the dirty regions.
+		gBufferWritten = new Uint8Array(zBufSize);
+	}
+
+	/**
+	 * Allocate color and depth for all samples of all pixels for multisampling.
+	 */
+	function initSampleBuffer() {
+		fullSampleMask = (1 << multisampling) - 1;
+		lastSampleMask = fullSampleMask;
+		if(multisampling == 1) {
+			sampleBuffer = null;
+			sampleZBuf = null;
+			return;
+		}
+		if(hdr) {
+			sampleBuffer = new Float32Array(zBufSize * multisampling * 4);
+		} else {
+			sampleBuffer = new Uint8ClampedArray(zBufSize * multisampling * 4);
+		}
+		sampleZBuf = new Float32Array(zBufSize * multisampling);
+		// Initialize, as reset() only resets the dirty regions.
+		resetSamples(0, zBufSize);
+	}
+
+	/**
+	 * Reset the samples of a range of pixels to the background color and maxDistance.
+	 * @parameter start, end index of pixels, end excluded.
+	 */
+	function resetSamples(start, end) {
+		var sampleStart = start * multisampling;
+		var sampleEnd = end * multisampling;
+		sampleZBuf.fill(maxDistance, sampleStart, sampleEnd);
+		if(!hdr) {
+			new Uint32Array(sampleBuffer.buffer).fill(resetBuffer32[0], sampleStart, sampleEnd);
+			return;
+		}
+		for(var i = sampleStart * 4; i < sampleEnd * 4; i += 4) {
+			sampleBuffer[i] = bgColor[0];
+			sampleBuffer[i + 1] = bgColor[1];
+			sampleBuffer[i + 2] = bgColor[2];
+			sampleBuffer[i + 3] = bgColor[3];
+		}
+	}
+
 	/**
 	 * Perform zBuffer test.
+	 * With multisampling all samples of the pixel are tested with the same z,
+	 * the samples that pass are kept for the next set() without z-buffer test.
 	 * @parameter color is an object-array with rgba values
 	 * @return true on pass.
 	 */
 	function zBufferTest(x, y, z, color) {
 
-		var indexZBuf = y * width + x;
+		if(!depthTarget) {
+			z += depthOffset;
+		}
+		// Compare in the precision of the z-buffer, otherwise ties with the stored depth,
+		// e.g., of an edge with its polygon, are decided by rounding.
+		z = Math.fround(z);
+
+		if(multisampling > 1 && !depthTarget) {
+			lastSampleMask = multisampleZBufferTest(x, y, undefined, fullSampleMask, z);
+			return lastSampleMask != 0;
+		}
+
+		var indexZBuf = (y - zBufY) * zBufWidth + x - zBufX;
+		replacedZ = zBuf[indexZBuf];
+
+		if(stencilEnabled && !depthTarget) {
+			return stencilZBufferTest(y * width + x, indexZBuf, z);
+		}
 
 		// BEGIN exercise Z-Buffer
 
@@ -143,7 +469,7 @@ define(["exports", "scene"], function(exports, scene) {
 
         // Guess some decent epsilon (which may be >1 despite the name).
 
-        if (z < zBuf[indexZBuf]) {
+        if (z < zBuf[indexZBuf] - (depthTarget ? 0 : depthEpsilon)) {
             return false;
         }
 
@@ -156,6 +482,125 @@ define(["exports", "scene"], function(exports, scene) {
         return true;
     }
 
+	/**
+	 * Stencil test followed by the z-buffer test, see setStencil().
+	 * The stencil operation for the result is applied.
+	 *
+	 * @parameter pixelIndex in the stencil buffer, indexZBuf in the current z-buffer.
+	 * @return true if both pass and color and depth are to be written.
+	 */
+	function stencilZBufferTest(pixelIndex, indexZBuf, z) {
+		if(!stencilTest(pixelIndex)) {
+			applyStencilOperation(pixelIndex, stencil.fail);
+			return false;
+		}
+		if(z < zBuf[indexZBuf] - depthEpsilon) {
+			applyStencilOperation(pixelIndex, stencil.zFail);
+			return false;
+		}
+		applyStencilOperation(pixelIndex, stencil.zPass);
+		if(stencil.stencilOnly) {
+			return false;
+		}
+		zBuf[indexZBuf] = z;
+		return true;
+	}
+
+	/**
+	 * Compare the reference value with the stencil buffer, see stencilFunctionNames.
+	 * @return true on pass.
+	 */
+	function stencilTest(pixelIndex) {
+		var ref = stencil.ref & stencil.mask;
+		var value = stencilStamp[pixelIndex] == stencilPrimitive ? stencilBefore[pixelIndex] : stencilBuf[pixelIndex];
+		value &= stencil.mask;
+		switch(stencil.func) {
+			case "never":
+				return false;
+			case "less":
+				return ref < value;
+			case "lequal":
+				return ref <= value;
+			case "greater":
+				return ref > value;
+			case "gequal":
+				return ref >= value;
+			case "equal":
+				return ref == value;
+			case "notequal":
+				return ref != value;
+			default:
+				return true;
+		}
+	}
+
+	/**
+	 * @parameter operation one of stencilOperationNames.
+	 */
+	function applyStencilOperation(pixelIndex, operation) {
+		if(operation == "keep" || stencilStamp[pixelIndex] == stencilPrimitive) {
+			return;
+		}
+		stencilStamp[pixelIndex] = stencilPrimitive;
+		stencilBefore[pixelIndex] = stencilBuf[pixelIndex];
+		switch(operation) {
+			case "replace":
+				stencilBuf[pixelIndex] = stencil.ref;
+				break;
+			case "increment":
+				if(stencilBuf[pixelIndex] < 255) {
+					stencilBuf[pixelIndex]++;
+				}
+				break;
+			case "invert":
+				stencilBuf[pixelIndex] = ~stencilBuf[pixelIndex];
+				break;
+		}
+	}
+
+	/**
+	 * Z-buffer test for the samples of a pixel, see getSamplePositions().
+	 * The depth of passing samples is stored.
+	 * The stencil test is done once for the pixel, the z-buffer test passes
+	 * for the stencil operation if any sample passes.
+	 *
+	 * @parameter sampleDepths array with z for each sample, or undefined to use z for all.
+	 * @parameter sampleMask bit mask of the samples covered by the fragment.
+	 * @return bit mask of the samples that passed.
+	 */
+	function multisampleZBufferTest(x, y, sampleDepths, sampleMask, z) {
+		var pixelIndex = y * width + x;
+		if(stencilEnabled && !stencilTest(pixelIndex)) {
+			applyStencilOperation(pixelIndex, stencil.fail);
+			return 0;
+		}
+		var writeDepth = !(stencilEnabled && stencil.stencilOnly);
+		var index = pixelIndex * multisampling;
+		var passMask = 0;
+		for(var s = 0; s < multisampling; s++, index++) {
+			if(!(sampleMask & (1 << s))) {
+				continue;
+			}
+			// The offset is already added to z by zBufferTest().
+			var sampleZ = sampleDepths ? Math.fround(sampleDepths[s] + depthOffset) : z;
+			if(sampleZ < sampleZBuf[index] - depthEpsilon) {
+				continue;
+			}
+			if(writeDepth) {
+				replacedSampleZ[s] = sampleZBuf[index];
+				sampleZBuf[index] = sampleZ;
+			}
+			passMask |= (1 << s);
+		}
+		if(stencilEnabled) {
+			applyStencilOperation(pixelIndex, passMask != 0 ? stencil.zPass : stencil.zFail);
+			if(!writeDepth) {
+				return 0;
+			}
+		}
+		return passMask;
+	}
+
 	/**
 	 * Set a pixel/fragment in the frame-buffer and in z-buffer.
 	 * Check range should be done in raster.
@@ -164,21 +609,43 @@ define(["exports", "scene"], function(exports, scene) {
 	 * @parameter color is an object with colorname : rgba values
 	 * @parameter  doZBufferTest is done per default if not given.
 	 * @parameter adjustDirtyRect is done per default if not given.
+	 * @parameter sampleMask [only for multisampling] samples to set.
+	 * Default are all samples, or the samples of the last zBufferTest() if doZBufferTest is false.
 	 */
-	function set(x, y, z, color, doZBufferTest, adjustDirtyRect) {
+	function set(x, y, z, color, doZBufferTest, adjustDirtyRect, sampleMask) {
 
+		// Depth was written by the z-buffer test.
+		if(depthTarget) {
+			return;
+		}
 
 		// Check range could be done in raster.
 		// It is done here to cover (horizontal) clipping artifacts.
 		// There is no range check in Bresenham (used for edges).
 		if(x < 0 || y < 0 || x >= width || y >= height) {
 			//console.log("Error: Framebuffer out of range: " + x + " ," + y);
+			gBufferFragment.pending = false;
+			return;
+		}
+
+		// Transparent fragments go into the A-buffer.
+		var alpha = color.rgbaShaded[3] / 255 * opacity;
+		if(alpha < 1) {
+			// Transparent fragments are shaded forward, as they are blended.
+			gBufferFragment.pending = false;
+			addFragment(x, y, z, color, alpha, doZBufferTest, adjustDirtyRect, sampleMask);
+			return;
+		}
+
+		if(multisampling > 1) {
+			setSamples(x, y, z, color, doZBufferTest, adjustDirtyRect, sampleMask);
 			return;
 		}
 
 		if(doZBufferTest == undefined || doZBufferTest == true) {
 			// Perform zBuffer-test (default).
 			if(! zBufferTest(x, y, z, color)) {
+				gBufferFragment.pending = false;
 				return;
 			}
 		}
@@ -187,6 +654,11 @@ define(["exports", "scene"], function(exports, scene) {
 			adjustDirtyRectangle(x, y);
 		}
 
+		if(deferredShading) {
+			writeGBuffer(y * width + x);
+		}
+		writeId(y * width + x);
+
 		// Used shaded color.
 		var rgba = color.rgbaShaded;
 
@@ -203,6 +675,383 @@ define(["exports", "scene"], function(exports, scene) {
 		//framebuffer.set(color.rgbaShaded, index);
 	}
 
+	/**
+	 * Add a transparent fragment to the A-buffer, parameters as for set().
+	 * The fragment is tested against the opaque z-buffer but does not change it.
+	 *
+	 * @parameter alpha in [0,1).
+	 */
+	function addFragment(x, y, z, color, alpha, doZBufferTest, adjustDirtyRect, sampleMask) {
+
+		z = Math.fround(z + depthOffset);
+		var pixelIndex = y * width + x;
+		var indexZBuf = (y - zBufY) * zBufWidth + x - zBufX;
+
+		if(doZBufferTest == false) {
+			// The z-buffer test was done before and stored z, undo this.
+			if(multisampling > 1) {
+				if(sampleMask == undefined) {
+					sampleMask = lastSampleMask;
+				}
+				var sampleIndex = pixelIndex * multisampling;
+				for(var s = 0; s < multisampling; s++) {
+					if(sampleMask & (1 << s)) {
+						sampleZBuf[sampleIndex + s] = replacedSampleZ[s];
+					}
+				}
+			} else {
+				zBuf[indexZBuf] = replacedZ;
+			}
+		} else if(multisampling == 1 && z < zBuf[indexZBuf] - depthEpsilon) {
+			// Fragments behind opaque ones drawn later are dropped in compositeFragments().
+			return;
+		}
+
+		if(adjustDirtyRect == undefined || adjustDirtyRect == true) {
+			adjustDirtyRectangle(x, y);
+		}
+
+		// Add fragment at the head of the list of the pixel.
+		var fragment = fragmentZ.length;
+		if(fragmentHead[pixelIndex] == -1) {
+			fragmentPixels.push(pixelIndex);
+		}
+		fragmentNext.push(fragmentHead[pixelIndex]);
+		fragmentHead[pixelIndex] = fragment;
+		fragmentZ.push(z);
+		var rgba = color.rgbaShaded;
+		fragmentRGBA.push(rgba[0], rgba[1], rgba[2], alpha);
+	}
+
+	/**
+	 * Blend the transparent fragments of each pixel back to front
+	 * over the opaque color in the framebuffer.
+	 * Fragments behind the opaque surface are left out.
+	 */
+	function compositeFragments() {
+		var fragments = [];
+		var rgb = [];
+		var sortBackToFront = function(a, b) {
+			// The camera looks in negative z-direction.
+			// For equal depth the later fragment is on top, as for opaque ones.
+			return fragmentZ[a] - fragmentZ[b] || a - b;
+		};
+		for(var i = 0; i < fragmentPixels.length; i++) {
+			var pixelIndex = fragmentPixels[i];
+			var opaqueZ = zBuf[pixelIndex];
+			fragments.length = 0;
+			for(var f = fragmentHead[pixelIndex]; f != -1; f = fragmentNext[f]) {
+				if(fragmentZ[f] >= opaqueZ) {
+					fragments.push(f);
+				}
+			}
+			fragments.sort(sortBackToFront);
+			var index = pixelIndex * 4;
+			for(var j = 0; j < fragments.length; j++) {
+				var rgbaIndex = fragments[j] * 4;
+				rgb[0] = fragmentRGBA[rgbaIndex];
+				rgb[1] = fragmentRGBA[rgbaIndex + 1];
+				rgb[2] = fragmentRGBA[rgbaIndex + 2];
+				blendRGB(framebuffer, index, rgb, fragmentRGBA[rgbaIndex + 3]);
+			}
+		}
+	}
+
+	/**
+	 * Start rendering into a tile of the framebuffer.
+	 * The depth of the tile is copied into a small tile-local z-buffer,
+	 * which is used by zBufferTest() until endTile().
+	 * It stays in the cache while all polygons of the tile are rasterized.
+	 * Only pixels inside the tile may be set.
+	 * Multisampling uses the sample z-buffer of the frame.
+	 *
+	 * @parameter x, y of the upper left pixel, w, h size of the tile in pixels.
+	 */
+	function beginTile(x, y, w, h) {
+		if(tileZBuf == null || tileZBuf.length < w * h) {
+			tileZBuf = new Float32Array(w * h);
+		}
+		for(var row = 0; row < h; row++) {
+			var start = (y + row) * width + x;
+			tileZBuf.set(frameZBuf.subarray(start, start + w), row * w);
+		}
+		zBuf = tileZBuf;
+		zBufX = x;
+		zBufY = y;
+		zBufWidth = w;
+		tileHeight = h;
+	}
+
+	/**
+	 * Write the tile-local z-buffer back into the z-buffer of the frame.
+	 */
+	function endTile() {
+		for(var row = 0; row < tileHeight; row++) {
+			frameZBuf.set(tileZBuf.subarray(row * zBufWidth, (row + 1) * zBufWidth), (zBufY + row) * width + zBufX);
+		}
+		zBuf = frameZBuf;
+		zBufX = 0;
+		zBufY = 0;
+		zBufWidth = width;
+	}
+
+	/**
+	 * Start depth-only rendering into a z-buffer of its own, e.g., a face of a shadow map.
+	 * Until endDepthTarget() zBufferTest() tests and writes this buffer, set() does nothing.
+	 * The rasterizer has to be restricted to the size of the buffer, see raster.setClipRect().
+	 * No tile may be active.
+	 *
+	 * @parameter depthBuffer Float32Array with w * h depths,
+	 * larger values are closer, initialize with maxDistance.
+	 */
+	function beginDepthTarget(depthBuffer, w, h) {
+		depthTarget = true;
+		depthTargetDirtyRect = copyRect(dirtyRect);
+		zBuf = depthBuffer;
+		zBufX = 0;
+		zBufY = 0;
+		zBufWidth = w;
+	}
+
+	/**
+	 * Continue rendering into the framebuffer.
+	 */
+	function endDepthTarget() {
+		depthTarget = false;
+		zBuf = frameZBuf;
+		zBufWidth = width;
+		// The rasterizer adjusts the dirty rectangle also for the depth target.
+		dirtyRect.x = depthTargetDirtyRect.x;
+		dirtyRect.y = depthTargetDirtyRect.y;
+		dirtyRect.xMax = depthTargetDirtyRect.xMax;
+		dirtyRect.yMax = depthTargetDirtyRect.yMax;
+	}
+
+	/**
+	 * Clear the A-buffer.
+	 */
+	function resetFragments() {
+		for(var i = 0; i < fragmentPixels.length; i++) {
+			fragmentHead[fragmentPixels[i]] = -1;
+		}
+		fragmentPixels.length = 0;
+		fragmentNext.length = 0;
+		fragmentZ.length = 0;
+		fragmentRGBA.length = 0;
+	}
+
+	/**
+	 * Multisampling variant of set(), parameters as for set().
+	 * The color is written to all samples in the mask.
+	 */
+	function setSamples(x, y, z, color, doZBufferTest, adjustDirtyRect, sampleMask) {
+
+		if(sampleMask == undefined) {
+			sampleMask = (doZBufferTest == false) ? lastSampleMask : fullSampleMask;
+		}
+		if(doZBufferTest == undefined || doZBufferTest == true) {
+			sampleMask = multisampleZBufferTest(x, y, undefined, sampleMask, Math.fround(z + depthOffset));
+		}
+		if(sampleMask == 0) {
+			gBufferFragment.pending = false;
+			return;
+		}
+
+		if(adjustDirtyRect == undefined || adjustDirtyRect == true) {
+			adjustDirtyRectangle(x, y);
+		}
+
+		// The pixel is shaded once with the G-buffer data of the last fragment.
+		if(deferredShading) {
+			writeGBuffer(y * width + x);
+		}
+		writeId(y * width + x);
+
+		var rgba = color.rgbaShaded;
+		var index = (y * width + x) * multisampling * 4;
+		for(var s = 0; s < multisampling; s++, index += 4) {
+			if(sampleMask & (1 << s)) {
+				sampleBuffer[index] = rgba[0];
+				sampleBuffer[index + 1] = rgba[1];
+				sampleBuffer[index + 2] = rgba[2];
+				sampleBuffer[index + 3] = rgba[3];
+			}
+		}
+	}
+
+	/**
+	 * Record the node and the polygon of an opaque fragment for picking, see pick().
+	 */
+	function writeId(pixelIndex) {
+		idBuffer[pixelIndex * 2] = objectId;
+		idBuffer[pixelIndex * 2 + 1] = shader.getPolygonIndex();
+	}
+
+	/**
+	 * Set the G-buffer data for the next fragment passed to set(),
+	 * called by the rasterizer for each fragment of a polygon in deferred shading.
+	 * Fragments without data, e.g., of lines, are not shaded.
+	 *
+	 * @parameter normal, position vec3 in eye coordinates, normal not normalized.
+	 * @parameter uv texture coordinates, may be null.
+	 */
+	function setGBufferFragment(normal, position, uv) {
+		var fragment = gBufferFragment;
+		for(var i = 0; i < 3; i++) {
+			fragment.normal[i] = normal[i];
+			fragment.position[i] = position[i];
+		}
+		fragment.uv[0] = uv ? uv[0] : 0;
+		fragment.uv[1] = uv ? uv[1] : 0;
+		fragment.pending = true;
+	}
+
+	/**
+	 * Store the G-buffer data of the fragment set() at the pixel.
+	 */
+	function writeGBuffer(pixelIndex) {
+		var fragment = gBufferFragment;
+		if(!fragment.pending) {
+			gBufferWritten[pixelIndex] = 0;
+			return;
+		}
+		var index = pixelIndex * 3;
+		for(var i = 0; i < 3; i++, index++) {
+			gBufferNormal[index] = fragment.normal[i];
+			gBufferPosition[index] = fragment.position[i];
+		}
+		gBufferUV[pixelIndex * 2] = fragment.uv[0];
+		gBufferUV[pixelIndex * 2 + 1] = fragment.uv[1];
+		gBufferWritten[pixelIndex] = 1;
+		fragment.pending = false;
+		gBufferStats.fragments++;
+	}
+
+	/**
+	 * Second pass of deferred shading:
+	 * Light the pixels in the dirty regions with G-buffer data once,
+	 * the base color in the color buffer is replaced by the shaded color.
+	 */
+	function shadeGBuffer() {
+		var startDate = Date.now();
+		var color = {
+			rgba : [],
+			rgbaShaded : []
+		};
+		var normal = [];
+		var position = [];
+		var shadedPixels = 0;
+		var ambientOcclusion = ssao.isEnabled() ? ssao.getBuffer() : null;
+		// The regions are disjoint, thus no pixel is shaded twice.
+		for(var r = 0; r < dirtyRegions.length; r++) {
+			var rect = dirtyRegions[r];
+			for(var y = rect.y; y <= rect.yMax; y++) {
+				for(var x = rect.x; x <= rect.xMax; x++) {
+					var pixelIndex = y * width + x;
+					if(gBufferWritten[pixelIndex] == 0) {
+						continue;
+					}
+					var index = pixelIndex * 3;
+					for(var i = 0; i < 3; i++, index++) {
+						normal[i] = gBufferNormal[index];
+						position[i] = gBufferPosition[index];
+					}
+					// The interpolated normal is normalized once per pixel.
+					vec3.normalize(normal);
+					if(ambientOcclusion != null) {
+						shader.setAmbientOcclusion(ambientOcclusion[pixelIndex]);
+					}
+					index = pixelIndex * 4;
+					for(var i = 0; i < 4; i++) {
+						color.rgba[i] = framebuffer[index + i];
+						color.rgbaShaded[i] = color.rgba[i];
+					}
+					shader.shadeDeferred(color, position, normal);
+					framebuffer[index] = color.rgbaShaded[0];
+					framebuffer[index + 1] = color.rgbaShaded[1];
+					framebuffer[index + 2] = color.rgbaShaded[2];
+					shadedPixels++;
+				}
+			}
+		}
+		shader.setAmbientOcclusion(1);
+		gBufferStats.shadedPixels = shadedPixels;
+		gBufferStats.time = Date.now() - startDate;
+	}
+
+	/**
+	 * Blend a fragment into the frame-buffer, e.g., for anti-aliased lines.
+	 * The z-buffer test is done, but z is not stored, as the fragment
+	 * should not hide what is rendered later behind it.
+	 *
+	 * @parameter alpha in [0,1] is the weight of the color.
+	 */
+	function blend(x, y, z, color, alpha) {
+
+		if(x < 0 || y < 0 || x >= width || y >= height) {
+			return;
+		}
+
+		// Test as zBufferTest() does.
+		z = Math.fround(z + depthOffset);
+		var rgba = color.rgbaShaded;
+		var pixelIndex = y * width + x;
+		if(multisampling > 1) {
+			var sampleIndex = pixelIndex * multisampling;
+			for(var s = 0; s < multisampling; s++, sampleIndex++) {
+				if(z >= sampleZBuf[sampleIndex] - depthEpsilon) {
+					blendRGB(sampleBuffer, sampleIndex * 4, rgba, alpha);
+				}
+			}
+		} else {
+			if(z < zBuf[pixelIndex] - depthEpsilon) {
+				return;
+			}
+			blendRGB(framebuffer, pixelIndex * 4, rgba, alpha);
+		}
+		adjustDirtyRectangle(x, y);
+	}
+
+	/**
+	 * Blend rgb at index of buffer, alpha of the buffer remains.
+	 */
+	function blendRGB(buffer, index, rgba, alpha) {
+		buffer[index] += (rgba[0] - buffer[index]) * alpha;
+		buffer[index + 1] += (rgba[1] - buffer[index + 1]) * alpha;
+		buffer[index + 2] += (rgba[2] - buffer[index + 2]) * alpha;
+	}
+
+	/**
+	 * Average the samples of the pixels in a dirty region into the framebuffer.
+	 * The z-buffer gets the nearest sample, e.g., for the z-buffer display.
+	 */
+	function resolveSamples(rect) {
+		for(var y = rect.y; y <= rect.yMax; y++) {
+			for(var x = rect.x; x <= rect.xMax; x++) {
+				var pixelIndex = y * width + x;
+				var sampleIndex = pixelIndex * multisampling;
+				var r = 0, g = 0, b = 0, a = 0;
+				var z = maxDistance;
+				for(var s = 0; s < multisampling; s++, sampleIndex++) {
+					var index = sampleIndex * 4;
+					r += sampleBuffer[index];
+					g += sampleBuffer[index + 1];
+					b += sampleBuffer[index + 2];
+					a += sampleBuffer[index + 3];
+					if(sampleZBuf[sampleIndex] > z) {
+						z = sampleZBuf[sampleIndex];
+					}
+				}
+				var index = pixelIndex * 4;
+				framebuffer[index] = r / multisampling;
+				framebuffer[index + 1] = g / multisampling;
+				framebuffer[index + 2] = b / multisampling;
+				framebuffer[index + 3] = a / multisampling;
+				zBuf[pixelIndex] = z;
+			}
+		}
+	}
+
     /**
      * Set to the min values.
      * Canvas coordinates range [0,width|height-1].
@@ -227,142 +1076,1050 @@ define(["exports", "scene"], function(exports, scene) {
 	/**
 	 * Adjust the dirty rectangle adding a point.
 	 * Check of correct the range must be done before.
+	 * Min and max are checked both, as a single point has to set both.
 	 */
 	function adjustDirtyRectangle(x, y) {
 		if(x < dirtyRect.x) {
 			dirtyRect.x = x;
-		} else if(x > dirtyRect.xMax) {
+		}
+		if(x > dirtyRect.xMax) {
 			dirtyRect.xMax = x;
 		}
 		if(y < dirtyRect.y) {
 			dirtyRect.y = y;
-		} else if(y > dirtyRect.yMax) {
+		}
+		if(y > dirtyRect.yMax) {
 			dirtyRect.yMax = y;
 		}
 	}
 
 	/**
-	 * Reset framebuffer and z-buffer.
-	 * Called before every frame or to clear.
-	 * Values are reset by copying buffers.
-	 *  @returns clearect object, i.e., the last dirty rect to be cleared in scene.
-	 *  or null if nothing is to be cleared.
+	 * Close the dirty rectangle and add it to the dirty regions,
+	 * e.g., after each model or tile, see addDirtyRegion().
+	 * Nothing is added if no pixel was set since the last call.
 	 */
-	function reset() {
-
-		var dirtyStartIndex = dirtyRect.y * width + dirtyRect.x;
-		var dirtyEndIndex = dirtyRect.yMax * width + dirtyRect.xMax;
-		var dirtyWidth;
-		var dirtyData, dirtyDataReset;
-		// Return null if nothing is to be cleared on the canvas.
-		var clearrect = null;
-
-
-		// Check if there was anything drawn.
-		if(dirtyEndIndex > dirtyStartIndex) {
-			// Dirty width in 4 bytes.
-			dirtyWidth = dirtyEndIndex - dirtyStartIndex;
-			// Reset zBuffer (may be set to undefined instead of maxDistance).
-			// Cut rectangles as views fitting the dirtyRect.
-			// Parameter: Offset in bytes, length is number of floats (with 4 bytes each).
-			dirtyStartIndex *= 4;
-			dirtyData = new Float32Array(zBuf.buffer, dirtyStartIndex, dirtyWidth);
-			dirtyDataReset = new Float32Array(resetZBuffer.buffer, 0, dirtyWidth);
-			dirtyData.set(dirtyDataReset);
-			// zBuffer reset in loops.
-			// This is slower. Use only if above does not work on device.
-			// for(var i = dirtyStartIndex; i < dirtyEndIndex; i++) {
-			// zBuf[i] = maxDistance;
-			// }
-
-			// Reset framebuffer to bgColor.
-			dirtyEndIndex *= 4;
-			// Dirty width in bytes.
-			dirtyWidth = dirtyEndIndex - dirtyStartIndex;
-			// console.log("dirtyWidth:" + dirtyWidth);
-			// console.log("dirtyStartIndex:" + dirtyStartIndex + " dirtyEndIndex:" + dirtyEndIndex);
-			// console.log("dirtyRect x y xMax yMax  " + dirtyRect.x + " " + dirtyRect.y + " " + dirtyRect.xMax + " " + dirtyRect.yMax);
-			// Cut rectangles  as views fitting the dirtyRect.
-			dirtyData = new Uint8ClampedArray(framebuffer.buffer, dirtyStartIndex, dirtyWidth);
-			dirtyDataReset = new Uint8ClampedArray(resetBuffer32.buffer, 0, dirtyWidth);
-			dirtyData.set(dirtyDataReset);
-
-            // framebuffer reset in loops.
-            // This is slower. Use only if above does not work on device.
-            // for( i = dirtyStartIndex; i < dirtyEndIndex; i += 4) {
-            // framebuffer[i] = r;
-            // framebuffer[i + 1] = g;
-            // framebuffer[i + 2] = b;
-            // framebuffer[i + 3] = a;
-
-            var clearRect = {
-                x : dirtyRect.x,
-                y : dirtyRect.y,
-                // Add 1 to include the max edge.
-                w : dirtyRect.xMax - dirtyRect.x + 1,
-                h : dirtyRect.yMax - dirtyRect.y + 1
-            };
-        }
-
+	function closeDirtyRegion() {
+		if(dirtyRect.xMax < dirtyRect.x || dirtyRect.yMax < dirtyRect.y) {
+			return;
+		}
+		addDirtyRegion(copyRect(dirtyRect));
 		resetDirtyRect();
-
-		return clearRect
 	}
 
 	/**
-	 * Copy the buffer onto the canvas.
+	 * Add a rectangle to the dirty regions.
+	 * Overlapping regions are merged into their bounding rectangle, thus the regions stay
+	 * disjoint and no pixel is shaded or resolved twice. If there are too many regions,
+	 * the rectangle is merged with the region whose bounding rectangle grows least.
+	 *
+	 * @parameter rect with x, y, xMax, yMax, it is modified and kept.
 	 */
-	function display() {
-
-		if(scene.getDebug_zBuffer()) {
-			MultiplyFramebufferWithZBuffer(true);
+	function addDirtyRegion(rect) {
+		for(var i = 0; i < dirtyRegions.length; i++) {
+			if(overlap(rect, dirtyRegions[i])) {
+				unite(rect, dirtyRegions[i]);
+				dirtyRegions.splice(i, 1);
+				// The bounding rectangle may overlap regions checked before.
+				i = -1;
+			}
 		}
-
-		dirtyRect.width = dirtyRect.xMax - dirtyRect.x;
-		dirtyRect.height = dirtyRect.yMax - dirtyRect.y;
-		// Check if nothing changed.
-		if(dirtyRect.width < 0 || dirtyRect.height < 0) {
+		if(dirtyRegions.length < maxDirtyRegions) {
+			dirtyRegions.push(rect);
 			return;
-		} else {
-			// Add one pixel to include the max.
-			dirtyRect.width++;
-			dirtyRect.height++;
 		}
+		var closest = 0;
+		var minGrowth = Infinity;
+		for(var i = 0; i < dirtyRegions.length; i++) {
+			var region = dirtyRegions[i];
+			var bounds = copyRect(region);
+			unite(bounds, rect);
+			var growth = area(bounds) - area(region) - area(rect);
+			if(growth < minGrowth) {
+				minGrowth = growth;
+				closest = i;
+			}
+		}
+		unite(rect, dirtyRegions[closest]);
+		dirtyRegions.splice(closest, 1);
+		addDirtyRegion(rect);
+	}
 
-		//console.log("dirtyRect x y w h  " + dirtyRect.x + " " + dirtyRect.y + " " + dirtyRect.width + " " + dirtyRect.height);
-		ctx.putImageData(imageData, 0, 0, dirtyRect.x, dirtyRect.y, dirtyRect.width, dirtyRect.height);
+	function overlap(a, b) {
+		return a.x <= b.xMax && b.x <= a.xMax && a.y <= b.yMax && b.y <= a.yMax;
 	}
 
 	/**
-	 * Scale the z-buffer for visualization to interval [0,1].
+	 * Grow rectangle a to include b.
 	 */
-	function scaleZBuffer() {
-		// Initialize z-min and z-max (maxDistance is large negative)
-		// reversed, complementary and scale linearly.
-		var min = -maxDistance;
-		var max = maxDistance;
-		// Get min and max.
-		for(var i = 0; i < zBufSize; i++) {
-			if(zBuf[i] == maxDistance)
-				continue;
-			if(zBuf[i] > max) {
-				max = zBuf[i];
-			} else if(zBuf[i] < min) {
-				min = zBuf[i];
-			}
-		}
-		var range = Math.abs(max - min);
-		if(range == 0)
-			range = 1;
-		//console.log("min="+min+" max="+max+" range="+range);
-		// Scale between min and max.
-		for(var i = 0; i < zBufSize; i++) {
-			if(zBuf[i] == maxDistance) {
-				continue;
+	function unite(a, b) {
+		a.x = Math.min(a.x, b.x);
+		a.y = Math.min(a.y, b.y);
+		a.xMax = Math.max(a.xMax, b.xMax);
+		a.yMax = Math.max(a.yMax, b.yMax);
+	}
+
+	function area(rect) {
+		return (rect.xMax - rect.x + 1) * (rect.yMax - rect.y + 1);
+	}
+
+	function copyRect(rect) {
+		return {
+			x : rect.x,
+			y : rect.y,
+			xMax : rect.xMax,
+			yMax : rect.yMax
+		};
+	}
+
+	/**
+	 * Reset framebuffer and z-buffer.
+	 * Called before every frame or to clear.
+	 * Only the dirty regions of the last frame are reset, by copying buffers.
+	 *  @returns array of clear rectangles with x, y, w, h, i.e., the last dirty regions
+	 *  in canvas pixels to be cleared in scene, or null if nothing is to be cleared.
+	 */
+	function reset() {
+
+		closeDirtyRegion();
+
+		resetFragments();
+		gBufferStats.fragments = 0;
+		gBufferStats.shadedPixels = 0;
+
+		// Check if there was anything drawn.
+		if(dirtyRegions.length == 0) {
+			return null;
+		}
+
+		var clearRects = [];
+		for(var r = 0; r < dirtyRegions.length; r++) {
+			resetRegion(dirtyRegions[r]);
+			// The canvas is cleared, thus use canvas pixels.
+			var displayRect = getDisplayRect(dirtyRegions[r]);
+			clearRects.push({
+				x : displayRect.x,
+				y : displayRect.y,
+				// Add 1 to include the max edge.
+				w : displayRect.xMax - displayRect.x + 1,
+				h : displayRect.yMax - displayRect.y + 1
+			});
+		}
+		dirtyRegions = [];
+
+		return clearRects;
+	}
+
+	/**
+	 * Reset the rows of a dirty region to the background color and maxDistance.
+	 */
+	function resetRegion(rect) {
+		// Dirty width in pixels, including the max edge.
+		var dirtyWidth = rect.xMax - rect.x + 1;
+		// Cut rectangles as views fitting one row of the region.
+		// Parameter: Offset in bytes, length is number of floats or bytes.
+		var dirtyZBufferReset = new Float32Array(resetZBuffer.buffer, 0, dirtyWidth);
+		var dirtyDataReset = new Uint8ClampedArray(resetBuffer32.buffer, 0, dirtyWidth * 4);
+		// The float color buffer for HDR, imageData is reset as well.
+		var dirtyHdrReset = hdr ? Float32Array.from(dirtyDataReset) : null;
+		for(var y = rect.y; y <= rect.yMax; y++) {
+			var dirtyStartIndex = y * width + rect.x;
+			var dirtyEndIndex = dirtyStartIndex + dirtyWidth;
+			if(multisampling > 1) {
+				resetSamples(dirtyStartIndex, dirtyEndIndex);
+			}
+			if(deferredShading) {
+				gBufferWritten.fill(0, dirtyStartIndex, dirtyEndIndex);
+			}
+			stencilBuf.fill(0, dirtyStartIndex, dirtyEndIndex);
+			idBuffer.fill(-1, dirtyStartIndex * 2, dirtyEndIndex * 2);
+			zBuf.set(dirtyZBufferReset, dirtyStartIndex);
+			if(hdr) {
+				framebuffer.set(dirtyHdrReset, dirtyStartIndex * 4);
+			}
+			imageData.data.set(dirtyDataReset, dirtyStartIndex * 4);
+		}
+	}
+
+	/**
+	 * Blend the pixels of a dirty region into the fog color by their depth, see module fog.
+	 * After the tone mapping, as the fog color is a display color like the background,
+	 * which the tone mapping leaves unchanged.
+	 */
+	function fogRegion(rect) {
+		var data = imageData.data;
+		var fogColor = fog.getColor();
+		var range = depthMapping.far - depthMapping.near;
+		for(var y = rect.y; y <= rect.yMax; y++) {
+			var pixelIndex = y * width + rect.x;
+			for(var x = rect.x; x <= rect.xMax; x++, pixelIndex++) {
+				var z = frameZBuf[pixelIndex];
+				// The background.
+				if(z == maxDistance) {
+					continue;
+				}
+				var visibility = fog.visibility((getEyeDistance(z) - depthMapping.near) / range);
+				if(visibility >= 1) {
+					continue;
+				}
+				var index = pixelIndex * 4;
+				for(var c = 0; c < 3; c++) {
+					data[index + c] = fogColor[c] + (data[index + c] - fogColor[c]) * visibility;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Map the HDR colors of a dirty region with the exposure and the tone mapping to bytes in imageData.
+	 * The background is not lit and keeps its color.
+	 */
+	function toneMapRegion(rect) {
+		var data = imageData.data;
+		for(var y = rect.y; y <= rect.yMax; y++) {
+			var pixelIndex = y * width + rect.x;
+			for(var x = rect.x; x <= rect.xMax; x++, pixelIndex++) {
+				var index = pixelIndex * 4;
+				var background = frameZBuf[pixelIndex] == maxDistance;
+				for(var c = 0; c < 3; c++) {
+					var value = framebuffer[index + c];
+					if(!background || value != bgColor[c]) {
+						value = 255 * toneMap(value / 255 * exposure);
+					}
+					data[index + c] = value;
+				}
+				data[index + 3] = framebuffer[index + 3];
+			}
+		}
+	}
+
+	/**
+	 * @parameter value color channel, 1 for the full byte value.
+	 * @returns mapped value, to be clamped to [0,1].
+	 */
+	function toneMap(value) {
+		switch(toneMappingName) {
+			case "reinhard":
+				return value / (1 + value);
+			case "aces":
+				// Fit of the ACES filmic curve by Krzysztof Narkowicz.
+				return value * (2.51 * value + 0.03) / (value * (2.43 * value + 0.59) + 0.14);
+			default:
+				return value;
+		}
+	}
+
+	/**
+	 * Copy the dirty regions of the buffer onto the canvas.
+	 */
+	function display() {
+
+		// The canvas still shows the post-processed frame outside the dirty regions.
+		if(postProcessed && !postprocess.isActive()) {
+			addDirtyRegion({
+				x : 0,
+				y : 0,
+				xMax : width - 1,
+				yMax : height - 1
+			});
+		}
+
+		resolve();
+
+		if(hdr) {
+			var toneMappingStartDate = Date.now();
+			dirtyRegions.forEach(toneMapRegion);
+			toneMappingTime = Date.now() - toneMappingStartDate;
+		}
+
+		if(fog.isEnabled()) {
+			var fogStartDate = Date.now();
+			dirtyRegions.forEach(fogRegion);
+			fogTime = Date.now() - fogStartDate;
+		}
+
+		if(debugZBuffer) {
+			MultiplyFramebufferWithZBuffer(true);
+		}
+
+		if(debugAmbientOcclusion && ssao.isEnabled()) {
+			dirtyRegions.forEach(displayAmbientOcclusionRegion);
+		}
+
+		postProcessed = postprocess.isActive();
+		if(postProcessed) {
+			displayPostProcessed();
+			return;
+		}
+
+		// Check if nothing changed.
+		if(dirtyRegions.length == 0) {
+			return;
+		}
+
+		if(supersampling == 1) {
+			for(var r = 0; r < dirtyRegions.length; r++) {
+				var rect = dirtyRegions[r];
+				// Add one pixel to include the max.
+				ctx.putImageData(imageData, 0, 0, rect.x, rect.y, rect.xMax - rect.x + 1, rect.yMax - rect.y + 1);
+			}
+			return;
+		}
+
+		var startDate = Date.now();
+		var displayRects = getDisplayRegions();
+		displayRects.forEach(function(displayRect) {
+			downsample(displayRect, imageData.data);
+		});
+		downsamplingTime = Date.now() - startDate;
+		displayRects.forEach(function(displayRect) {
+			ctx.putImageData(displayImageData, 0, 0, displayRect.x, displayRect.y, displayRect.xMax - displayRect.x + 1, displayRect.yMax - displayRect.y + 1);
+		});
+	}
+
+	/**
+	 * Run the post-processing over the whole frame and copy all of it onto the canvas,
+	 * as effects spread over the dirty regions or, like the vignette, change the background.
+	 */
+	function displayPostProcessed() {
+		if(postImageData == null || postImageData.width != width || postImageData.height != height) {
+			postImageData = ctx.createImageData(width, height);
+		}
+		postprocess.apply(imageData.data, frameZBuf, width, height, postImageData.data);
+
+		if(supersampling == 1) {
+			ctx.putImageData(postImageData, 0, 0);
+			return;
+		}
+		var startDate = Date.now();
+		downsample({
+			x : 0,
+			y : 0,
+			xMax : canvasWidth - 1,
+			yMax : canvasHeight - 1
+		}, postImageData.data);
+		downsamplingTime = Date.now() - startDate;
+		ctx.putImageData(displayImageData, 0, 0);
+	}
+
+	/**
+	 * Resolve the samples of the multisampling, shade the G-buffer
+	 * and composite the transparent fragments of the A-buffer into the color buffer,
+	 * as first step of display().
+	 */
+	function resolve() {
+		closeDirtyRegion();
+
+		if(multisampling > 1 && dirtyRegions.length > 0) {
+			var startDate = Date.now();
+			dirtyRegions.forEach(resolveSamples);
+			resolveTime = Date.now() - startDate;
+		}
+
+		if(ssao.isEnabled()) {
+			computeAmbientOcclusion();
+		}
+
+		if(deferredShading) {
+			shadeGBuffer();
+		} else if(ssao.isEnabled() && shader.getShadingFunctionName() != "none") {
+			dirtyRegions.forEach(occludeRegion);
+		}
+
+		compositeFragments();
+	}
+
+	/**
+	 * Estimate the ambient occlusion of the dirty regions from the z-buffer,
+	 * and the G-buffer with deferred shading, see module ssao.
+	 */
+	function computeAmbientOcclusion() {
+		if(eyeDistanceBuffer == null || eyeDistanceBuffer.length != zBufSize) {
+			eyeDistanceBuffer = new Float32Array(zBufSize);
+		}
+		// All pixels, as the samples reach outside the dirty regions.
+		for(var i = 0; i < zBufSize; i++) {
+			var z = frameZBuf[i];
+			eyeDistanceBuffer[i] = z == maxDistance ? Infinity : getEyeDistance(z);
+		}
+		ssao.compute(dirtyRegions, {
+			width : width,
+			height : height,
+			pixelSize : supersampling,
+			pixelsPerEyeUnit : pixelsPerEyeUnit,
+			perspective : depthMapping.perspective,
+			distance : eyeDistanceBuffer,
+			position : deferredShading ? gBufferPosition : null,
+			normal : deferredShading ? gBufferNormal : null,
+			written : deferredShading ? gBufferWritten : null
+		});
+	}
+
+	/**
+	 * Darken the colors of a dirty region with the ambient occlusion for forward shading,
+	 * where the light is already applied.
+	 * The share of the ambient light in a color is not known,
+	 * it is estimated as the ambient light intensity, i.e., as for a fully lit surface.
+	 */
+	function occludeRegion(rect) {
+		var ambientOcclusion = ssao.getBuffer();
+		var ambientLightIntensity = shader.getAmbientLightIntensity();
+		for(var y = rect.y; y <= rect.yMax; y++) {
+			var pixelIndex = y * width + rect.x;
+			for(var x = rect.x; x <= rect.xMax; x++, pixelIndex++) {
+				if(frameZBuf[pixelIndex] == maxDistance) {
+					continue;
+				}
+				var factor = 1 - ambientLightIntensity * (1 - ambientOcclusion[pixelIndex]);
+				var index = pixelIndex * 4;
+				framebuffer[index] *= factor;
+				framebuffer[index + 1] *= factor;
+				framebuffer[index + 2] *= factor;
+			}
+		}
+	}
+
+	/**
+	 * Show the ambient occlusion of a dirty region as grey, for debug.
+	 * The background remains.
+	 */
+	function displayAmbientOcclusionRegion(rect) {
+		var ambientOcclusion = ssao.getBuffer();
+		var data = imageData.data;
+		for(var y = rect.y; y <= rect.yMax; y++) {
+			var pixelIndex = y * width + rect.x;
+			for(var x = rect.x; x <= rect.xMax; x++, pixelIndex++) {
+				if(frameZBuf[pixelIndex] == maxDistance) {
+					continue;
+				}
+				var index = pixelIndex * 4;
+				var grey = ambientOcclusion[pixelIndex] * 255;
+				data[index] = grey;
+				data[index + 1] = grey;
+				data[index + 2] = grey;
+			}
+		}
+	}
+
+	/**
+	 * Copy a band of full rows out of the color buffer and the z-buffer,
+	 * e.g., to pass it to a worker, see module parallel.
+	 *
+	 * @parameter y first row, h number of rows.
+	 * @returns object with rgba, z and ids (of the object-ID buffer) as new typed arrays.
+	 */
+	function getRegion(y, h) {
+		return {
+			rgba : framebuffer.slice(y * width * 4, (y + h) * width * 4),
+			z : frameZBuf.slice(y * width, (y + h) * width),
+			ids : idBuffer.slice(y * width * 2, (y + h) * width * 2)
+		};
+	}
+
+	/**
+	 * Copy a band of full rows into the color buffer and the z-buffer, see getRegion().
+	 *
+	 * @parameter rects array of rectangles with x, y, xMax, yMax of the modified pixels
+	 * to add to the dirty regions, may be undefined.
+	 * @parameter ids of the object-ID buffer, may be undefined.
+	 * @returns false if the band does not fit, e.g., after a resize.
+	 */
+	function setRegion(y, h, rgba, z, rects, ids) {
+		if(z.length != h * width || y + h > height) {
+			return false;
+		}
+		framebuffer.set(rgba, y * width * 4);
+		frameZBuf.set(z, y * width);
+		if(ids != undefined) {
+			idBuffer.set(ids, y * width * 2);
+		}
+		if(rects != undefined) {
+			rects.forEach(function(rect) {
+				if(rect.xMax >= rect.x && rect.yMax >= rect.y) {
+					addDirtyRegion(copyRect(rect));
+				}
+			});
+		}
+		return true;
+	}
+
+	/**
+	 * @returns bounding rectangle of all modified pixels with x, y, xMax, yMax.
+	 */
+	function getDirtyRect() {
+		var bounds = copyRect(dirtyRect);
+		dirtyRegions.forEach(function(region) {
+			unite(bounds, region);
+		});
+		return bounds;
+	}
+
+	/**
+	 * Close the dirty rectangle, see closeDirtyRegion().
+	 * @returns copy of the dirty regions, each with x, y, xMax, yMax.
+	 */
+	function getDirtyRegions() {
+		closeDirtyRegion();
+		return dirtyRegions.map(copyRect);
+	}
+
+	/**
+	 * Convert a dirty region in the buffer to canvas pixels.
+	 * The tent filter reaches into the neighboring pixels.
+	 *
+	 * @returns object with x, y, xMax, yMax in canvas pixels.
+	 */
+	function getDisplayRect(rect) {
+		var margin = (downsamplingFilterName == "tent") ? 1 : 0;
+		return {
+			x : Math.max(0, Math.floor(rect.x / supersampling) - margin),
+			y : Math.max(0, Math.floor(rect.y / supersampling) - margin),
+			xMax : Math.min(canvasWidth - 1, Math.floor(rect.xMax / supersampling) + margin),
+			yMax : Math.min(canvasHeight - 1, Math.floor(rect.yMax / supersampling) + margin)
+		};
+	}
+
+	/**
+	 * @returns the dirty regions of the frame in canvas pixels, see getDisplayRect(),
+	 * e.g., to draw them for debug. They may overlap with supersampling.
+	 */
+	function getDisplayRegions() {
+		return dirtyRegions.map(getDisplayRect);
+	}
+
+	/**
+	 * Weights of the samples in one dimension for the filter,
+	 * starting at offset samples from the first sample of a canvas pixel.
+	 * The box filter averages the samples of the pixel.
+	 * The tent filter falls off linearly from the pixel center
+	 * and covers half of the neighboring pixels.
+	 *
+	 * @returns object with weights array and offset.
+	 */
+	function getFilter() {
+		var weights = [];
+		if(downsamplingFilterName == "tent") {
+			for(var i = 0; i < 2 * supersampling; i++) {
+				var distance = Math.abs(i + 0.5 - supersampling);
+				weights[i] = 1 - distance / supersampling;
+			}
+			return { weights : weights, offset : -supersampling / 2 };
+		}
+		for(var i = 0; i < supersampling; i++) {
+			weights[i] = 1;
+		}
+		return { weights : weights, offset : 0 };
+	}
+
+	/**
+	 * Filter the samples in the buffer into the canvas pixel of displayImageData.
+	 * Samples outside the buffer are left out and the weights are normalized.
+	 *
+	 * @parameter rect in canvas pixels, see getDisplayRect().
+	 * @parameter source rgba of the buffer, the framebuffer or the post-processed frame.
+	 */
+	function downsample(rect, source) {
+		var filter = getFilter();
+		var weights = filter.weights;
+		var n = weights.length;
+		var displayData = displayImageData.data;
+
+		for(var y = rect.y; y <= rect.yMax; y++) {
+			var sampleYStart = y * supersampling + filter.offset;
+			for(var x = rect.x; x <= rect.xMax; x++) {
+				var sampleXStart = x * supersampling + filter.offset;
+				var r = 0, g = 0, b = 0, a = 0, weightSum = 0;
+				for(var j = 0; j < n; j++) {
+					var sampleY = sampleYStart + j;
+					if(sampleY < 0 || sampleY >= height) {
+						continue;
+					}
+					for(var i = 0; i < n; i++) {
+						var sampleX = sampleXStart + i;
+						if(sampleX < 0 || sampleX >= width) {
+							continue;
+						}
+						var weight = weights[j] * weights[i];
+						var index = (sampleY * width + sampleX) * 4;
+						r += source[index] * weight;
+						g += source[index + 1] * weight;
+						b += source[index + 2] * weight;
+						a += source[index + 3] * weight;
+						weightSum += weight;
+					}
+				}
+				var displayIndex = (y * canvasWidth + x) * 4;
+				displayData[displayIndex] = r / weightSum;
+				displayData[displayIndex + 1] = g / weightSum;
+				displayData[displayIndex + 2] = b / weightSum;
+				displayData[displayIndex + 3] = a / weightSum;
+			}
+		}
+	}
+
+	/**
+	 * @parameter name one of downsamplingFilterNames.
+	 */
+	function setDownsamplingFilterName(name) {
+		downsamplingFilterName = name;
+	}
+
+	function getDownsamplingFilterName() {
+		return downsamplingFilterName;
+	}
+
+	function getDownsamplingTime() {
+		return downsamplingTime;
+	}
+
+	/**
+	 * Switch the float color buffer for HDR on or off, see hdr.
+	 * The buffers are cleared to the background.
+	 */
+	function setHdr(_hdr) {
+		hdr = _hdr;
+		if(imageData == undefined) {
+			return;
+		}
+		initColorBuffer();
+		initSampleBuffer();
+		setMaxDirtyRect();
+	}
+
+	function getHdr() {
+		return hdr;
+	}
+
+	/**
+	 * @parameter name one of toneMappingNames.
+	 */
+	function setToneMappingName(name) {
+		toneMappingName = name;
+	}
+
+	function getToneMappingName() {
+		return toneMappingName;
+	}
+
+	function setExposure(_exposure) {
+		exposure = _exposure;
+	}
+
+	function getExposure() {
+		return exposure;
+	}
+
+	function getToneMappingTime() {
+		return toneMappingTime;
+	}
+
+	function getFogTime() {
+		return fogTime;
+	}
+
+	/**
+	 * @returns sample positions of the current multisampling, relative to the upper left pixel corner.
+	 */
+	function getSamplePositions() {
+		return samplePositions[multisampling];
+	}
+
+	function getMultisampling() {
+		return multisampling;
+	}
+
+	function getResolveTime() {
+		return resolveTime;
+	}
+
+	/**
+	 * Set the opacity for the following fragments, e.g., of a node.
+	 * @parameter _opacity in [0,1], 1 is opaque.
+	 */
+	function setOpacity(_opacity) {
+		opacity = _opacity;
+	}
+
+	function getOpacity() {
+		return opacity;
+	}
+
+	/**
+	 * Set the node for the following fragments, recorded in the object-ID buffer, see pick().
+	 * @parameter _objectId index of the node in the scenegraph, -1 for none.
+	 */
+	function setObjectId(_objectId) {
+		objectId = _objectId;
+	}
+
+	function getObjectId() {
+		return objectId;
+	}
+
+	/**
+	 * What is displayed at a pixel of the canvas, from the last frame.
+	 * With supersampling the buffer pixel at the center of the canvas pixel is taken.
+	 *
+	 * @parameter x, y canvas coordinates.
+	 * @returns object with objectId (index of the node), polygonIndex (of the point for models
+	 * rendered as points), both -1 for the background,
+	 * depth normalized from 0 at the near to 1 at the far plane, null for the background,
+	 * and rgba of the color buffer (after the tone mapping and the post-processing),
+	 * or null outside the canvas.
+	 */
+	function pick(x, y) {
+		x = Math.floor(x);
+		y = Math.floor(y);
+		if(x < 0 || y < 0 || x >= canvasWidth || y >= canvasHeight) {
+			return null;
+		}
+		var pixelIndex = (y * supersampling + (supersampling >> 1)) * width + x * supersampling + (supersampling >> 1);
+		var z = frameZBuf[pixelIndex];
+		var source = postProcessed ? postImageData.data : imageData.data;
+		var index = pixelIndex * 4;
+		return {
+			objectId : idBuffer[pixelIndex * 2],
+			polygonIndex : idBuffer[pixelIndex * 2 + 1],
+			depth : z == maxDistance ? null : getNormalizedDepth(z),
+			rgba : [source[index], source[index + 1], source[index + 2], source[index + 3]]
+		};
+	}
+
+	/**
+	 * Set the stencil test and operations for the following fragments, e.g., of a node.
+	 * Fragments of polygons and lines that use the z-buffer test are affected.
+	 *
+	 * @parameter settings object with func (one of stencilFunctionNames), ref, mask,
+	 * fail, zFail, zPass (each one of stencilOperationNames) and stencilOnly,
+	 * missing fields are taken from the defaults. Null switches the stencil test off.
+	 */
+	function setStencil(settings) {
+		stencilEnabled = settings != null;
+		if(!stencilEnabled) {
+			return;
+		}
+		for(var key in defaultStencil) {
+			stencil[key] = settings[key] != undefined ? settings[key] : defaultStencil[key];
+		}
+	}
+
+	/**
+	 * @returns copy of the current stencil settings, null if the stencil test is off.
+	 */
+	function getStencil() {
+		if(!stencilEnabled) {
+			return null;
+		}
+		var settings = {};
+		for(var key in stencil) {
+			settings[key] = stencil[key];
+		}
+		return settings;
+	}
+
+	/**
+	 * Start a new primitive for the stencil operations, called by the rasterizer
+	 * for each polygon it fills or strokes.
+	 */
+	function beginPrimitive() {
+		stencilPrimitive++;
+	}
+
+	/**
+	 * @returns value of the stencil buffer at the pixel.
+	 */
+	function getStencilValue(x, y) {
+		return stencilBuf[y * width + x];
+	}
+
+	/**
+	 * Switch between forward shading in the rasterizer and deferred shading, see shadeGBuffer().
+	 * The G-buffer is allocated when switched on.
+	 */
+	function setDeferredShading(_deferredShading) {
+		deferredShading = _deferredShading;
+		initGBuffer();
+		gBufferFragment.pending = false;
+	}
+
+	function getDeferredShading() {
+		return deferredShading;
+	}
+
+	/**
+	 * Display the scaled z-buffer instead of the frame, see MultiplyFramebufferWithZBuffer().
+	 */
+	function setDebugZBuffer(_debugZBuffer) {
+		debugZBuffer = _debugZBuffer;
+	}
+
+	function getDebugZBuffer() {
+		return debugZBuffer;
+	}
+
+	/**
+	 * Display the ambient occlusion instead of the frame, if it is enabled, see module ssao.
+	 */
+	function setDebugAmbientOcclusion(_debugAmbientOcclusion) {
+		debugAmbientOcclusion = _debugAmbientOcclusion;
+	}
+
+	function getDebugAmbientOcclusion() {
+		return debugAmbientOcclusion;
+	}
+
+	/**
+	 * @returns object with the fragments written into the G-buffer and the pixels shaded
+	 * in the last frame, and the time of the shading pass in ms.
+	 */
+	function getDeferredShadingStats() {
+		return gBufferStats;
+	}
+
+	/**
+	 * @returns number of transparent fragments in the A-buffer.
+	 */
+	function getFragmentCount() {
+		return fragmentZ.length;
+	}
+
+	/**
+	 * Set how the depth in the z-buffer maps to eye coordinates, see depthMapping.
+	 * Called by the scene with the projection.
+	 *
+	 * @parameter near, far distances of the planes along -z, near may be negative for orthogonal projections.
+	 * @parameter perspective true if the depth is hyperbolic in the distance, otherwise it is linear.
+	 */
+	function setDepthMapping(near, far, perspective, reversedZ) {
+		depthMapping.near = near;
+		depthMapping.far = far;
+		depthMapping.perspective = perspective;
+		depthMapping.reversedZ = reversedZ;
+	}
+
+	/**
+	 * @returns copy of the depth mapping, see setDepthMapping().
+	 */
+	function getDepthMapping() {
+		return {
+			near : depthMapping.near,
+			far : depthMapping.far,
+			perspective : depthMapping.perspective,
+			reversedZ : depthMapping.reversedZ
+		};
+	}
+
+	/**
+	 * @parameter z value from the z-buffer, not maxDistance.
+	 * @returns depth from 0 at the near to 1 at the far plane.
+	 */
+	function getNormalizedDepth(z) {
+		return depthMapping.reversedZ ? 1 - z : -z;
+	}
+
+	/**
+	 * Invert the projection of the depth.
+	 *
+	 * @parameter z value from the z-buffer, not maxDistance.
+	 * @returns distance from the camera along -z in eye coordinates.
+	 */
+	function getEyeDistance(z) {
+		var near = depthMapping.near;
+		var far = depthMapping.far;
+		var depth = getNormalizedDepth(z);
+		if(!depthMapping.perspective) {
+			return near + depth * (far - near);
+		}
+		// The projection maps the distance d to z/w = (f + n - 2fn/d) / (f - n).
+		var ndc = 2 * depth - 1;
+		return 2 * far * near / (far + near - ndc * (far - near));
+	}
+
+	/**
+	 * Set the scale from eye coordinates to buffer pixels, see pixelsPerEyeUnit.
+	 * Called by the scene with the viewport and projection.
+	 */
+	function setPixelsPerEyeUnit(_pixelsPerEyeUnit) {
+		pixelsPerEyeUnit = _pixelsPerEyeUnit;
+	}
+
+	function setDepthEpsilon(_depthEpsilon) {
+		depthEpsilon = _depthEpsilon;
+	}
+
+	function getDepthEpsilon() {
+		return depthEpsilon;
+	}
+
+	/**
+	 * Set the polygon offset for the following primitives, e.g., of a node
+	 * or of a decal on top of another polygon.
+	 *
+	 * @parameter settings object with factor, times the depth slope of the polygon,
+	 * and units, times depthUnit. Positive values move towards the camera.
+	 * Null for the default offset, see setDefaultPolygonOffset().
+	 */
+	function setPolygonOffset(settings) {
+		polygonOffset = settings;
+	}
+
+	/**
+	 * @returns offset of the following primitives, null for the default offset.
+	 */
+	function getPolygonOffset() {
+		return polygonOffset;
+	}
+
+	/**
+	 * @parameter settings as for setPolygonOffset(), for all primitives without an offset of their own.
+	 */
+	function setDefaultPolygonOffset(settings) {
+		defaultPolygonOffset.factor = settings.factor;
+		defaultPolygonOffset.units = settings.units;
+	}
+
+	function getDefaultPolygonOffset() {
+		return {
+			factor : defaultPolygonOffset.factor,
+			units : defaultPolygonOffset.units
+		};
+	}
+
+	/**
+	 * @parameter settings as for setPolygonOffset(), added for the strokes of polygons.
+	 */
+	function setEdgeOffset(settings) {
+		edgeOffset.factor = settings.factor;
+		edgeOffset.units = settings.units;
+	}
+
+	function getEdgeOffset() {
+		return {
+			factor : edgeOffset.factor,
+			units : edgeOffset.units
+		};
+	}
+
+	/**
+	 * Apply the polygon offset to the fragments of a polygon until endPolygonOffset().
+	 * Called by the rasterizer for each polygon it fills or strokes,
+	 * other lines, e.g., normals, are not offset.
+	 *
+	 * @parameter depthSlope largest change of the depth per pixel in x or y on the polygon.
+	 * @parameter edges true if the polygon is stroked, which adds the edge offset.
+	 */
+	function beginPolygonOffset(depthSlope, edges) {
+		var offset = polygonOffset || defaultPolygonOffset;
+		var factor = offset.factor;
+		var units = offset.units;
+		if(edges) {
+			factor += edgeOffset.factor;
+			units += edgeOffset.units;
+		}
+		depthOffset = factor * Math.min(depthSlope, maxDepthSlope) + units * depthUnit;
+	}
+
+	function endPolygonOffset() {
+		depthOffset = 0;
+	}
+
+	/**
+	 * @returns offset in depth of the current primitive.
+	 */
+	function getDepthOffset() {
+		return depthOffset;
+	}
+
+	/**
+	 * Scale the z-buffer for visualization to interval [0,1],
+	 * 1 for the closest and 0 for the farthest pixel.
+	 * The depth is converted to the distance from the camera first,
+	 * as the perspective projection compresses far depths.
+	 *
+	 * @parameter buffer to scale instead of the z-buffer, e.g., a copy of it.
+	 */
+	function scaleZBuffer(buffer) {
+		if(buffer == undefined) {
+			buffer = zBuf;
+		}
+		// Get min and max distance.
+		var min = Infinity;
+		var max = -Infinity;
+		for(var i = 0; i < buffer.length; i++) {
+			if(buffer[i] == maxDistance) {
+				continue;
+			}
+			buffer[i] = getEyeDistance(buffer[i]);
+			if(buffer[i] > max) {
+				max = buffer[i];
+			}
+			if(buffer[i] < min) {
+				min = buffer[i];
+			}
+		}
+		var range = max - min;
+		if(range == 0) {
+			range = 1;
+		}
+		//console.log("min="+min+" max="+max+" range="+range);
+		// Scale between min and max.
+		for(var i = 0; i < buffer.length; i++) {
+			if(buffer[i] == maxDistance) {
+				continue;
+			}
+			buffer[i] = (max - buffer[i]) / range;
+		}
+	}
+
+	/**
+	 * Copy of the color buffer in the size of the canvas as it is displayed,
+	 * without what the scene draws on top (e.g., text), e.g., to export it.
+	 *
+	 * @returns object with width, height and data (RGBA bytes) as ImageData.
+	 */
+	function getColorImage() {
+		var source = postProcessed ? postImageData.data : imageData.data;
+		if(supersampling > 1) {
+			downsample({
+				x : 0,
+				y : 0,
+				xMax : canvasWidth - 1,
+				yMax : canvasHeight - 1
+			}, source);
+			source = displayImageData.data;
+		}
+		return {
+			width : canvasWidth,
+			height : canvasHeight,
+			data : source.slice()
+		};
+	}
+
+	/**
+	 * Copy of the z-buffer, in the size of the buffer, i.e., with supersampling larger than the canvas.
+	 *
+	 * @parameter visualization scales the depth as the z-buffer view, see scaleZBuffer():
+	 * from 0 for the closest to 1 for the farthest pixel.
+	 * Otherwise the depth is normalized from 0 at the near to 1 at the far plane, see getNormalizedDepth().
+	 * The background is 1.
+	 * @returns object with width, height and data (Float32Array).
+	 */
+	function getZBufferImage(visualization) {
+		var data = frameZBuf.slice();
+		if(visualization) {
+			scaleZBuffer(data);
+		}
+		for(var i = 0; i < data.length; i++) {
+			if(data[i] == maxDistance) {
+				data[i] = 1;
+			} else {
+				data[i] = visualization ? 1 - data[i] : getNormalizedDepth(data[i]);
 			}
-			// Set offset to zero (also if min is negative) than scale.
-			zBuf[i] = (zBuf[i] - min) / range;
 		}
+		return {
+			width : width,
+			height : height,
+			data : data
+		};
 	}
 
 	/**
@@ -371,27 +2128,33 @@ define(["exports", "scene"], function(exports, scene) {
 	function MultiplyFramebufferWithZBuffer(greyOnly) {
 
 		scaleZBuffer();
+		// After the tone mapping, if HDR.
+		var data = imageData.data;
 
-		var dirtyStartIndex = dirtyRect.y * width + dirtyRect.x;
-		var dirtyEndIndex = dirtyRect.yMax * width + dirtyRect.xMax;
-
-		for(var i = dirtyStartIndex; i < dirtyEndIndex; i++) {
-			var z = zBuf[i];
-			var j = i * 4;
-			// Set the bgColor if z not maxDistance, which is not
-			// scaled.
-			if(z != maxDistance) {
-				z = 1 - z;
-				if(greyOnly) {
-					z *= 255.0;
-					framebuffer[j] = z;
-					framebuffer[j + 1] = z;
-					framebuffer[j + 2] = z;
-					// framebuffer[j + 3] = z // Alpha remains.
-				} else {
-					framebuffer[j] *= z;
-					framebuffer[j + 1] *= z;
-					framebuffer[j + 2] *= z;
+		for(var r = 0; r < dirtyRegions.length; r++) {
+			var rect = dirtyRegions[r];
+			for(var y = rect.y; y <= rect.yMax; y++) {
+				var dirtyStartIndex = y * width + rect.x;
+				var dirtyEndIndex = y * width + rect.xMax;
+				for(var i = dirtyStartIndex; i <= dirtyEndIndex; i++) {
+					var z = zBuf[i];
+					var j = i * 4;
+					// Set the bgColor if z not maxDistance, which is not
+					// scaled.
+					if(z != maxDistance) {
+						z = 1 - z;
+						if(greyOnly) {
+							z *= 255.0;
+							data[j] = z;
+							data[j + 1] = z;
+							data[j + 2] = z;
+							// data[j + 3] = z // Alpha remains.
+						} else {
+							data[j] *= z;
+							data[j + 1] *= z;
+							data[j + 2] *= z;
+						}
+					}
 				}
 			}
 		}
@@ -400,10 +2163,78 @@ define(["exports", "scene"], function(exports, scene) {
 	// Public API.
 	exports.init = init;
 	exports.set = set;
+	exports.blend = blend;
 	exports.zBufferTest = zBufferTest;
 	exports.adjustDirtyRectangle = adjustDirtyRectangle;
 	exports.reset = reset;
 	exports.display = display;
+	exports.downsamplingFilterNames = downsamplingFilterNames;
+	exports.setDownsamplingFilterName = setDownsamplingFilterName;
+	exports.getDownsamplingFilterName = getDownsamplingFilterName;
+	exports.getDownsamplingTime = getDownsamplingTime;
+	exports.toneMappingNames = toneMappingNames;
+	exports.setHdr = setHdr;
+	exports.getHdr = getHdr;
+	exports.setToneMappingName = setToneMappingName;
+	exports.getToneMappingName = getToneMappingName;
+	exports.setExposure = setExposure;
+	exports.getExposure = getExposure;
+	exports.getToneMappingTime = getToneMappingTime;
+	exports.getFogTime = getFogTime;
+	exports.multisampleZBufferTest = multisampleZBufferTest;
+	exports.multisamplingCounts = multisamplingCounts;
+	exports.getSamplePositions = getSamplePositions;
+	exports.getMultisampling = getMultisampling;
+	exports.getResolveTime = getResolveTime;
+	exports.setOpacity = setOpacity;
+	exports.setObjectId = setObjectId;
+	exports.getObjectId = getObjectId;
+	exports.pick = pick;
+	exports.getOpacity = getOpacity;
+	exports.beginTile = beginTile;
+	exports.endTile = endTile;
+	exports.beginDepthTarget = beginDepthTarget;
+	exports.endDepthTarget = endDepthTarget;
+	exports.resolve = resolve;
+	exports.getRegion = getRegion;
+	exports.setRegion = setRegion;
+	exports.getDirtyRect = getDirtyRect;
+	exports.closeDirtyRegion = closeDirtyRegion;
+	exports.getDirtyRegions = getDirtyRegions;
+	exports.getDisplayRegions = getDisplayRegions;
+	exports.getColorImage = getColorImage;
+	exports.getZBufferImage = getZBufferImage;
+	exports.getFragmentCount = getFragmentCount;
+	exports.stencilFunctionNames = stencilFunctionNames;
+	exports.stencilOperationNames = stencilOperationNames;
+	exports.setStencil = setStencil;
+	exports.getStencil = getStencil;
+	exports.getStencilValue = getStencilValue;
+	exports.beginPrimitive = beginPrimitive;
+	exports.setDeferredShading = setDeferredShading;
+	exports.getDeferredShading = getDeferredShading;
+	exports.setDebugZBuffer = setDebugZBuffer;
+	exports.getDebugZBuffer = getDebugZBuffer;
+	exports.setDebugAmbientOcclusion = setDebugAmbientOcclusion;
+	exports.getDebugAmbientOcclusion = getDebugAmbientOcclusion;
+	exports.setGBufferFragment = setGBufferFragment;
+	exports.getDeferredShadingStats = getDeferredShadingStats;
+	exports.setDepthMapping = setDepthMapping;
+	exports.getDepthMapping = getDepthMapping;
+	exports.getNormalizedDepth = getNormalizedDepth;
+	exports.getEyeDistance = getEyeDistance;
+	exports.setPixelsPerEyeUnit = setPixelsPerEyeUnit;
+	exports.setDepthEpsilon = setDepthEpsilon;
+	exports.getDepthEpsilon = getDepthEpsilon;
+	exports.setPolygonOffset = setPolygonOffset;
+	exports.getPolygonOffset = getPolygonOffset;
+	exports.setDefaultPolygonOffset = setDefaultPolygonOffset;
+	exports.getDefaultPolygonOffset = getDefaultPolygonOffset;
+	exports.setEdgeOffset = setEdgeOffset;
+	exports.getEdgeOffset = getEdgeOffset;
+	exports.beginPolygonOffset = beginPolygonOffset;
+	exports.endPolygonOffset = endPolygonOffset;
+	exports.getDepthOffset = getDepthOffset;
 	// Constants.
 	exports.maxDistance = maxDistance;
 });
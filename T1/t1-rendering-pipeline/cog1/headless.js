@@ -0,0 +1,484 @@
+/**
+ * Headless rendering of the pipeline in Node.js.
+ *
+ * This is not a module but a Node.js script.
+ * It loads the modules of the pipeline with a minimal AMD loader, as rasterWorker.js does,
+ * without dojo and the UI (app, layout, ui).
+ * The scene renders into an in-memory canvas, which is written as PNG image.
+ * The canvas only holds what the framebuffer displays,
+ * text and paths of the overlays (matrices, statistics, light marker) are not drawn.
+ *
+ * Textures are read from the "textures" directory.
+ * PNG, JPEG and GIF images are decoded, see imageDecoders.js,
+ * other formats throw an error, as the frame would not show them.
+ * Missing files are replaced by the procedural texture as in the browser, see texture.create().
+ *
+ * Usage:
+ *   node cog1/headless.js [--width 800] [--height 600] [--out frame.png] [--setup script.js]
+ * The setup script exports a function that is called with the loaded modules
+ * (e.g., modules.scene, modules.scenegraph) before the frame is rendered,
+ * e.g., to toggle options or to transform nodes.
+ *
+ * Required as a Node module it exports the functions to render batches of scenes.
+ *
+ * @namespace cog1
+ */
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var zlib = require("zlib");
+var imageDecoders = require("./imageDecoders.js");
+
+// The page directory, textures are relative to it.
+var pageDirectory = path.join(__dirname, "..");
+// Background color of the canvas from the style sheet.
+var defaultBackground = "rgb(250, 250, 255)";
+
+// Loaded modules by name, each is its exports object.
+var modules = {};
+// Name of the module that is being loaded.
+var loadingModuleName;
+
+/**
+ * AMD define for modules loaded with loadModule().
+ * Dependencies are loaded first, cyclic ones get the exports object as is.
+ */
+function define(dependencies, factory) {
+	var exports = modules[loadingModuleName];
+	var args = dependencies.map(function(name) {
+		if(name == "exports") {
+			return exports;
+		}
+		if(name == "require") {
+			return amdRequire;
+		}
+		return loadModule(name);
+	});
+	factory.apply(global, args);
+}
+
+/**
+ * AMD require, model.create() loads the model data with it.
+ */
+function amdRequire(dependencies, callback) {
+	var args = dependencies.map(loadModule);
+	if(callback) {
+		callback.apply(global, args);
+	}
+}
+
+amdRequire.toUrl = function(url) {
+	return path.join(__dirname, url);
+};
+
+/**
+ * @parameter name of the module as in the aliases of start.js or a path below cog1/.
+ * @returns exports of the module.
+ */
+function loadModule(name) {
+	name = name.replace(/^cog1\//, "");
+	if(!(name in modules)) {
+		modules[name] = {};
+		loadingModuleName = name;
+		var file = path.join(__dirname, name + ".js");
+		vm.runInThisContext(fs.readFileSync(file, "utf8"), {
+			filename : file
+		});
+	}
+	return modules[name];
+}
+
+/**
+ * Load the pipeline once and create the scene, see createScene.
+ *
+ * @returns the loaded modules by name.
+ */
+function loadPipeline() {
+	if("scene" in modules) {
+		return modules;
+	}
+	global.define = define;
+	global.require = amdRequire;
+	// glMatrix defines globals.
+	var glMatrixFile = path.join(__dirname, "ext/glMatrix.js");
+	vm.runInThisContext(fs.readFileSync(glMatrixFile, "utf8"), {
+		filename : glMatrixFile
+	});
+	modules.glMatrix = {};
+
+	loadModule("texture").setImageLoader(loadImage);
+	loadModule("scene").init();
+	return modules;
+}
+
+/**
+ * Render a frame of the scene into a new in-memory canvas.
+ * Models and textures load synchronously, thus one frame is usually enough.
+ *
+ * @parameter width, height of the canvas.
+ * @parameter background color as "rgb(r, g, b)", default from the style sheet.
+ * @returns the canvas, see createCanvas().
+ */
+function renderFrame(width, height, background) {
+	var scene = loadPipeline().scene;
+	var canvas = createCanvas(width, height);
+	scene.initPipeline(canvas, background || defaultBackground);
+	scene.setUpToDate(false);
+	for(var i = 0; i < 10; i++) {
+		if(scene.render()) {
+			return canvas;
+		}
+	}
+	console.warn("Scene is not up to date after " + i + " frames.");
+	return canvas;
+}
+
+/**
+ * Create a canvas in memory with the part of the 2D context that the pipeline uses.
+ * The pixels are in ctx.data as in ImageData,
+ * cleared pixels are transparent as on a canvas.
+ * Drawing of text and paths is ignored.
+ *
+ * @returns object with width, height and getContext() as a canvas element.
+ */
+function createCanvas(width, height) {
+	var ignore = function() {
+	};
+	var ctx = {
+		data : new Uint8ClampedArray(width * height * 4),
+		createImageData : function(w, h) {
+			return {
+				width : w,
+				height : h,
+				data : new Uint8ClampedArray(w * h * 4)
+			};
+		},
+		getImageData : function(x, y, w, h) {
+			var imageData = this.createImageData(w, h);
+			copyRect(this.data, width, height, x, y, imageData.data, w, 0, 0, w, h);
+			return imageData;
+		},
+		putImageData : function(imageData, dx, dy, dirtyX, dirtyY, dirtyWidth, dirtyHeight) {
+			if(dirtyX == undefined) {
+				dirtyX = 0;
+				dirtyY = 0;
+				dirtyWidth = imageData.width;
+				dirtyHeight = imageData.height;
+			}
+			copyRect(imageData.data, imageData.width, imageData.height, dirtyX, dirtyY, this.data, width, dx + dirtyX, dy + dirtyY, dirtyWidth, dirtyHeight);
+		},
+		clearRect : function(x, y, w, h) {
+			for(var row = Math.max(0, y); row < Math.min(height, y + h); row++) {
+				this.data.fill(0, (row * width + Math.max(0, x)) * 4, (row * width + Math.min(width, x + w)) * 4);
+			}
+		},
+		fillRect : ignore,
+		fillText : ignore,
+		strokeRect : ignore,
+		beginPath : ignore,
+		moveTo : ignore,
+		lineTo : ignore,
+		arc : ignore,
+		fill : ignore,
+		stroke : ignore
+	};
+	return {
+		width : width,
+		height : height,
+		getContext : function() {
+			return ctx;
+		}
+	};
+}
+
+/**
+ * Copy a rectangle of RGBA pixels, clipped to both images.
+ */
+function copyRect(source, sourceWidth, sourceHeight, sx, sy, target, targetWidth, tx, ty, w, h) {
+	var targetHeight = target.length / 4 / targetWidth;
+	for(var row = 0; row < h; row++) {
+		if(sy + row < 0 || sy + row >= sourceHeight || ty + row < 0 || ty + row >= targetHeight) {
+			continue;
+		}
+		for(var col = 0; col < w; col++) {
+			if(sx + col < 0 || sx + col >= sourceWidth || tx + col < 0 || tx + col >= targetWidth) {
+				continue;
+			}
+			var s = ((sy + row) * sourceWidth + sx + col) * 4;
+			var t = ((ty + row) * targetWidth + tx + col) * 4;
+			target[t] = source[s];
+			target[t + 1] = source[s + 1];
+			target[t + 2] = source[s + 2];
+			target[t + 3] = source[s + 3];
+		}
+	}
+}
+
+/**
+ * Image loader for the texture module, see texture.setImageLoader().
+ * The format is detected from the content.
+ * Images that cannot be decoded throw an error instead of rendering a wrong texture.
+ */
+function loadImage(url, callback) {
+	var buffer;
+	try {
+		buffer = fs.readFileSync(path.join(pageDirectory, url));
+	} catch(e) {
+		console.error(url + ": " + e.message);
+		callback(null);
+		return;
+	}
+	callback(decodeImage(buffer, url));
+}
+
+/**
+ * @parameter buffer with the content of a PNG, JPEG or GIF file.
+ * @parameter url of the file for the error message.
+ * @returns object with width, height and data (RGBA bytes) as ImageData.
+ */
+function decodeImage(buffer, url) {
+	try {
+		if(buffer.length >= 8 && buffer.readUInt32BE(0) == 0x89504e47) {
+			return decodePNG(buffer);
+		}
+		if(buffer.length >= 2 && buffer[0] == 0xff && buffer[1] == 0xd8) {
+			return imageDecoders.decodeJPEG(buffer);
+		}
+		if(buffer.toString("ascii", 0, 3) == "GIF") {
+			return imageDecoders.decodeGIF(buffer);
+		}
+	} catch(e) {
+		throw new Error(url + ": " + e.message);
+	}
+	throw new Error(url + ": Only PNG, JPEG and GIF images can be decoded headless.");
+}
+
+/**
+ * Decode a non-interlaced PNG image with 8 bits per channel.
+ *
+ * @parameter buffer with the content of the file.
+ * @returns object with width, height and data (RGBA bytes) as ImageData.
+ */
+function decodePNG(buffer) {
+	if(buffer.length < 8 || buffer.readUInt32BE(0) != 0x89504e47) {
+		throw new Error("Not a PNG image.");
+	}
+	var header = null;
+	var palette = null;
+	var transparency = null;
+	var compressed = [];
+	for(var offset = 8; offset + 8 <= buffer.length; ) {
+		var length = buffer.readUInt32BE(offset);
+		var type = buffer.toString("ascii", offset + 4, offset + 8);
+		var chunk = buffer.subarray(offset + 8, offset + 8 + length);
+		if(type == "IHDR") {
+			header = {
+				width : chunk.readUInt32BE(0),
+				height : chunk.readUInt32BE(4),
+				bitDepth : chunk[8],
+				colorType : chunk[9],
+				interlace : chunk[12]
+			};
+		} else if(type == "PLTE") {
+			palette = chunk;
+		} else if(type == "tRNS") {
+			transparency = chunk;
+		} else if(type == "IDAT") {
+			compressed.push(chunk);
+		} else if(type == "IEND") {
+			break;
+		}
+		offset += length + 12;
+	}
+	// Channels by color type: grey, -, RGB, palette, grey and alpha, -, RGBA.
+	var channels = [1, 0, 3, 1, 2, 0, 4][header.colorType];
+	if(header.bitDepth != 8 || header.interlace != 0 || !channels) {
+		throw new Error("Only non-interlaced PNG images with 8 bits per channel are supported.");
+	}
+
+	// Undo the filter of each row, see the PNG specification.
+	var raw = zlib.inflateSync(Buffer.concat(compressed));
+	var stride = header.width * channels;
+	var pixels = new Uint8Array(stride * header.height);
+	for(var y = 0; y < header.height; y++) {
+		var filter = raw[y * (stride + 1)];
+		var row = y * stride;
+		for(var i = 0; i < stride; i++) {
+			var x = raw[y * (stride + 1) + 1 + i];
+			var a = i >= channels ? pixels[row + i - channels] : 0;
+			var b = y > 0 ? pixels[row - stride + i] : 0;
+			var c = i >= channels && y > 0 ? pixels[row - stride + i - channels] : 0;
+			switch(filter) {
+				case 1:
+					x += a;
+					break;
+				case 2:
+					x += b;
+					break;
+				case 3:
+					x += (a + b) >> 1;
+					break;
+				case 4:
+					// Paeth predictor.
+					var pa = Math.abs(b - c);
+					var pb = Math.abs(a - c);
+					var pc = Math.abs(a + b - 2 * c);
+					x += (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+					break;
+			}
+			pixels[row + i] = x & 255;
+		}
+	}
+
+	var data = new Uint8ClampedArray(header.width * header.height * 4);
+	for(var p = 0; p < header.width * header.height; p++) {
+		var source = p * channels;
+		var rgba;
+		switch(header.colorType) {
+			case 0:
+				rgba = [pixels[source], pixels[source], pixels[source], 255];
+				break;
+			case 2:
+				rgba = [pixels[source], pixels[source + 1], pixels[source + 2], 255];
+				break;
+			case 3:
+				var index = pixels[source];
+				var alpha = transparency != null && index < transparency.length ? transparency[index] : 255;
+				rgba = [palette[3 * index], palette[3 * index + 1], palette[3 * index + 2], alpha];
+				break;
+			case 4:
+				rgba = [pixels[source], pixels[source], pixels[source], pixels[source + 1]];
+				break;
+			case 6:
+				rgba = [pixels[source], pixels[source + 1], pixels[source + 2], pixels[source + 3]];
+				break;
+		}
+		data.set(rgba, p * 4);
+	}
+	return {
+		width : header.width,
+		height : header.height,
+		data : data
+	};
+}
+
+// Table for the CRC of PNG chunks.
+var crcTable = [];
+for(var n = 0; n < 256; n++) {
+	var crc = n;
+	for(var k = 0; k < 8; k++) {
+		crc = (crc & 1) ? (0xedb88320 ^ (crc >>> 1)) : (crc >>> 1);
+	}
+	crcTable[n] = crc;
+}
+
+function pngChunk(type, data) {
+	var typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+	var crc = -1;
+	for(var i = 0; i < typeAndData.length; i++) {
+		crc = crcTable[(crc ^ typeAndData[i]) & 255] ^ (crc >>> 8);
+	}
+	var chunk = Buffer.alloc(typeAndData.length + 8);
+	chunk.writeUInt32BE(data.length, 0);
+	typeAndData.copy(chunk, 4);
+	chunk.writeUInt32BE((crc ^ -1) >>> 0, chunk.length - 4);
+	return chunk;
+}
+
+/**
+ * Encode RGBA pixels as PNG image.
+ *
+ * @parameter data RGBA bytes as in ImageData.
+ * @returns Buffer with the content of the file.
+ */
+function encodePNG(width, height, data) {
+	var stride = width * 4;
+	// Each row starts with filter type 0 (none).
+	var raw = Buffer.alloc((stride + 1) * height);
+	for(var y = 0; y < height; y++) {
+		raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+	}
+	var header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	// 8 bits per channel, RGBA.
+	header[8] = 8;
+	header[9] = 6;
+	return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), pngChunk("IHDR", header), pngChunk("IDAT", zlib.deflateSync(raw)), pngChunk("IEND", Buffer.alloc(0))]);
+}
+
+/**
+ * Write the canvas as PNG image.
+ * Transparent pixels get the background color, which the browser shows behind the canvas.
+ *
+ * @parameter canvas from renderFrame().
+ * @parameter background color as "rgb(r, g, b)", default from the style sheet.
+ */
+function writePNG(file, canvas, background) {
+	var bgColor = (background || defaultBackground).match(/\d+/g).map(Number);
+	var data = canvas.getContext("2d").data;
+	var flat = new Uint8ClampedArray(data.length);
+	for(var i = 0; i < data.length; i += 4) {
+		var alpha = data[i + 3] / 255;
+		for(var c = 0; c < 3; c++) {
+			flat[i + c] = data[i + c] * alpha + bgColor[c] * (1 - alpha);
+		}
+		flat[i + 3] = 255;
+	}
+	fs.writeFileSync(file, encodePNG(canvas.width, canvas.height, flat));
+}
+
+/**
+ * @returns options from the command line with defaults.
+ */
+function parseArguments(args) {
+	var options = {
+		width : 800,
+		height : 600,
+		out : "frame.png",
+		setup : null
+	};
+	for(var i = 0; i < args.length; i += 2) {
+		var name = args[i].replace(/^--/, "");
+		if(!(name in options) || i + 1 >= args.length) {
+			throw new Error("Unknown option or missing value: " + args[i]);
+		}
+		options[name] = typeof options[name] == "number" ? parseInt(args[i + 1]) : args[i + 1];
+	}
+	return options;
+}
+
+function main() {
+	var options;
+	try {
+		options = parseArguments(process.argv.slice(2));
+	} catch(e) {
+		console.error(e.message);
+		console.error("Usage: node cog1/headless.js [--width 800] [--height 600] [--out frame.png] [--setup script.js]");
+		process.exit(1);
+	}
+	loadPipeline();
+	if(options.setup != null) {
+		require(path.resolve(options.setup))(modules);
+	}
+	var startDate = Date.now();
+	var canvas = renderFrame(options.width, options.height);
+	writePNG(options.out, canvas);
+	console.log(options.out + ": " + options.width + "x" + options.height + " in " + (Date.now() - startDate) + " ms");
+}
+
+if(require.main === module) {
+	main();
+}
+
+module.exports = {
+	loadPipeline : loadPipeline,
+	renderFrame : renderFrame,
+	createCanvas : createCanvas,
+	decodePNG : decodePNG,
+	decodeImage : decodeImage,
+	encodePNG : encodePNG,
+	writePNG : writePNG
+};
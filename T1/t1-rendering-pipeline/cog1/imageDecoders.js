@@ -0,0 +1,728 @@
+/**
+ * Decoders of JPEG and GIF images for the headless rendering in Node.js, see headless.js.
+ *
+ * This is not a module but a Node.js script, the browser decodes images itself.
+ * JPEG: baseline and progressive with Huffman coding, grey or YCbCr, any chroma subsampling.
+ * The chroma is upsampled by repeating it, thus colors may differ slightly from the browser.
+ * GIF: the first frame, as the texture canvas shows it.
+ *
+ * @namespace cog1
+ */
+"use strict";
+
+// Position in the 8x8 block of the coefficients in the order of the JPEG stream.
+var zigzag = new Int32Array([
+	0, 1, 8, 16, 9, 2, 3, 10,
+	17, 24, 32, 25, 18, 11, 4, 5,
+	12, 19, 26, 33, 40, 48, 41, 34,
+	27, 20, 13, 6, 7, 14, 21, 28,
+	35, 42, 49, 56, 57, 50, 43, 36,
+	29, 22, 15, 23, 30, 37, 44, 51,
+	58, 59, 52, 45, 38, 31, 39, 46,
+	53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// Cosines of the inverse DCT with the scale factors, idctTable[x * 8 + u].
+var idctTable = new Float64Array(64);
+for(var x = 0; x < 8; x++) {
+	for(var u = 0; u < 8; u++) {
+		idctTable[x * 8 + u] = (u == 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / 16) / 2;
+	}
+}
+
+/**
+ * Decode a JPEG image.
+ *
+ * @parameter buffer with the content of the file.
+ * @returns object with width, height and data (RGBA bytes) as ImageData.
+ */
+function decodeJPEG(buffer) {
+	if(buffer.length < 4 || buffer[0] != 0xff || buffer[1] != 0xd8) {
+		throw new Error("Not a JPEG image.");
+	}
+	// Tables by their index, quantization tables in natural order.
+	var quantizationTables = [];
+	var dcTables = [];
+	var acTables = [];
+	var frame = null;
+	var resetInterval = 0;
+	// Color transform of the APP14 Adobe segment, undefined without it.
+	var adobeTransform;
+
+	var offset = 2;
+	while(offset < buffer.length) {
+		if(buffer[offset] != 0xff) {
+			throw new Error("JPEG marker expected at " + offset + ".");
+		}
+		var marker = buffer[offset + 1];
+		offset += 2;
+		// Fill bytes and markers without segment.
+		if(marker == 0xff) {
+			offset--;
+			continue;
+		}
+		if(marker == 0xd8 || marker == 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+			continue;
+		}
+		if(marker == 0xd9) {
+			break;
+		}
+		var length = buffer.readUInt16BE(offset);
+		var segment = buffer.subarray(offset + 2, offset + length);
+		offset += length;
+		switch(marker) {
+			case 0xdb:
+				// Define quantization tables.
+				for(var i = 0; i < segment.length; ) {
+					var precision = segment[i] >> 4;
+					var table = new Int32Array(64);
+					for(var k = 0; k < 64; k++) {
+						table[zigzag[k]] = precision ? segment.readUInt16BE(i + 1 + 2 * k) : segment[i + 1 + k];
+					}
+					quantizationTables[segment[i] & 15] = table;
+					i += 1 + (precision ? 128 : 64);
+				}
+				break;
+			case 0xc4:
+				// Define Huffman tables.
+				for(var i = 0; i < segment.length; ) {
+					var counts = segment.subarray(i + 1, i + 17);
+					var symbolCount = 0;
+					for(var k = 0; k < 16; k++) {
+						symbolCount += counts[k];
+					}
+					var huffmanTable = createHuffmanTable(counts, segment.subarray(i + 17, i + 17 + symbolCount));
+					if(segment[i] >> 4) {
+						acTables[segment[i] & 15] = huffmanTable;
+					} else {
+						dcTables[segment[i] & 15] = huffmanTable;
+					}
+					i += 17 + symbolCount;
+				}
+				break;
+			case 0xdd:
+				resetInterval = segment.readUInt16BE(0);
+				break;
+			case 0xee:
+				if(segment.toString("ascii", 0, 5) == "Adobe") {
+					adobeTransform = segment[11];
+				}
+				break;
+			case 0xc0:
+			case 0xc1:
+			case 0xc2:
+				frame = createFrame(segment, marker == 0xc2);
+				break;
+			case 0xda:
+				// Start of scan, the entropy coded data follows the segment.
+				if(frame == null) {
+					throw new Error("JPEG scan before the frame header.");
+				}
+				var scan = {
+					components : [],
+					spectralStart : segment[1 + 2 * segment[0]],
+					spectralEnd : segment[2 + 2 * segment[0]],
+					successiveHigh : segment[3 + 2 * segment[0]] >> 4,
+					successiveLow : segment[3 + 2 * segment[0]] & 15,
+					resetInterval : resetInterval
+				};
+				for(var c = 0; c < segment[0]; c++) {
+					var component = frame.componentsById[segment[1 + 2 * c]];
+					component.dcTable = dcTables[segment[2 + 2 * c] >> 4];
+					component.acTable = acTables[segment[2 + 2 * c] & 15];
+					scan.components.push(component);
+				}
+				offset = decodeScan(buffer, offset, frame, scan);
+				break;
+			default:
+				if(marker >= 0xc3 && marker <= 0xcf && marker != 0xc4 && marker != 0xc8 && marker != 0xcc) {
+					throw new Error("Only baseline and progressive JPEG images with Huffman coding are supported.");
+				}
+				// Application data and comments.
+				break;
+		}
+	}
+	if(frame == null) {
+		throw new Error("JPEG image without frame.");
+	}
+	frame.components.forEach(function(component) {
+		component.pixels = dequantizeAndTransform(component, quantizationTables[component.quantizationTable]);
+	});
+	return convertToRGBA(frame, adobeTransform);
+}
+
+/**
+ * @parameter segment of the start of frame.
+ * @returns frame with the size in pixels and blocks and the components.
+ */
+function createFrame(segment, progressive) {
+	var frame = {
+		progressive : progressive,
+		height : segment.readUInt16BE(1),
+		width : segment.readUInt16BE(3),
+		components : [],
+		componentsById : {},
+		maxH : 1,
+		maxV : 1
+	};
+	if(segment[0] != 8) {
+		throw new Error("Only JPEG images with 8 bits per sample are supported.");
+	}
+	for(var c = 0; c < segment[5]; c++) {
+		var component = {
+			h : segment[7 + 3 * c] >> 4,
+			v : segment[7 + 3 * c] & 15,
+			quantizationTable : segment[8 + 3 * c],
+			pred : 0
+		};
+		frame.maxH = Math.max(frame.maxH, component.h);
+		frame.maxV = Math.max(frame.maxV, component.v);
+		frame.components.push(component);
+		frame.componentsById[segment[6 + 3 * c]] = component;
+	}
+	frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+	frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+	frame.components.forEach(function(component) {
+		// Blocks of the component inside the image and with the padding to whole MCUs.
+		component.blocksPerLine = Math.ceil(Math.ceil(frame.width * component.h / frame.maxH) / 8);
+		component.blocksPerColumn = Math.ceil(Math.ceil(frame.height * component.v / frame.maxV) / 8);
+		component.blocksPerLineForMcu = frame.mcusPerLine * component.h;
+		component.blocksPerColumnForMcu = frame.mcusPerColumn * component.v;
+		component.coefficients = new Int32Array(component.blocksPerLineForMcu * component.blocksPerColumnForMcu * 64);
+	});
+	return frame;
+}
+
+/**
+ * Canonical Huffman code from the number of codes of each length, see the JPEG specification F.2.2.3.
+ *
+ * @parameter counts of the codes with 1 to 16 bits.
+ * @parameter symbols in the order of the codes.
+ */
+function createHuffmanTable(counts, symbols) {
+	// Largest code of each length, -1 if there is none,
+	// and the offset from a code to the index of its symbol.
+	var maxCode = new Int32Array(17).fill(-1);
+	var valueOffset = new Int32Array(17);
+	var code = 0;
+	var index = 0;
+	for(var length = 1; length <= 16; length++) {
+		valueOffset[length] = index - code;
+		code += counts[length - 1];
+		index += counts[length - 1];
+		if(counts[length - 1] > 0) {
+			maxCode[length] = code - 1;
+		}
+		code <<= 1;
+	}
+	return {
+		maxCode : maxCode,
+		valueOffset : valueOffset,
+		symbols : Uint8Array.from(symbols)
+	};
+}
+
+/**
+ * Decode the entropy coded data of a scan into the coefficients of its components.
+ *
+ * @parameter offset of the data after the segment of the start of scan.
+ * @returns offset of the marker after the data.
+ */
+function decodeScan(buffer, offset, frame, scan) {
+	var components = scan.components;
+	var spectralStart = scan.spectralStart;
+	var spectralEnd = scan.spectralEnd;
+	var successive = scan.successiveLow;
+	// Run of blocks without further AC coefficients in progressive scans.
+	var eobrun = 0;
+	var bits = 0;
+	var bitCount = 0;
+
+	/**
+	 * @returns next bit of the data, 0 after the end of the data, i.e., at a marker.
+	 */
+	function readBit() {
+		if(bitCount == 0) {
+			if(offset >= buffer.length || (buffer[offset] == 0xff && buffer[offset + 1] != 0)) {
+				return 0;
+			}
+			bits = buffer[offset++];
+			// Skip the stuffed zero byte.
+			if(bits == 0xff) {
+				offset++;
+			}
+			bitCount = 8;
+		}
+		bitCount--;
+		return (bits >> bitCount) & 1;
+	}
+
+	function receive(length) {
+		var value = 0;
+		while(length-- > 0) {
+			value = (value << 1) | readBit();
+		}
+		return value;
+	}
+
+	function receiveExtend(length) {
+		if(length == 0) {
+			return 0;
+		}
+		var value = receive(length);
+		return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+	}
+
+	function decodeHuffman(table) {
+		var code = 0;
+		for(var length = 1; length <= 16; length++) {
+			code = (code << 1) | readBit();
+			if(code <= table.maxCode[length]) {
+				return table.symbols[code + table.valueOffset[length]];
+			}
+		}
+		throw new Error("Invalid Huffman code in JPEG image.");
+	}
+
+	function decodeBaseline(component, coefficients, blockOffset) {
+		component.pred += receiveExtend(decodeHuffman(component.dcTable));
+		coefficients[blockOffset] = component.pred;
+		for(var k = 1; k < 64; ) {
+			var rs = decodeHuffman(component.acTable);
+			var s = rs & 15;
+			var r = rs >> 4;
+			if(s == 0) {
+				if(r < 15) {
+					break;
+				}
+				k += 16;
+				continue;
+			}
+			k += r;
+			coefficients[blockOffset + zigzag[k]] = receiveExtend(s);
+			k++;
+		}
+	}
+
+	function decodeDCFirst(component, coefficients, blockOffset) {
+		component.pred += receiveExtend(decodeHuffman(component.dcTable)) * (1 << successive);
+		coefficients[blockOffset] = component.pred;
+	}
+
+	function decodeDCRefine(component, coefficients, blockOffset) {
+		if(readBit()) {
+			coefficients[blockOffset] |= 1 << successive;
+		}
+	}
+
+	function decodeACFirst(component, coefficients, blockOffset) {
+		if(eobrun > 0) {
+			eobrun--;
+			return;
+		}
+		for(var k = spectralStart; k <= spectralEnd; ) {
+			var rs = decodeHuffman(component.acTable);
+			var s = rs & 15;
+			var r = rs >> 4;
+			if(s == 0) {
+				if(r < 15) {
+					eobrun = receive(r) + (1 << r) - 1;
+					break;
+				}
+				k += 16;
+				continue;
+			}
+			k += r;
+			coefficients[blockOffset + zigzag[k]] = receiveExtend(s) * (1 << successive);
+			k++;
+		}
+	}
+
+	// As decode_mcu_AC_refine() of libjpeg.
+	function decodeACRefine(component, coefficients, blockOffset) {
+		var positive = 1 << successive;
+		var negative = -1 << successive;
+		var k = spectralStart;
+		var index;
+
+		// Refine a coefficient that was not zero before.
+		function refine() {
+			if(readBit() && (coefficients[index] & positive) == 0) {
+				coefficients[index] += coefficients[index] >= 0 ? positive : negative;
+			}
+		}
+
+		if(eobrun == 0) {
+			for(; k <= spectralEnd; k++) {
+				var rs = decodeHuffman(component.acTable);
+				var s = rs & 15;
+				var r = rs >> 4;
+				var value = 0;
+				if(s != 0) {
+					value = readBit() ? positive : negative;
+				} else if(r != 15) {
+					eobrun = (1 << r) + receive(r);
+					break;
+				}
+				// Skip r zero coefficients, refining the ones on the way.
+				for(; k <= spectralEnd; k++) {
+					index = blockOffset + zigzag[k];
+					if(coefficients[index] != 0) {
+						refine();
+					} else if(--r < 0) {
+						break;
+					}
+				}
+				if(value != 0 && k <= spectralEnd) {
+					coefficients[blockOffset + zigzag[k]] = value;
+				}
+			}
+		}
+		if(eobrun > 0) {
+			for(; k <= spectralEnd; k++) {
+				index = blockOffset + zigzag[k];
+				if(coefficients[index] != 0) {
+					refine();
+				}
+			}
+			eobrun--;
+		}
+	}
+
+	var decodeBlock;
+	if(!frame.progressive) {
+		decodeBlock = decodeBaseline;
+	} else if(spectralStart == 0) {
+		decodeBlock = scan.successiveHigh == 0 ? decodeDCFirst : decodeDCRefine;
+	} else {
+		decodeBlock = scan.successiveHigh == 0 ? decodeACFirst : decodeACRefine;
+	}
+
+	function decodeBlockAt(component, row, col) {
+		decodeBlock(component, component.coefficients, 64 * (row * component.blocksPerLineForMcu + col));
+	}
+
+	// A scan of one component is not interleaved, its MCU is one block inside the image.
+	var single = components.length == 1 ? components[0] : null;
+	var mcuCount = single ? single.blocksPerLine * single.blocksPerColumn : frame.mcusPerLine * frame.mcusPerColumn;
+	var interval = scan.resetInterval || mcuCount;
+	for(var mcu = 0; mcu < mcuCount; ) {
+		components.forEach(function(component) {
+			component.pred = 0;
+		});
+		eobrun = 0;
+		bitCount = 0;
+		for(var end = Math.min(mcu + interval, mcuCount); mcu < end; mcu++) {
+			if(single) {
+				decodeBlockAt(single, Math.floor(mcu / single.blocksPerLine), mcu % single.blocksPerLine);
+				continue;
+			}
+			var mcuRow = Math.floor(mcu / frame.mcusPerLine);
+			var mcuCol = mcu % frame.mcusPerLine;
+			for(var c = 0; c < components.length; c++) {
+				var component = components[c];
+				for(var v = 0; v < component.v; v++) {
+					for(var h = 0; h < component.h; h++) {
+						decodeBlockAt(component, mcuRow * component.v + v, mcuCol * component.h + h);
+					}
+				}
+			}
+		}
+		// Skip to the restart marker, or to the marker after the scan.
+		while(offset < buffer.length && !(buffer[offset] == 0xff && buffer[offset + 1] != 0 && buffer[offset + 1] != 0xff)) {
+			offset++;
+		}
+		if(mcu < mcuCount && buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7) {
+			offset += 2;
+		}
+	}
+	// Skip to the next marker that is not a restart marker.
+	while(offset < buffer.length && !(buffer[offset] == 0xff && buffer[offset + 1] != 0 && buffer[offset + 1] != 0xff && (buffer[offset + 1] < 0xd0 || buffer[offset + 1] > 0xd7))) {
+		offset++;
+	}
+	return offset;
+}
+
+/**
+ * Dequantize the coefficients of each block and transform them to samples.
+ *
+ * @returns Uint8ClampedArray with the samples of the component, including the padding to whole MCUs.
+ */
+function dequantizeAndTransform(component, quantizationTable) {
+	if(quantizationTable == undefined) {
+		throw new Error("JPEG component without quantization table.");
+	}
+	var lineLength = component.blocksPerLineForMcu * 8;
+	var pixels = new Uint8ClampedArray(lineLength * component.blocksPerColumnForMcu * 8);
+	var block = new Float64Array(64);
+	var rows = new Float64Array(64);
+	for(var blockRow = 0; blockRow < component.blocksPerColumnForMcu; blockRow++) {
+		for(var blockCol = 0; blockCol < component.blocksPerLineForMcu; blockCol++) {
+			var blockOffset = 64 * (blockRow * component.blocksPerLineForMcu + blockCol);
+			for(var i = 0; i < 64; i++) {
+				block[i] = component.coefficients[blockOffset + i] * quantizationTable[i];
+			}
+			// Separable inverse DCT, first along the rows, then along the columns.
+			for(var y = 0; y < 8; y++) {
+				for(var x = 0; x < 8; x++) {
+					var sum = 0;
+					for(var u = 0; u < 8; u++) {
+						sum += idctTable[x * 8 + u] * block[y * 8 + u];
+					}
+					rows[y * 8 + x] = sum;
+				}
+			}
+			for(var x = 0; x < 8; x++) {
+				for(var y = 0; y < 8; y++) {
+					var sum = 0;
+					for(var v = 0; v < 8; v++) {
+						sum += idctTable[y * 8 + v] * rows[v * 8 + x];
+					}
+					// Undo the level shift.
+					pixels[(blockRow * 8 + y) * lineLength + blockCol * 8 + x] = Math.round(sum + 128);
+				}
+			}
+		}
+	}
+	return pixels;
+}
+
+/**
+ * Upsample the components and convert the colors, YCbCr unless the Adobe segment says RGB.
+ */
+function convertToRGBA(frame, adobeTransform) {
+	var components = frame.components;
+	if(components.length != 1 && components.length != 3) {
+		throw new Error("Only grey, YCbCr and RGB JPEG images are supported, not CMYK.");
+	}
+	var ycbcr = components.length == 3 && adobeTransform !== 0;
+	var width = frame.width;
+	var height = frame.height;
+	var data = new Uint8ClampedArray(width * height * 4);
+	var samples = [0, 0, 0];
+	for(var y = 0; y < height; y++) {
+		for(var x = 0; x < width; x++) {
+			for(var c = 0; c < components.length; c++) {
+				var component = components[c];
+				var sx = Math.floor(x * component.h / frame.maxH);
+				var sy = Math.floor(y * component.v / frame.maxV);
+				samples[c] = component.pixels[sy * component.blocksPerLineForMcu * 8 + sx];
+			}
+			var index = (y * width + x) * 4;
+			if(components.length == 1) {
+				data[index] = data[index + 1] = data[index + 2] = samples[0];
+			} else if(ycbcr) {
+				var cb = samples[1] - 128;
+				var cr = samples[2] - 128;
+				data[index] = samples[0] + 1.402 * cr;
+				data[index + 1] = samples[0] - 0.344136 * cb - 0.714136 * cr;
+				data[index + 2] = samples[0] + 1.772 * cb;
+			} else {
+				data[index] = samples[0];
+				data[index + 1] = samples[1];
+				data[index + 2] = samples[2];
+			}
+			data[index + 3] = 255;
+		}
+	}
+	return {
+		width : width,
+		height : height,
+		data : data
+	};
+}
+
+/**
+ * Decode the first frame of a GIF image.
+ * Pixels the frame does not cover and transparent pixels are transparent.
+ *
+ * @parameter buffer with the content of the file.
+ * @returns object with width, height and data (RGBA bytes) as ImageData.
+ */
+function decodeGIF(buffer) {
+	var signature = buffer.toString("ascii", 0, 6);
+	if(signature != "GIF87a" && signature != "GIF89a") {
+		throw new Error("Not a GIF image.");
+	}
+	var width = buffer.readUInt16LE(6);
+	var height = buffer.readUInt16LE(8);
+	var offset = 13;
+	var globalColorTable = null;
+	if(buffer[10] & 0x80) {
+		globalColorTable = buffer.subarray(offset, offset + 3 * (2 << (buffer[10] & 7)));
+		offset += globalColorTable.length;
+	}
+	// Color index of transparent pixels from the graphic control extension, -1 for none.
+	var transparentIndex = -1;
+
+	while(offset < buffer.length) {
+		var block = buffer[offset++];
+		if(block == 0x21) {
+			// Extension.
+			var label = buffer[offset++];
+			if(label == 0xf9 && (buffer[offset + 1] & 1)) {
+				transparentIndex = buffer[offset + 4];
+			}
+			offset = readSubBlocks(buffer, offset).offset;
+		} else if(block == 0x2c) {
+			// Image descriptor of the first frame.
+			var left = buffer.readUInt16LE(offset);
+			var top = buffer.readUInt16LE(offset + 2);
+			var frameWidth = buffer.readUInt16LE(offset + 4);
+			var frameHeight = buffer.readUInt16LE(offset + 6);
+			var packed = buffer[offset + 8];
+			offset += 9;
+			var colorTable = globalColorTable;
+			if(packed & 0x80) {
+				colorTable = buffer.subarray(offset, offset + 3 * (2 << (packed & 7)));
+				offset += colorTable.length;
+			}
+			if(colorTable == null) {
+				throw new Error("GIF image without color table.");
+			}
+			var minCodeSize = buffer[offset++];
+			var indices = decodeLZW(readSubBlocks(buffer, offset).data, minCodeSize, frameWidth * frameHeight);
+			var rows = (packed & 0x40) ? interlacedRows(frameHeight) : null;
+
+			var data = new Uint8ClampedArray(width * height * 4);
+			for(var row = 0; row < frameHeight; row++) {
+				var y = top + (rows ? rows[row] : row);
+				for(var col = 0; col < frameWidth; col++) {
+					var x = left + col;
+					var colorIndex = indices[row * frameWidth + col];
+					if(x >= width || y >= height || colorIndex == transparentIndex) {
+						continue;
+					}
+					var index = (y * width + x) * 4;
+					data[index] = colorTable[3 * colorIndex];
+					data[index + 1] = colorTable[3 * colorIndex + 1];
+					data[index + 2] = colorTable[3 * colorIndex + 2];
+					data[index + 3] = 255;
+				}
+			}
+			return {
+				width : width,
+				height : height,
+				data : data
+			};
+		} else {
+			break;
+		}
+	}
+	throw new Error("GIF image without frame.");
+}
+
+/**
+ * @parameter offset of the first sub-block.
+ * @returns object with the data of the sub-blocks and the offset after the terminating block.
+ */
+function readSubBlocks(buffer, offset) {
+	var blocks = [];
+	while(offset < buffer.length && buffer[offset] != 0) {
+		blocks.push(buffer.subarray(offset + 1, offset + 1 + buffer[offset]));
+		offset += 1 + buffer[offset];
+	}
+	return {
+		data : Buffer.concat(blocks),
+		offset : offset + 1
+	};
+}
+
+/**
+ * Decode the variable length LZW codes of a GIF image.
+ *
+ * @returns Uint8Array with the color index of each pixel, zero after the end of the data.
+ */
+function decodeLZW(data, minCodeSize, pixelCount) {
+	var output = new Uint8Array(pixelCount);
+	var clearCode = 1 << minCodeSize;
+	var endCode = clearCode + 1;
+	var codeSize = minCodeSize + 1;
+	var nextCode = endCode + 1;
+	// Each string of the dictionary is a prefix string and a last index.
+	var prefix = new Int32Array(4096);
+	var suffix = new Uint8Array(4096);
+	for(var i = 0; i < clearCode; i++) {
+		suffix[i] = i;
+	}
+	// The string of a code is collected backwards.
+	var stack = new Uint8Array(4097);
+	var previous = -1;
+	var first = 0;
+	var bits = 0;
+	var bitCount = 0;
+	var position = 0;
+	var out = 0;
+	while(out < pixelCount) {
+		while(bitCount < codeSize && position < data.length) {
+			bits |= data[position++] << bitCount;
+			bitCount += 8;
+		}
+		if(bitCount < codeSize) {
+			break;
+		}
+		var code = bits & ((1 << codeSize) - 1);
+		bits >>>= codeSize;
+		bitCount -= codeSize;
+
+		if(code == clearCode) {
+			codeSize = minCodeSize + 1;
+			nextCode = endCode + 1;
+			previous = -1;
+			continue;
+		}
+		if(code == endCode) {
+			break;
+		}
+		if(previous == -1) {
+			output[out++] = suffix[code];
+			previous = code;
+			first = suffix[code];
+			continue;
+		}
+		var top = 0;
+		var current = code;
+		// The code is being defined, its string is the previous one plus its first index.
+		if(code >= nextCode) {
+			stack[top++] = first;
+			current = previous;
+		}
+		while(current >= clearCode) {
+			stack[top++] = suffix[current];
+			current = prefix[current];
+		}
+		stack[top++] = current;
+		first = current;
+		if(nextCode < 4096) {
+			prefix[nextCode] = previous;
+			suffix[nextCode] = first;
+			nextCode++;
+			if(nextCode == 1 << codeSize && codeSize < 12) {
+				codeSize++;
+			}
+		}
+		while(top > 0 && out < pixelCount) {
+			output[out++] = stack[--top];
+		}
+		previous = code;
+	}
+	return output;
+}
+
+/**
+ * @returns the image row of each row in the order of an interlaced GIF image.
+ */
+function interlacedRows(height) {
+	var rows = [];
+	[[0, 8], [4, 8], [2, 4], [1, 2]].forEach(function(pass) {
+		for(var y = pass[0]; y < height; y += pass[1]) {
+			rows.push(y);
+		}
+	});
+	return rows;
+}
+
+module.exports = {
+	decodeJPEG : decodeJPEG,
+	decodeGIF : decodeGIF
+};
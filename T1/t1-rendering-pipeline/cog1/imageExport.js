@@ -0,0 +1,596 @@
+/**
+ * Export the frame as image files.
+ *
+ * The color buffer is exported without what the scene draws on top of it (e.g., matrices),
+ * as PNG or as PPM (binary, P6).
+ * The z-buffer is exported as PFM (grey, 32 bit float) with the depth normalized to [0,1],
+ * and the scaled z-buffer as shown by the z-buffer view as PFM or 16-bit grey PNG.
+ * Optionally the layer that the scene draws on top is exported as PNG with alpha.
+ *
+ * The encoders are written in JavaScript, PNG data is compressed with a simple deflate,
+ * thus they work in the browser and in Node.js without further libraries.
+ * Animated GIFs hold frames of the recorder, see recorder.js.
+ *
+ * @namespace cog1
+ * @module imageExport
+ */
+define(["exports", "scene", "framebuffer", "parallel"], function(exports, scene, framebuffer, parallel) {
+	"use strict";
+
+	var colorFormats = ["png", "ppm"];
+	var depthFormats = ["pfm", "png"];
+
+	// Table for the CRC of PNG chunks.
+	var crcTable = [];
+	for(var n = 0; n < 256; n++) {
+		var crc = n;
+		for(var k = 0; k < 8; k++) {
+			crc = (crc & 1) ? (0xedb88320 ^ (crc >>> 1)) : (crc >>> 1);
+		}
+		crcTable[n] = crc;
+	}
+
+	// Tables of deflate for the length codes 257 to 285 and the distance codes 0 to 29.
+	var lengthBases = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+	var lengthExtraBits = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+	var distanceBases = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+	var distanceExtraBits = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+	var maxMatchLength = 258;
+	var windowSize = 32768;
+	// Number of earlier positions tried for a match, more compress better but slower.
+	var maxChainLength = 16;
+	// Code of each match length and distance.
+	var lengthCodes = new Uint8Array(maxMatchLength + 1);
+	for(var c = 0; c < lengthBases.length; c++) {
+		lengthCodes.fill(c, lengthBases[c], maxMatchLength + 1);
+	}
+	var distanceCodes = new Uint8Array(windowSize + 1);
+	for(var c = 0; c < distanceBases.length; c++) {
+		distanceCodes.fill(c, distanceBases[c], windowSize + 1);
+	}
+
+	/**
+	 * Export the frame of the scene.
+	 * In parallel mode the workers must have finished the frame.
+	 *
+	 * @parameter options with the formats of the files to export, missing ones are not exported:
+	 * color is one of colorFormats,
+	 * depth is "pfm" for the normalized depth, see framebuffer.getNormalizedDepth(),
+	 * depthVisualization is one of depthFormats for the scaled z-buffer, see framebuffer.getZBufferImage(),
+	 * overlay is true for the layer on top.
+	 * width and height of the images, default is the size of the canvas.
+	 * For another size the frame is rendered again into the canvas given as option canvas
+	 * or a new canvas element, see scene.renderOffscreen().
+	 * @returns array of files with name, type (MIME type) and data (Uint8Array),
+	 * null if the frame is not finished.
+	 */
+	function exportFrame(options) {
+		if(parallel.isBusy()) {
+			return null;
+		}
+		var ctx = scene.getCtx();
+		var width = options.width || ctx.width;
+		var height = options.height || ctx.height;
+		if(width == ctx.width && height == ctx.height) {
+			return createFiles(options, ctx);
+		}
+
+		var canvas = options.canvas;
+		if(canvas == undefined) {
+			canvas = document.createElement("canvas");
+			canvas.width = width;
+			canvas.height = height;
+		}
+		var files;
+		scene.renderOffscreen(canvas, function(offscreenCtx) {
+			files = createFiles(options, offscreenCtx);
+		});
+		return files;
+	}
+
+	/**
+	 * @parameter ctx of the canvas the framebuffer displayed the frame on.
+	 */
+	function createFiles(options, ctx) {
+		var files = [];
+		var color = framebuffer.getColorImage();
+		if(options.color == "png") {
+			files.push(createFile("color.png", "image/png", encodePNG(color)));
+		} else if(options.color == "ppm") {
+			files.push(createFile("color.ppm", "image/x-portable-pixmap", encodePPM(color)));
+		}
+
+		if(options.depth == "pfm") {
+			files.push(createFile("depth.pfm", "application/octet-stream", encodePFM(framebuffer.getZBufferImage(false))));
+		}
+
+		if(options.depthVisualization == "pfm") {
+			files.push(createFile("depth-view.pfm", "application/octet-stream", encodePFM(framebuffer.getZBufferImage(true))));
+		} else if(options.depthVisualization == "png") {
+			files.push(createFile("depth-view.png", "image/png", encodePNG16(framebuffer.getZBufferImage(true))));
+		}
+
+		if(options.overlay) {
+			files.push(createFile("overlay.png", "image/png", encodePNG(getOverlay(ctx, color))));
+		}
+		return files;
+	}
+
+	function createFile(name, type, data) {
+		return {
+			name : name,
+			type : type,
+			data : data
+		};
+	}
+
+	/**
+	 * The pixels of the canvas that differ from the color buffer,
+	 * all other pixels are transparent.
+	 *
+	 * @parameter color image from framebuffer.getColorImage().
+	 */
+	function getOverlay(ctx, color) {
+		var canvasData = ctx.getImageData(0, 0, color.width, color.height).data;
+		var data = new Uint8ClampedArray(canvasData.length);
+		for(var i = 0; i < data.length; i += 4) {
+			// Cleared pixels of the canvas are transparent.
+			if(canvasData[i + 3] == 0) {
+				continue;
+			}
+			if(canvasData[i] != color.data[i] || canvasData[i + 1] != color.data[i + 1] || canvasData[i + 2] != color.data[i + 2]) {
+				data.set(canvasData.subarray(i, i + 4), i);
+			}
+		}
+		return {
+			width : color.width,
+			height : color.height,
+			data : data
+		};
+	}
+
+	/**
+	 * @parameter image with width, height and data (RGBA bytes) as ImageData.
+	 * @returns PNG file with 8 bit RGBA.
+	 */
+	function encodePNG(image) {
+		var stride = image.width * 4;
+		// Each row starts with filter type 0 (none).
+		var raw = new Uint8Array((stride + 1) * image.height);
+		for(var y = 0; y < image.height; y++) {
+			raw.set(image.data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+		}
+		// Color type 6 is RGBA.
+		return createPNG(image.width, image.height, 8, 6, raw);
+	}
+
+	/**
+	 * @parameter image with width, height and data (floats in [0,1]).
+	 * @returns PNG file with 16 bit grey.
+	 */
+	function encodePNG16(image) {
+		var stride = image.width * 2;
+		var raw = new Uint8Array((stride + 1) * image.height);
+		for(var y = 0; y < image.height; y++) {
+			for(var x = 0; x < image.width; x++) {
+				var value = Math.round(Math.min(1, Math.max(0, image.data[y * image.width + x])) * 65535);
+				// Big endian.
+				var index = y * (stride + 1) + 1 + x * 2;
+				raw[index] = value >> 8;
+				raw[index + 1] = value & 255;
+			}
+		}
+		// Color type 0 is grey.
+		return createPNG(image.width, image.height, 16, 0, raw);
+	}
+
+	/**
+	 * @parameter raw filtered rows of the image.
+	 */
+	function createPNG(width, height, bitDepth, colorType, raw) {
+		var header = new Uint8Array(13);
+		writeUint32(header, 0, width);
+		writeUint32(header, 4, height);
+		header[8] = bitDepth;
+		header[9] = colorType;
+		return concat([new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), createChunk("IHDR", header), createChunk("IDAT", deflate(raw)), createChunk("IEND", new Uint8Array(0))]);
+	}
+
+	function createChunk(type, data) {
+		var chunk = new Uint8Array(data.length + 12);
+		writeUint32(chunk, 0, data.length);
+		for(var i = 0; i < 4; i++) {
+			chunk[4 + i] = type.charCodeAt(i);
+		}
+		chunk.set(data, 8);
+		// The CRC covers type and data.
+		var crc = -1;
+		for(var i = 4; i < data.length + 8; i++) {
+			crc = crcTable[(crc ^ chunk[i]) & 255] ^ (crc >>> 8);
+		}
+		writeUint32(chunk, data.length + 8, (crc ^ -1) >>> 0);
+		return chunk;
+	}
+
+	/**
+	 * Compress with LZ77 and the fixed Huffman codes of deflate (RFC 1951) in a single block.
+	 * Rendered frames have large areas of one color, which become long matches.
+	 *
+	 * @returns zlib stream (RFC 1950) of the data.
+	 */
+	function deflate(data) {
+		// A literal takes at most 9 bits.
+		var stream = new Uint8Array(Math.ceil(data.length * 9 / 8) + 16);
+		// Header: deflate with 32K window, no dictionary.
+		stream[0] = 0x78;
+		stream[1] = 0x01;
+		var offset = 2;
+		var bitBuffer = 0;
+		var bitCount = 0;
+		// Bits are packed starting with the least significant one.
+		function writeBits(value, count) {
+			bitBuffer |= value << bitCount;
+			bitCount += count;
+			while(bitCount >= 8) {
+				stream[offset++] = bitBuffer & 255;
+				bitBuffer >>>= 8;
+				bitCount -= 8;
+			}
+		}
+		// Huffman codes are packed starting with the most significant bit.
+		function writeCode(code, length) {
+			var reversed = 0;
+			for(var i = 0; i < length; i++) {
+				reversed = (reversed << 1) | ((code >> i) & 1);
+			}
+			writeBits(reversed, length);
+		}
+		function writeSymbol(symbol) {
+			if(symbol < 144) {
+				writeCode(0x30 + symbol, 8);
+			} else if(symbol < 256) {
+				writeCode(0x190 + symbol - 144, 9);
+			} else if(symbol < 280) {
+				writeCode(symbol - 256, 7);
+			} else {
+				writeCode(0xc0 + symbol - 280, 8);
+			}
+		}
+		function insert(position) {
+			var hash = ((data[position] << 10) ^ (data[position + 1] << 5) ^ data[position + 2]) & hashMask;
+			previous[position] = head[hash];
+			head[hash] = position;
+		}
+
+		// Final block with fixed codes.
+		writeBits(1, 1);
+		writeBits(1, 2);
+		// Chains of earlier positions with the same hash of the next three bytes.
+		var hashMask = 0x7fff;
+		var head = new Int32Array(hashMask + 1).fill(-1);
+		var previous = new Int32Array(data.length);
+		var i = 0;
+		while(i < data.length) {
+			var bestLength = 0;
+			var bestDistance = 0;
+			if(i + 2 < data.length) {
+				var maxLength = Math.min(maxMatchLength, data.length - i);
+				var candidate = head[((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & hashMask];
+				for(var chain = 0; chain < maxChainLength && candidate >= 0 && i - candidate <= windowSize; chain++) {
+					var length = 0;
+					while(length < maxLength && data[candidate + length] == data[i + length]) {
+						length++;
+					}
+					if(length > bestLength) {
+						bestLength = length;
+						bestDistance = i - candidate;
+						if(length == maxLength) {
+							break;
+						}
+					}
+					candidate = previous[candidate];
+				}
+			}
+			if(bestLength < 3) {
+				if(i + 2 < data.length) {
+					insert(i);
+				}
+				writeSymbol(data[i]);
+				i++;
+				continue;
+			}
+			var lengthCode = lengthCodes[bestLength];
+			writeSymbol(257 + lengthCode);
+			writeBits(bestLength - lengthBases[lengthCode], lengthExtraBits[lengthCode]);
+			var distanceCode = distanceCodes[bestDistance];
+			writeCode(distanceCode, 5);
+			writeBits(bestDistance - distanceBases[distanceCode], distanceExtraBits[distanceCode]);
+			for(var end = i + bestLength; i < end; i++) {
+				if(i + 2 < data.length) {
+					insert(i);
+				}
+			}
+		}
+		// End of block, fill the last byte.
+		writeSymbol(256);
+		writeBits(0, 7);
+
+		// Adler-32 checksum of the data.
+		var a = 1;
+		var s = 0;
+		for(var i = 0; i < data.length; i++) {
+			a = (a + data[i]) % 65521;
+			s = (s + a) % 65521;
+		}
+		writeUint32(stream, offset, ((s << 16) | a) >>> 0);
+		return stream.slice(0, offset + 4);
+	}
+
+	/**
+	 * @parameter image with width, height and data (RGBA bytes) as ImageData.
+	 * @returns PPM file (P6), alpha is left out.
+	 */
+	function encodePPM(image) {
+		var header = asciiBytes("P6\n" + image.width + " " + image.height + "\n255\n");
+		var pixels = image.width * image.height;
+		var file = new Uint8Array(header.length + pixels * 3);
+		file.set(header);
+		for(var p = 0; p < pixels; p++) {
+			file[header.length + p * 3] = image.data[p * 4];
+			file[header.length + p * 3 + 1] = image.data[p * 4 + 1];
+			file[header.length + p * 3 + 2] = image.data[p * 4 + 2];
+		}
+		return file;
+	}
+
+	/**
+	 * @parameter image with width, height and data (floats).
+	 * @returns PFM file (grey, Pf), little endian with the rows from bottom to top.
+	 */
+	function encodePFM(image) {
+		// The negative scale marks little endian.
+		var header = asciiBytes("Pf\n" + image.width + " " + image.height + "\n-1.0\n");
+		var file = new Uint8Array(header.length + image.width * image.height * 4);
+		file.set(header);
+		var view = new DataView(file.buffer, header.length);
+		for(var y = 0; y < image.height; y++) {
+			var row = image.height - 1 - y;
+			for(var x = 0; x < image.width; x++) {
+				view.setFloat32((y * image.width + x) * 4, image.data[row * image.width + x], true);
+			}
+		}
+		return file;
+	}
+
+	/**
+	 * Animated GIF that repeats forever.
+	 * Each frame has its own palette: the exact colors if there are at most 256,
+	 * otherwise a uniform palette of 6 x 7 x 6 levels of red, green and blue.
+	 *
+	 * @parameter frames array of images with width, height and data (RGBA bytes) as ImageData,
+	 * all of the size of the first, alpha is left out.
+	 * @parameter delay between frames in milliseconds, GIF stores hundredths of a second.
+	 * @returns GIF file (GIF89a).
+	 */
+	function encodeGIF(frames, delay) {
+		var width = frames[0].width;
+		var height = frames[0].height;
+		var centiseconds = Math.round(delay / 10);
+		var parts = [];
+		// Header and logical screen without global palette.
+		parts.push(asciiBytes("GIF89a"), new Uint8Array([width & 255, width >> 8, height & 255, height >> 8, 0, 0, 0]));
+		// Application extension to loop forever.
+		parts.push(new Uint8Array([0x21, 0xff, 0x0b]), asciiBytes("NETSCAPE2.0"), new Uint8Array([0x03, 0x01, 0, 0, 0]));
+		frames.forEach(function(frame) {
+			var quantized = quantize(frame);
+			// Graphic control extension with the delay, the frame is not disposed.
+			parts.push(new Uint8Array([0x21, 0xf9, 0x04, 0x04, centiseconds & 255, centiseconds >> 8, 0, 0]));
+			// Image descriptor with a local palette of 256 colors.
+			parts.push(new Uint8Array([0x2c, 0, 0, 0, 0, width & 255, width >> 8, height & 255, height >> 8, 0x87]));
+			parts.push(quantized.palette);
+			parts.push(new Uint8Array([8]), toSubBlocks(compressLZW(quantized.indices, 8)));
+		});
+		parts.push(new Uint8Array([0x3b]));
+		return concat(parts);
+	}
+
+	/**
+	 * @returns palette (256 RGB colors) and index into it for each pixel.
+	 */
+	function quantize(image) {
+		var pixels = image.width * image.height;
+		var palette = new Uint8Array(256 * 3);
+		var indices = new Uint8Array(pixels);
+		var data = image.data;
+		var colors = new Map();
+		for(var p = 0; p < pixels; p++) {
+			var color = (data[p * 4] << 16) | (data[p * 4 + 1] << 8) | data[p * 4 + 2];
+			var index = colors.get(color);
+			if(index == undefined) {
+				if(colors.size == 256) {
+					return quantizeUniform(image);
+				}
+				index = colors.size;
+				colors.set(color, index);
+				palette[index * 3] = data[p * 4];
+				palette[index * 3 + 1] = data[p * 4 + 1];
+				palette[index * 3 + 2] = data[p * 4 + 2];
+			}
+			indices[p] = index;
+		}
+		return {
+			palette : palette,
+			indices : indices
+		};
+	}
+
+	function quantizeUniform(image) {
+		var levels = [6, 7, 6];
+		var palette = new Uint8Array(256 * 3);
+		for(var r = 0; r < levels[0]; r++) {
+			for(var g = 0; g < levels[1]; g++) {
+				for(var b = 0; b < levels[2]; b++) {
+					var index = (r * levels[1] + g) * levels[2] + b;
+					palette[index * 3] = Math.round(r * 255 / (levels[0] - 1));
+					palette[index * 3 + 1] = Math.round(g * 255 / (levels[1] - 1));
+					palette[index * 3 + 2] = Math.round(b * 255 / (levels[2] - 1));
+				}
+			}
+		}
+		var pixels = image.width * image.height;
+		var indices = new Uint8Array(pixels);
+		var data = image.data;
+		for(var p = 0; p < pixels; p++) {
+			var r = Math.round(data[p * 4] * (levels[0] - 1) / 255);
+			var g = Math.round(data[p * 4 + 1] * (levels[1] - 1) / 255);
+			var b = Math.round(data[p * 4 + 2] * (levels[2] - 1) / 255);
+			indices[p] = (r * levels[1] + g) * levels[2] + b;
+		}
+		return {
+			palette : palette,
+			indices : indices
+		};
+	}
+
+	/**
+	 * LZW compression of GIF with codes of growing size up to 12 bits.
+	 *
+	 * @parameter indices into the palette.
+	 * @parameter minCodeSize bits of an index.
+	 * @returns compressed bytes.
+	 */
+	function compressLZW(indices, minCodeSize) {
+		var clearCode = 1 << minCodeSize;
+		var endCode = clearCode + 1;
+		var maxCode = 4095;
+		var codeSize = minCodeSize + 1;
+		var nextCode = endCode + 1;
+		// Code of each string by the code of its prefix and the last index.
+		var dictionary = new Map();
+		// A code takes at most 12 bits.
+		var bytes = new Uint8Array(Math.ceil((indices.length + 2) * 12 / 8) + 1);
+		var offset = 0;
+		var bitBuffer = 0;
+		var bitCount = 0;
+		function writeCode(code) {
+			bitBuffer |= code << bitCount;
+			bitCount += codeSize;
+			while(bitCount >= 8) {
+				bytes[offset++] = bitBuffer & 255;
+				bitBuffer >>>= 8;
+				bitCount -= 8;
+			}
+		}
+
+		writeCode(clearCode);
+		var prefix = indices[0];
+		for(var i = 1; i < indices.length; i++) {
+			var key = (prefix << 8) | indices[i];
+			var code = dictionary.get(key);
+			if(code != undefined) {
+				prefix = code;
+				continue;
+			}
+			writeCode(prefix);
+			if(nextCode > maxCode) {
+				// Table is full, start anew.
+				writeCode(clearCode);
+				dictionary.clear();
+				codeSize = minCodeSize + 1;
+				nextCode = endCode + 1;
+			} else {
+				// The decoder widens the codes when the table reaches the next power of two.
+				if(nextCode >= (1 << codeSize)) {
+					codeSize++;
+				}
+				dictionary.set(key, nextCode++);
+			}
+			prefix = indices[i];
+		}
+		writeCode(prefix);
+		writeCode(endCode);
+		if(bitCount > 0) {
+			bytes[offset++] = bitBuffer & 255;
+		}
+		return bytes.subarray(0, offset);
+	}
+
+	/**
+	 * @returns data split into blocks of at most 255 bytes, each with its length, and the terminator.
+	 */
+	function toSubBlocks(data) {
+		var blocks = Math.ceil(data.length / 255);
+		var result = new Uint8Array(data.length + blocks + 1);
+		var offset = 0;
+		for(var b = 0; b < blocks; b++) {
+			var block = data.subarray(b * 255, (b + 1) * 255);
+			result[offset] = block.length;
+			result.set(block, offset + 1);
+			offset += block.length + 1;
+		}
+		return result;
+	}
+
+	function asciiBytes(text) {
+		var bytes = new Uint8Array(text.length);
+		for(var i = 0; i < text.length; i++) {
+			bytes[i] = text.charCodeAt(i);
+		}
+		return bytes;
+	}
+
+	function writeUint32(bytes, offset, value) {
+		bytes[offset] = value >>> 24;
+		bytes[offset + 1] = (value >>> 16) & 255;
+		bytes[offset + 2] = (value >>> 8) & 255;
+		bytes[offset + 3] = value & 255;
+	}
+
+	function concat(arrays) {
+		var length = 0;
+		arrays.forEach(function(array) {
+			length += array.length;
+		});
+		var result = new Uint8Array(length);
+		var offset = 0;
+		arrays.forEach(function(array) {
+			result.set(array, offset);
+			offset += array.length;
+		});
+		return result;
+	}
+
+	/**
+	 * Let the browser save the files as downloads.
+	 *
+	 * @parameter files from exportFrame().
+	 */
+	function download(files) {
+		files.forEach(function(file) {
+			var url = URL.createObjectURL(new Blob([file.data], {
+				type : file.type
+			}));
+			var link = document.createElement("a");
+			link.href = url;
+			link.download = file.name;
+			document.body.appendChild(link);
+			link.click();
+			document.body.removeChild(link);
+			// Release the data after the download started.
+			setTimeout(function() {
+				URL.revokeObjectURL(url);
+			}, 1000);
+		});
+	}
+
+	// Public API.
+	exports.colorFormats = colorFormats;
+	exports.depthFormats = depthFormats;
+	exports.exportFrame = exportFrame;
+	exports.download = download;
+	exports.encodePNG = encodePNG;
+	exports.encodePNG16 = encodePNG16;
+	exports.encodePPM = encodePPM;
+	exports.encodePFM = encodePFM;
+	exports.encodeGIF = encodeGIF;
+});
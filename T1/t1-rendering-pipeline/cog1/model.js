@@ -10,8 +10,8 @@
  * @namespace cog1
  * @module model
  */
-define(["exports", "dojo", "data", "texture", "glMatrix"], //
-function(exports, dojo, data, texture) {
+define(["exports", "data", "texture", "clip", "glMatrix"], //
+function(exports, data, texture, clip) {
     "use strict";
 
 	// Set from default in scene, which is passed to data on initialization.
@@ -54,7 +54,10 @@ function(exports, dojo, data, texture) {
 			modelData : null,
 			// 4d (quad4) working copy of the vertices to apply transforms to eye/camera coordinates.
 			transformedVertices : null,
+			// 4d (quad4) vertices after projection in homogeneous clip coordinates.
+			clipVertices : null,
 			// 4d (quad4) vertices after transformation and projection in screen coordinates.
+			// The fourth component is 1/w from clip coordinates, see clip.toScreen().
 			projectedVertices : null,
 			// Needed for ready.
 			initTransformedVertricesDone : false,
@@ -76,6 +79,7 @@ function(exports, dojo, data, texture) {
 			getData : getData,
 			getTexture : getTexture,
 			getTransformedVertices : getTransformedVertices,
+			getClipVertices : getClipVertices,
 			getProjectedVertices : getProjectedVertices,
 			getTransformedVertexNormals : getTransformedVertexNormals,
 			getTransformedPolygonNormals : getTransformedPolygonNormals,
@@ -84,6 +88,7 @@ function(exports, dojo, data, texture) {
 			applyMatrixToTransformedVertices : applyMatrixToTransformedVertices,
 			applyMatrixToNormals : applyMatrixToNormals,
 			projectTransformedVertices : projectTransformedVertices,
+			addClippedVertex : addClippedVertex,
 			toggleTriangulation : toggleTriangulation,
 			cleanData : cleanData
 		};
@@ -104,7 +109,7 @@ function(exports, dojo, data, texture) {
 	 */
 	function _requiredModelDataCbk(_modelData, _parameter) {
 		//console.log("requiredModelDataCbk...." + this.name);
-		if(!dojo.isObject(_modelData)) {
+		if(_modelData == null || typeof _modelData != "object") {
 			console.error("Error: The modelData for the model is not valid: " + _modelData);
 			//alert("Error: model.create: " + _modelData);
 			return;
@@ -174,8 +179,10 @@ function(exports, dojo, data, texture) {
 		if(!this.modelData) {
 			return;
 		}
+		this.clipVertices = [];
 		this.projectedVertices = [];
 		for(var i = 0, len = this.modelData.vertices.length; i < len; i++) {
+			this.clipVertices[i] = [];
 			this.projectedVertices[i] = [];
 		}
 		this.initProjectedVerticesDone = true;
@@ -294,14 +301,55 @@ function(exports, dojo, data, texture) {
 
 	/**
 	 * Apply a projection matrix to the transformed vertices
-	 * store the result in projectedVertices
-	 * @parameter matrix is a mat4 matrix
+	 * store the result in clipVertices and, after perspective division
+	 * and viewport transformation, in projectedVertices.
+	 * Vertices added by clipping in the last frame are removed.
+	 * @parameter matrix is a mat4 projection matrix
 	 */
 	function projectTransformedVertices(matrix) {
-		if(this.transformedVertices === null) {
+		if(this.transformedVertices === null || !this.isReady()) {
 			return;
 		}
-		_applyMatrix.call(this, matrix, this.transformedVertices, this.projectedVertices);
+		_removeClippedVertices.call(this);
+		for(var i = 0, len = this.modelData.vertices.length; i < len; i++) {
+			var transformedVertex = this.transformedVertices[i];
+			var clipVertex = this.clipVertices[i];
+			clipVertex[0] = transformedVertex[0];
+			clipVertex[1] = transformedVertex[1];
+			clipVertex[2] = transformedVertex[2];
+			clipVertex[3] = 1;
+			mat4.multiplyVec4(matrix, clipVertex);
+			clip.toScreen(clipVertex, this.projectedVertices[i]);
+		}
+	}
+
+	/**
+	 * Add a vertex created by clipping for the current frame.
+	 * It is appended to the transformed, clip and projected vertices
+	 * and to the transformed vertex normals, thus it can be used
+	 * like any other vertex in raster and shader.
+	 *
+	 * @parameter clipVertex vec4, eyeVertex vec3, normal vec3 (may be undefined).
+	 * @returns the index of the new vertex.
+	 */
+	function addClippedVertex(clipVertex, eyeVertex, normal) {
+		var index = this.transformedVertices.length;
+		this.transformedVertices[index] = eyeVertex;
+		this.clipVertices[index] = clipVertex;
+		this.projectedVertices[index] = clip.toScreen(clipVertex, []);
+		this.transformedVertexNormals[index] = normal || [0, 0, 0];
+		return index;
+	}
+
+	/**
+	 * Cut off vertices added by clipping, see addClippedVertex.
+	 */
+	function _removeClippedVertices() {
+		var len = this.modelData.vertices.length;
+		this.transformedVertices.length = len;
+		this.clipVertices.length = len;
+		this.projectedVertices.length = len;
+		this.transformedVertexNormals.length = this.modelData.vertexNormals.length;
 	}
 
 	/**
@@ -365,6 +413,10 @@ function(exports, dojo, data, texture) {
 		return this.transformedVertices;
 	}
 
+	function getClipVertices() {
+		return this.clipVertices;
+	}
+
 	function getProjectedVertices() {
 		return this.projectedVertices;
 	}
@@ -0,0 +1,89 @@
+/**
+ * 3D Data Store for a particle cloud.
+ * The model has only vertices and no polygons,
+ * thus the vertices are rendered as points, see data.pointSize.
+ *
+ * @namespace cog1.data
+ * @module particles
+ */
+ define(["exports", "data"], function(exports, data) {
+	"use strict";
+
+	/**
+	 * Create an instance of the model defined in this module.
+	 *
+	 * @parameter object with fields:
+	 * @parameter count is the number of particles.
+	 * @parameter scale is the radius of the ball the particles are in.
+	 * @parameter pointSize is the diameter of the particles, see data.pointSize,
+	 * the default is relative to the scale.
+	 * @parameter color index for all particles, if not given the particles get different colors.
+	 * @parameter textureURL for the sprites, if not given they are shaded discs.
+	 * @parameter seed for the pseudo random positions, the same seed gives the same cloud.
+	 *
+	 * @returns instance of this model.
+	 */
+	exports.create = function(parameter) {
+
+		if(parameter) {
+			var count = parameter.count;
+			var scale = parameter.scale;
+			var pointSize = parameter.pointSize;
+			var color = parameter.color;
+			var textureURL = parameter.textureURL;
+			var seed = parameter.seed;
+		}
+		// Set default values if parameter is undefined.
+		if(count == undefined) {
+			count = 500;
+		}
+		if(scale == undefined) {
+			scale = 200;
+		}
+		if(pointSize == undefined) {
+			pointSize = scale / 20;
+		}
+		if(textureURL == undefined) {
+			textureURL = "";
+		}
+		if(seed == undefined) {
+			seed = 1;
+		}
+
+		// Instance of the model to be returned.
+		var instance = {};
+
+		// Minimal standard generator (Park-Miller), Math.random() cannot be seeded.
+		seed = Math.max(1, Math.floor(seed) % 2147483647);
+		function random() {
+			seed = seed * 16807 % 2147483647;
+			return (seed - 1) / 2147483646;
+		}
+
+		// Uniform in the unit ball by rejection from the enclosing cube.
+		instance.vertices = [];
+		instance.pointColors = [];
+		while(instance.vertices.length < count) {
+			var vertex = [2 * random() - 1, 2 * random() - 1, 2 * random() - 1];
+			if(vertex[0] * vertex[0] + vertex[1] * vertex[1] + vertex[2] * vertex[2] > 1) {
+				continue;
+			}
+			// Cycle through the first six default colors.
+			instance.pointColors.push(color != undefined ? color : instance.vertices.length % 6);
+			instance.vertices.push(vertex);
+		}
+		// Use default colors, implicitly.
+		// instance.colors = data.colors;
+
+		// No polygons.
+		instance.polygonVertices = [];
+		instance.polygonColors = [];
+
+		instance.pointSize = pointSize;
+		instance.textureURL = textureURL;
+
+		data.applyScale.call(instance, scale);
+
+		return instance;
+	}
+});
@@ -37,6 +37,14 @@ define(["exports", "shader"], function(exports, shader) {
 			children : [],
 			// Only visible nodes are rendered.
 			visible : _visible,
+			// Opacity in [0,1], nodes with opacity < 1 are transparent.
+			opacity : 1,
+			// Stencil test and operations for the fragments of the node,
+			// see framebuffer.setStencil(), null if not used.
+			stencil : null,
+			// Polygon offset for the fragments of the node, e.g., for decals,
+			// see framebuffer.setPolygonOffset(), null for the default offset.
+			polygonOffset : null,
 			// ran the animations of the node if it has assigned animations.
 			animated : false,
 			// This is the node that visualizes the light source.
@@ -80,10 +88,16 @@ define(["exports", "shader"], function(exports, shader) {
 			getParent : getParent,
 			isReady : isReady,
 			isVisible : isVisible,
+			getOpacity : getOpacity,
+			getStencil : getStencil,
+			getPolygonOffset : getPolygonOffset,
 			isAnimated : isAnimated,
 			getTexture : getTexture,
 			// Setter.
 			setVisible : setVisible,
+			setOpacity : setOpacity,
+			setStencil : setStencil,
+			setPolygonOffset : setPolygonOffset,
 			setAnimated : setAnimated,
 			setParent : setParent,
 			// Transforms and matrix operations.
@@ -200,6 +214,42 @@ define(["exports", "shader"], function(exports, shader) {
 		this.visible = val;
 	}
 
+	function getOpacity() {
+		return this.opacity;
+	}
+
+	/**
+	 * @parameter val in [0,1], 1 is opaque.
+	 */
+	function setOpacity(val) {
+		this.opacity = val;
+	}
+
+	function getStencil() {
+		return this.stencil;
+	}
+
+	/**
+	 * Nodes are rendered in the order of the scene-graph,
+	 * thus a node that writes a mask has to come before the nodes that test it.
+	 * @parameter settings as for framebuffer.setStencil(), null to switch the stencil test off.
+	 */
+	function setStencil(settings) {
+		this.stencil = settings;
+	}
+
+	function getPolygonOffset() {
+		return this.polygonOffset;
+	}
+
+	/**
+	 * Move the node in depth against coplanar geometry, e.g., a decal on a wall.
+	 * @parameter settings as for framebuffer.setPolygonOffset(), null for the default offset.
+	 */
+	function setPolygonOffset(settings) {
+		this.polygonOffset = settings;
+	}
+
 	function isAnimated() {
 		return this.animated;
 	}
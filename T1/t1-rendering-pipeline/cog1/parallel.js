@@ -0,0 +1,318 @@
+/**
+ * Parallel rasterization in Web Workers.
+ *
+ * The framebuffer is split into horizontal bands, one for each worker.
+ * In parallel mode the scene passes the clipped polygons to this module
+ * instead of rasterizing them, see addPolygon().
+ * At the end of the frame the projected and transformed vertices, the normals,
+ * the texture coordinates and the textures are posted to all workers,
+ * together with the current content of their band (e.g., the grid).
+ * Each worker rasterizes all polygons restricted to its band,
+ * with the same raster, shader and framebuffer modules, see rasterWorker.js.
+ * Thus the result matches the single-threaded path pixel for pixel.
+ * The bands are transferred back and copied into the framebuffer,
+ * then the scene finishes the frame with framebuffer.display().
+ *
+ * Multisampling is not supported, the polygons are then rasterized on the main thread.
+ *
+ * @namespace cog1
+ * @module parallel
+ */
+define(["exports", "require", "raster", "shader", "framebuffer", "shadow", "ssao"], function(exports, require, raster, shader, framebuffer, shadow, ssao) {
+	"use strict";
+
+	// Number of workers, 0 rasterizes on the main thread.
+	var workerCounts = [0, 2, 4];
+	var workers = [];
+
+	// Data of the current frame to post to the workers, see beginFrame().
+	var frame = null;
+	// Models of the current frame, the index is used in the polygons.
+	var models = [];
+	// Textures of all frames, the index is the id used in the polygons.
+	// Each worker gets a texture once, see sendTextures().
+	var textures = [];
+
+	// Called when all bands of the frame are back, see render().
+	var finishCallback = null;
+	var pendingBands = 0;
+	var startDate;
+
+	// Statistics of the last frame.
+	var stats = {
+		workers : 0,
+		polygons : 0,
+		// Time in ms from posting the frame until all bands are back.
+		time : 0,
+		// Time in ms of the slowest worker for its band.
+		maxBandTime : 0
+	};
+
+	/**
+	 * Start or stop workers.
+	 * @parameter count one of workerCounts, 0 to rasterize on the main thread.
+	 */
+	function setWorkerCount(count) {
+		terminateWorkers();
+		for(var i = 0; i < count; i++) {
+			var worker;
+			try {
+				worker = new Worker(require.toUrl("./rasterWorker.js"));
+			} catch(e) {
+				// E.g., on the file protocol.
+				console.error("Web Worker could not be started: " + e.message);
+				terminateWorkers();
+				return;
+			}
+			worker.onmessage = onBand;
+			// Number of textures already sent to the worker.
+			worker.textureCount = 0;
+			workers.push(worker);
+		}
+	}
+
+	function getWorkerCount() {
+		return workers.length;
+	}
+
+	function terminateWorkers() {
+		workers.forEach(function(worker) {
+			worker.terminate();
+		});
+		workers = [];
+		// A frame in progress is dropped.
+		finishCallback = null;
+		pendingBands = 0;
+	}
+
+	/**
+	 * @returns true if polygons are to be passed to addPolygon().
+	 * The ambient occlusion samples across the bands, thus it needs the whole frame.
+	 */
+	function isEnabled() {
+		return workers.length > 0 && framebuffer.getMultisampling() == 1 && !ssao.isEnabled();
+	}
+
+	/**
+	 * @returns true while the workers rasterize a frame.
+	 */
+	function isBusy() {
+		return finishCallback != null;
+	}
+
+	/**
+	 * Start to collect the polygons of a frame.
+	 *
+	 * @parameter ctx, bgColor, supersampling as passed to raster.init().
+	 * @parameter edgeColor color object to stroke the edges with.
+	 */
+	function beginFrame(ctx, bgColor, supersampling, edgeColor) {
+		frame = {
+			width : ctx.width,
+			height : ctx.height,
+			bgColor : bgColor,
+			supersampling : supersampling,
+			edgeColor : edgeColor.rgba.slice(),
+			settings : null,
+			models : null,
+			polygons : []
+		};
+		models = [];
+	}
+
+	/**
+	 * Add a polygon to be rasterized in the workers.
+	 * The model and the polygon must be registered with the shader as for raster.fillPolygon().
+	 * The workers fill or stroke the polygon as the scene would.
+	 *
+	 * @parameter model the polygon belongs to, with the projected vertices for this frame.
+	 * @parameter polygonIndex index of the polygon in the model data.
+	 * @parameter polygon, color, textureCoord, polygonTextureCoord, texture as for raster.fillPolygon().
+	 * @parameter fill the polygon, otherwise stroke it with its color, unless edges is true.
+	 * @parameter edges stroke the polygon with the edge color, see beginFrame().
+	 */
+	function addPolygon(model, polygonIndex, polygon, color, textureCoord, polygonTextureCoord, texture, fill, edges) {
+		var modelIndex = models.indexOf(model);
+		if(modelIndex == -1) {
+			modelIndex = models.length;
+			models.push(model);
+		}
+		// Texture coordinates in the order of the vertices.
+		var uv = null;
+		if(texture != null) {
+			uv = [];
+			for(var v = 0; v < polygon.length; v++) {
+				uv.push(textureCoord[polygonTextureCoord[v]]);
+			}
+		}
+		frame.polygons.push({
+			model : modelIndex,
+			index : polygonIndex,
+			polygon : polygon,
+			rgba : color.rgba.slice(),
+			uv : uv,
+			texture : texture != null ? textureId(texture) : -1,
+			opacity : framebuffer.getOpacity(),
+			stencil : framebuffer.getStencil(),
+			polygonOffset : framebuffer.getPolygonOffset(),
+			objectId : framebuffer.getObjectId(),
+			fill : fill,
+			edges : edges
+		});
+	}
+
+	/**
+	 * Post the frame to the workers.
+	 * @parameter callback is called when the bands are copied into the framebuffer.
+	 */
+	function render(callback) {
+		startDate = Date.now();
+
+		frame.models = models.map(packModel);
+		frame.settings = {
+			shadingFunctionName : shader.getShadingFunctionName(),
+			ambientLightIntensity : shader.getAmbientLightIntensity(),
+			pointLightIntensity : shader.getPointLightIntensity(),
+			lightPosition : Array.prototype.slice.call(shader.getLightPosition()),
+			specularLightIntensity : shader.getSpecularLightIntensity(),
+			specularLightExponent : shader.getSpecularLightExponent(),
+			perspectiveCorrect : raster.getPerspectiveCorrect(),
+			rasterizerName : raster.getRasterizerName(),
+			lineModeName : raster.getLineModeName(),
+			lineWidth : raster.getLineWidth(),
+			dashPatternName : raster.getDashPatternName(),
+			deferredShading : framebuffer.getDeferredShading(),
+			hdr : framebuffer.getHdr(),
+			depthEpsilon : framebuffer.getDepthEpsilon(),
+			defaultPolygonOffset : framebuffer.getDefaultPolygonOffset(),
+			edgeOffset : framebuffer.getEdgeOffset(),
+			shadow : shadow.getData()
+		};
+
+		// Split the rows of the framebuffer.
+		var height = frame.height * frame.supersampling;
+		var bandHeight = Math.ceil(height / workers.length);
+		finishCallback = callback;
+		pendingBands = 0;
+		for(var i = 0; i < workers.length; i++) {
+			var y = i * bandHeight;
+			var h = Math.min(bandHeight, height - y);
+			if(h <= 0) {
+				break;
+			}
+			sendTextures(workers[i]);
+			var region = framebuffer.getRegion(y, h);
+			frame.band = {
+				y : y,
+				height : h,
+				rgba : region.rgba,
+				z : region.z,
+				ids : region.ids
+			};
+			workers[i].postMessage({
+				type : "frame",
+				frame : frame
+			}, [region.rgba.buffer, region.z.buffer, region.ids.buffer]);
+			pendingBands++;
+		}
+
+		stats.workers = workers.length;
+		stats.polygons = frame.polygons.length;
+		stats.maxBandTime = 0;
+		frame = null;
+		models = [];
+	}
+
+	/**
+	 * Copy a band from a worker into the framebuffer.
+	 * Finish the frame when all bands are back.
+	 */
+	function onBand(event) {
+		var band = event.data;
+		// Drop bands of a frame that was stopped.
+		if(finishCallback == null) {
+			return;
+		}
+		if(!framebuffer.setRegion(band.y, band.height, band.rgba, band.z, band.dirtyRects, band.ids)) {
+			console.warn("Band from worker does not fit into the framebuffer.");
+		}
+		stats.maxBandTime = Math.max(stats.maxBandTime, band.time);
+		pendingBands--;
+		if(pendingBands == 0) {
+			stats.time = Date.now() - startDate;
+			var callback = finishCallback;
+			finishCallback = null;
+			callback();
+		}
+	}
+
+	/**
+	 * Vertex data of a model as typed arrays, which are copied fast to the workers.
+	 */
+	function packModel(model) {
+		return {
+			projectedVertices : pack(model.getProjectedVertices(), 4),
+			transformedVertices : pack(model.getTransformedVertices(), 3),
+			vertexNormals : pack(model.getTransformedVertexNormals(), 3),
+			polygonNormals : pack(model.getTransformedPolygonNormals(), 3)
+		};
+	}
+
+	/**
+	 * Flatten an array of vectors into a Float64Array,
+	 * which keeps the numbers exactly as they are.
+	 * Missing vectors are stored as NaN.
+	 */
+	function pack(vectors, size) {
+		var packed = new Float64Array(vectors.length * size);
+		for(var i = 0; i < vectors.length; i++) {
+			for(var j = 0; j < size; j++) {
+				packed[i * size + j] = vectors[i] ? vectors[i][j] : NaN;
+			}
+		}
+		return packed;
+	}
+
+	function textureId(texture) {
+		var id = textures.indexOf(texture);
+		if(id == -1) {
+			id = textures.length;
+			textures.push(texture);
+		}
+		return id;
+	}
+
+	/**
+	 * Post the textures to the worker that it does not have yet.
+	 */
+	function sendTextures(worker) {
+		for(var id = worker.textureCount; id < textures.length; id++) {
+			var texture = textures[id];
+			worker.postMessage({
+				type : "texture",
+				id : id,
+				width : texture.width,
+				height : texture.height,
+				imageData : texture.imageData,
+				sampleProcedural : texture.sampleProcedural,
+				proceduralSampleFunctionName : texture.proceduralSampleFunctionName
+			});
+		}
+		worker.textureCount = textures.length;
+	}
+
+	function getStats() {
+		return stats;
+	}
+
+	// Public API.
+	exports.workerCounts = workerCounts;
+	exports.setWorkerCount = setWorkerCount;
+	exports.getWorkerCount = getWorkerCount;
+	exports.isEnabled = isEnabled;
+	exports.isBusy = isBusy;
+	exports.beginFrame = beginFrame;
+	exports.addPolygon = addPolygon;
+	exports.render = render;
+	exports.getStats = getStats;
+});
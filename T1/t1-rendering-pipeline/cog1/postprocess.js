@@ -0,0 +1,484 @@
+/**
+ * Post-processing of the frame in image space, between rasterization and display.
+ *
+ * The framebuffer passes the color buffer and the z-buffer of the whole frame,
+ * see framebuffer.display(). The enabled effects run one after another as a chain,
+ * each reads the result of the previous one and writes into another buffer.
+ * The colors in the chain are floats, rgba in [0,1], values above 1 are allowed
+ * and clamped only when the result is written as bytes.
+ *
+ * Effects are registered by name, as the shading functions in the shader.
+ * An effect is a function(src, dest, width, height, depth) with
+ * src and dest rgba as Float32Array and depth the z-buffer of the frame, see framebuffer.
+ * Its parameters are in an object that the effect reads on each call.
+ *
+ * @namespace cog1
+ * @module postprocess
+ */
+define(["exports"], function(exports) {
+	"use strict";
+
+	// Names of the registered effects in the order they run in the chain.
+	var effectNames = ["colorGrading", "bloom", "fxaa", "vignette", "gamma"];
+	var effects = {
+		colorGrading : colorGrading,
+		bloom : bloom,
+		fxaa : fxaa,
+		vignette : vignette,
+		gamma : gamma
+	};
+	// Parameters of the effects by name, see setParameter().
+	var parameters = {
+		colorGrading : {
+			brightness : 0,
+			contrast : 1.1,
+			saturation : 1.2,
+			// Multiplied with the color, a warm tint as default.
+			tint : [1.05, 1, 0.92]
+		},
+		bloom : {
+			// Luminance above which pixels glow.
+			threshold : 0.7,
+			intensity : 0.8,
+			// Standard deviation of the blur in pixels of the half resolution.
+			sigma : 4
+		},
+		fxaa : {
+			// Minimum local contrast, relative to the brightest neighbor, to treat a pixel as edge.
+			edgeThreshold : 1 / 8,
+			// Minimum absolute contrast, skips dark regions.
+			edgeThresholdMin : 1 / 32,
+			// Maximum length of the search along the edge in pixels.
+			spanMax : 8
+		},
+		vignette : {
+			// Darkening in the corners, 0 is none, 1 is black.
+			strength : 0.6,
+			// Distance from the center where the darkening starts, 1 is a corner.
+			radius : 0.5,
+			// Distance over which it fades in.
+			softness : 0.6
+		},
+		gamma : {
+			gamma : 2.2
+		}
+	};
+
+	// Names of the effects that run, in the order of effectNames, see setChain().
+	var chain = [];
+
+	// Buffers to pass the frame from one effect to the next.
+	var bufferA = null;
+	var bufferB = null;
+
+	// Statistics of the last apply().
+	var stats = {
+		// Time per effect by name and in total in ms.
+		times : {},
+		time : 0
+	};
+
+	/**
+	 * Register an effect, an existing one with the same name is replaced.
+	 * New effects are appended to the end of the chain order.
+	 *
+	 * @parameter name of the effect.
+	 * @parameter effect function(src, dest, width, height, depth), see module description.
+	 * @parameter _parameters object with the parameters of the effect, may be undefined.
+	 */
+	function registerEffect(name, effect, _parameters) {
+		if(effectNames.indexOf(name) == -1) {
+			effectNames.push(name);
+		}
+		effects[name] = effect;
+		parameters[name] = _parameters || {};
+	}
+
+	/**
+	 * Set the effects that run, they are sorted into the order of effectNames.
+	 * Unknown names are ignored.
+	 *
+	 * @parameter names array of effect names.
+	 */
+	function setChain(names) {
+		chain = effectNames.filter(function(name) {
+			return names.indexOf(name) != -1;
+		});
+	}
+
+	/**
+	 * @returns copy of the names of the effects that run in order.
+	 */
+	function getChain() {
+		return chain.slice();
+	}
+
+	/**
+	 * Switch an effect on or off.
+	 * @parameter name one of effectNames.
+	 */
+	function toggleEffect(name) {
+		var names = chain.slice();
+		var index = names.indexOf(name);
+		if(index == -1) {
+			names.push(name);
+		} else {
+			names.splice(index, 1);
+		}
+		setChain(names);
+	}
+
+	function isEnabled(name) {
+		return chain.indexOf(name) != -1;
+	}
+
+	/**
+	 * @returns true if any effect runs.
+	 */
+	function isActive() {
+		return chain.length > 0;
+	}
+
+	/**
+	 * @parameter name of the effect, parameterName, value see parameters.
+	 */
+	function setParameter(name, parameterName, value) {
+		parameters[name][parameterName] = value;
+	}
+
+	/**
+	 * @returns the parameters of the effect as object, to read, see setParameter().
+	 */
+	function getParameters(name) {
+		return parameters[name];
+	}
+
+	function getEffectNames() {
+		return effectNames.slice();
+	}
+
+	function getStats() {
+		return stats;
+	}
+
+	/**
+	 * Run the chain over the frame.
+	 *
+	 * @parameter rgba color buffer of the frame, as ImageData.
+	 * @parameter depth z-buffer of the frame, see framebuffer.
+	 * @parameter width, height of the buffers.
+	 * @parameter dest rgba bytes, as ImageData, for the result.
+	 */
+	function apply(rgba, depth, width, height, dest) {
+		var startDate = Date.now();
+		var size = width * height * 4;
+		if(bufferA == null || bufferA.length != size) {
+			bufferA = new Float32Array(size);
+			bufferB = new Float32Array(size);
+		}
+		for(var i = 0; i < size; i++) {
+			bufferA[i] = rgba[i] / 255;
+		}
+		var src = bufferA;
+		var result = bufferB;
+		stats.times = {};
+		for(var e = 0; e < chain.length; e++) {
+			var effectDate = Date.now();
+			effects[chain[e]](src, result, width, height, depth);
+			stats.times[chain[e]] = Date.now() - effectDate;
+			// The result is the source of the next effect.
+			var swap = src;
+			src = result;
+			result = swap;
+		}
+		// Uint8ClampedArray rounds and clamps.
+		for(var i = 0; i < size; i++) {
+			dest[i] = src[i] * 255;
+		}
+		stats.time = Date.now() - startDate;
+	}
+
+	/**
+	 * @returns luminance of the pixel at index in buf.
+	 */
+	function luminance(buf, index) {
+		return 0.299 * buf[index] + 0.587 * buf[index + 1] + 0.114 * buf[index + 2];
+	}
+
+	function smoothstep(edge0, edge1, x) {
+		var t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+		return t * t * (3 - 2 * t);
+	}
+
+	/**
+	 * Sample rgb bilinear at a position in pixels, 0 is the center of the first pixel.
+	 * Positions outside are clamped to the border.
+	 *
+	 * @parameter stride number of values per pixel, 4 for rgba, 3 for rgb.
+	 * @parameter out array for rgb.
+	 * @returns out.
+	 */
+	function sampleBilinear(buf, width, height, stride, x, y, out) {
+		x = Math.min(Math.max(x, 0), width - 1);
+		y = Math.min(Math.max(y, 0), height - 1);
+		var x0 = Math.floor(x);
+		var y0 = Math.floor(y);
+		var x1 = Math.min(x0 + 1, width - 1);
+		var y1 = Math.min(y0 + 1, height - 1);
+		var fx = x - x0;
+		var fy = y - y0;
+		var i00 = (y0 * width + x0) * stride;
+		var i10 = (y0 * width + x1) * stride;
+		var i01 = (y1 * width + x0) * stride;
+		var i11 = (y1 * width + x1) * stride;
+		for(var c = 0; c < 3; c++) {
+			var top = buf[i00 + c] + (buf[i10 + c] - buf[i00 + c]) * fx;
+			var bottom = buf[i01 + c] + (buf[i11 + c] - buf[i01 + c]) * fx;
+			out[c] = top + (bottom - top) * fy;
+		}
+		return out;
+	}
+
+	/**
+	 * Brightness, contrast around mid grey, saturation and a tint.
+	 */
+	function colorGrading(src, dest, width, height) {
+		var p = parameters.colorGrading;
+		var size = width * height * 4;
+		for(var i = 0; i < size; i += 4) {
+			var r = src[i] * p.tint[0];
+			var g = src[i + 1] * p.tint[1];
+			var b = src[i + 2] * p.tint[2];
+			r = (r - 0.5) * p.contrast + 0.5 + p.brightness;
+			g = (g - 0.5) * p.contrast + 0.5 + p.brightness;
+			b = (b - 0.5) * p.contrast + 0.5 + p.brightness;
+			var l = 0.299 * r + 0.587 * g + 0.114 * b;
+			dest[i] = Math.max(0, l + (r - l) * p.saturation);
+			dest[i + 1] = Math.max(0, l + (g - l) * p.saturation);
+			dest[i + 2] = Math.max(0, l + (b - l) * p.saturation);
+			dest[i + 3] = src[i + 3];
+		}
+	}
+
+	/**
+	 * Bright parts glow: the part above the threshold is blurred
+	 * with a separable Gaussian in half resolution and added.
+	 */
+	function bloom(src, dest, width, height) {
+		var p = parameters.bloom;
+		// Bright pass, averaged over 2x2 pixels.
+		var w = Math.ceil(width / 2);
+		var h = Math.ceil(height / 2);
+		var bright = new Float32Array(w * h * 3);
+		for(var y = 0; y < h; y++) {
+			for(var x = 0; x < w; x++) {
+				var r = 0, g = 0, b = 0, n = 0;
+				for(var dy = 0; dy < 2; dy++) {
+					for(var dx = 0; dx < 2; dx++) {
+						var sx = 2 * x + dx;
+						var sy = 2 * y + dy;
+						if(sx >= width || sy >= height) {
+							continue;
+						}
+						var index = (sy * width + sx) * 4;
+						var l = luminance(src, index);
+						if(l > p.threshold) {
+							// Keep the hue, scale to the part above the threshold.
+							var scale = (l - p.threshold) / l;
+							r += src[index] * scale;
+							g += src[index + 1] * scale;
+							b += src[index + 2] * scale;
+						}
+						n++;
+					}
+				}
+				var brightIndex = (y * w + x) * 3;
+				bright[brightIndex] = r / n;
+				bright[brightIndex + 1] = g / n;
+				bright[brightIndex + 2] = b / n;
+			}
+		}
+
+		// Gaussian kernel, cut at three standard deviations.
+		var radius = Math.ceil(3 * p.sigma);
+		var kernel = [];
+		var sum = 0;
+		for(var k = -radius; k <= radius; k++) {
+			kernel.push(Math.exp(-k * k / (2 * p.sigma * p.sigma)));
+			sum += kernel[kernel.length - 1];
+		}
+		kernel = kernel.map(function(weight) {
+			return weight / sum;
+		});
+		var blurred = blur(bright, w, h, kernel, 1, 0);
+		blurred = blur(blurred, w, h, kernel, 0, 1);
+
+		var glow = [];
+		for(var y = 0; y < height; y++) {
+			for(var x = 0; x < width; x++) {
+				// Pixel centers in half resolution.
+				sampleBilinear(blurred, w, h, 3, (x + 0.5) / 2 - 0.5, (y + 0.5) / 2 - 0.5, glow);
+				var index = (y * width + x) * 4;
+				dest[index] = src[index] + glow[0] * p.intensity;
+				dest[index + 1] = src[index + 1] + glow[1] * p.intensity;
+				dest[index + 2] = src[index + 2] + glow[2] * p.intensity;
+				dest[index + 3] = src[index + 3];
+			}
+		}
+	}
+
+	/**
+	 * Convolve rgb with a 1D kernel in direction dx, dy, clamped at the border.
+	 * @returns new Float32Array.
+	 */
+	function blur(buf, width, height, kernel, dx, dy) {
+		var result = new Float32Array(buf.length);
+		var radius = (kernel.length - 1) / 2;
+		for(var y = 0; y < height; y++) {
+			for(var x = 0; x < width; x++) {
+				var r = 0, g = 0, b = 0;
+				for(var k = -radius; k <= radius; k++) {
+					var sx = Math.min(Math.max(x + k * dx, 0), width - 1);
+					var sy = Math.min(Math.max(y + k * dy, 0), height - 1);
+					var index = (sy * width + sx) * 3;
+					var weight = kernel[k + radius];
+					r += buf[index] * weight;
+					g += buf[index + 1] * weight;
+					b += buf[index + 2] * weight;
+				}
+				var index = (y * width + x) * 3;
+				result[index] = r;
+				result[index + 1] = g;
+				result[index + 2] = b;
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Fast approximate anti-aliasing (FXAA) after Timothy Lottes:
+	 * Pixels with a high contrast to their neighbors are treated as edge.
+	 * The direction of the edge is estimated from the luminance of the diagonal neighbors,
+	 * the pixel is blended with bilinear samples along the edge.
+	 */
+	function fxaa(src, dest, width, height) {
+		var p = parameters.fxaa;
+		var reduceMul = 1 / 8;
+		var reduceMin = 1 / 128;
+		var rgbA = [];
+		var rgbB = [];
+		var sample = [];
+		for(var y = 0; y < height; y++) {
+			var yUp = Math.max(y - 1, 0);
+			var yDown = Math.min(y + 1, height - 1);
+			for(var x = 0; x < width; x++) {
+				var xLeft = Math.max(x - 1, 0);
+				var xRight = Math.min(x + 1, width - 1);
+				var index = (y * width + x) * 4;
+				dest[index + 3] = src[index + 3];
+
+				var lumaM = luminance(src, index);
+				var lumaN = luminance(src, (yUp * width + x) * 4);
+				var lumaS = luminance(src, (yDown * width + x) * 4);
+				var lumaW = luminance(src, (y * width + xLeft) * 4);
+				var lumaE = luminance(src, (y * width + xRight) * 4);
+				var lumaMin = Math.min(lumaM, lumaN, lumaS, lumaW, lumaE);
+				var lumaMax = Math.max(lumaM, lumaN, lumaS, lumaW, lumaE);
+				if(lumaMax - lumaMin < Math.max(p.edgeThresholdMin, lumaMax * p.edgeThreshold)) {
+					dest[index] = src[index];
+					dest[index + 1] = src[index + 1];
+					dest[index + 2] = src[index + 2];
+					continue;
+				}
+
+				var lumaNW = luminance(src, (yUp * width + xLeft) * 4);
+				var lumaNE = luminance(src, (yUp * width + xRight) * 4);
+				var lumaSW = luminance(src, (yDown * width + xLeft) * 4);
+				var lumaSE = luminance(src, (yDown * width + xRight) * 4);
+				lumaMin = Math.min(lumaMin, lumaNW, lumaNE, lumaSW, lumaSE);
+				lumaMax = Math.max(lumaMax, lumaNW, lumaNE, lumaSW, lumaSE);
+
+				// Direction along the edge, y points down.
+				var dirX = -((lumaNW + lumaNE) - (lumaSW + lumaSE));
+				var dirY = (lumaNW + lumaSW) - (lumaNE + lumaSE);
+				var dirReduce = Math.max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * reduceMul, reduceMin);
+				var rcpDirMin = 1 / (Math.min(Math.abs(dirX), Math.abs(dirY)) + dirReduce);
+				dirX = Math.min(Math.max(dirX * rcpDirMin, -p.spanMax), p.spanMax);
+				dirY = Math.min(Math.max(dirY * rcpDirMin, -p.spanMax), p.spanMax);
+
+				// Two samples close to the pixel and two further out along the edge.
+				sampleBilinear(src, width, height, 4, x + dirX * (1 / 3 - 0.5), y + dirY * (1 / 3 - 0.5), rgbA);
+				sampleBilinear(src, width, height, 4, x + dirX * (2 / 3 - 0.5), y + dirY * (2 / 3 - 0.5), sample);
+				for(var c = 0; c < 3; c++) {
+					rgbA[c] = (rgbA[c] + sample[c]) / 2;
+				}
+				sampleBilinear(src, width, height, 4, x - dirX * 0.5, y - dirY * 0.5, rgbB);
+				sampleBilinear(src, width, height, 4, x + dirX * 0.5, y + dirY * 0.5, sample);
+				for(var c = 0; c < 3; c++) {
+					rgbB[c] = rgbA[c] / 2 + (rgbB[c] + sample[c]) / 4;
+				}
+				// The far samples may have crossed another edge.
+				var lumaB = luminance(rgbB, 0);
+				var rgb = (lumaB < lumaMin || lumaB > lumaMax) ? rgbA : rgbB;
+				dest[index] = rgb[0];
+				dest[index + 1] = rgb[1];
+				dest[index + 2] = rgb[2];
+			}
+		}
+	}
+
+	/**
+	 * Darken towards the corners.
+	 */
+	function vignette(src, dest, width, height) {
+		var p = parameters.vignette;
+		// Normalize the distance from the center to 1 in the corners.
+		var halfDiagonal = Math.sqrt(width * width + height * height) / 2;
+		for(var y = 0; y < height; y++) {
+			var dy = y + 0.5 - height / 2;
+			for(var x = 0; x < width; x++) {
+				var dx = x + 0.5 - width / 2;
+				var distance = Math.sqrt(dx * dx + dy * dy) / halfDiagonal;
+				var factor = 1 - p.strength * smoothstep(p.radius, p.radius + p.softness, distance);
+				var index = (y * width + x) * 4;
+				dest[index] = src[index] * factor;
+				dest[index + 1] = src[index + 1] * factor;
+				dest[index + 2] = src[index + 2] * factor;
+				dest[index + 3] = src[index + 3];
+			}
+		}
+	}
+
+	/**
+	 * Gamma correction for the display, c^(1/gamma).
+	 */
+	function gamma(src, dest, width, height) {
+		var exponent = 1 / parameters.gamma.gamma;
+		var size = width * height * 4;
+		for(var i = 0; i < size; i += 4) {
+			dest[i] = Math.pow(Math.max(src[i], 0), exponent);
+			dest[i + 1] = Math.pow(Math.max(src[i + 1], 0), exponent);
+			dest[i + 2] = Math.pow(Math.max(src[i + 2], 0), exponent);
+			dest[i + 3] = src[i + 3];
+		}
+	}
+
+	// Public API.
+	exports.registerEffect = registerEffect;
+	exports.setChain = setChain;
+	exports.getChain = getChain;
+	exports.toggleEffect = toggleEffect;
+	exports.isEnabled = isEnabled;
+	exports.isActive = isActive;
+	exports.setParameter = setParameter;
+	exports.getParameters = getParameters;
+	exports.getEffectNames = getEffectNames;
+	exports.getStats = getStats;
+	exports.apply = apply;
+	// Export the effects to use them in effects of other modules.
+	exports.colorGrading = colorGrading;
+	exports.bloom = bloom;
+	exports.fxaa = fxaa;
+	exports.vignette = vignette;
+	exports.gamma = gamma;
+});
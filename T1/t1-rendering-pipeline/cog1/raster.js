@@ -14,7 +14,7 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
         // Passed to initialize framebuffer.
         // As raster uses the framebuffer to access the canvas ctx is for debug.
         var ctx;
-        // Width and height of the ctx are used for clipping.
+        // Width and height of the framebuffer are used for clipping.
         var width;
         var height;
 
@@ -44,11 +44,157 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
         // Filled on demand from the interpolation functions.
         var interpolationData = {};
 
-        function init(_ctx, _bgColor) {
+        // Interpolate texture coordinates and shader weights perspective-correct,
+        // i.e., linear in eye space (hyperbolic in screen space).
+        // Otherwise interpolate affine, i.e., linear in screen space.
+        // Uses 1/w from the projected vertices, see clip.toScreen().
+        // The depth is always interpolated linear in screen space, as for lines and edges,
+        // it is the projected z/w, which is linear in screen space, see clip.toScreen().
+        var perspectiveCorrect = false;
+        // Projected vertices of the polygon currently processed, to look up 1/w.
+        var polygonVertices;
+
+        // Algorithms to fill polygons, see fillPolygon().
+        var rasterizerNames = ["scanline", "edgeFunction", "tiled"];
+        var rasterizerName = "scanline";
+        // Sub-pixel precision of the vertices for the edge-function rasterizer.
+        var subPixelBits = 4;
+        var subPixelSteps = 1 << subPixelBits;
+        // Pixels the rasterizers are restricted to, i.e., the framebuffer,
+        // the band of a worker (see module parallel) or the current tile.
+        var clipRect = {
+            x: 0,
+            y: 0,
+            xMax: 0,
+            yMax: 0
+        };
+
+        // Tile-based rasterizer: polygons are only binned into the screen tiles they overlap.
+        // At the end of the frame the tiles are rasterized one after the other,
+        // with the edge-function rasterizer and a tile-local z-buffer, see flushTiles().
+        var tileSize = 32;
+        var tileColumns;
+        var tileRows;
+        // For each tile a list of indices into binnedPolygons.
+        var tileBins = [];
+        // Polygons with all data needed to rasterize them later.
+        var binnedPolygons = [];
+        // Outlines are stroked after the tiles to stay on top of the fill, as with the other rasterizers.
+        var deferredStrokes = [];
+        // Statistics of the last flushTiles().
+        var tileStats = {
+            polygons: 0,
+            binEntries: 0,
+            usedTiles: 0,
+            tiles: 0,
+            maxBinSize: 0,
+            time: 0
+        };
+
+        // Deferred shading, see framebuffer.setDeferredShading():
+        // Each fragment passes its normal and position in eye coordinates to the G-buffer.
+        // Transformed vertices and normals of the model of the current polygon, see prepareGBuffer(),
+        // vertices are null if deferred shading is off.
+        var gBufferVertices = null;
+        var gBufferVertexNormals = null;
+        // Used for vertices without normal.
+        var gBufferPolygonNormal = null;
+        // Interpolated values of the current fragment, reused.
+        var gBufferNormal = [0, 0, 0];
+        var gBufferPosition = [0, 0, 0];
+
+        // Color passed with fragments of fillDepthPolygon(), not written.
+        var depthColor = {
+            rgba: [0, 0, 0, 255],
+            rgbaShaded: [0, 0, 0, 255]
+        };
+
+        // Color of the fragments of point sprites, see drawPoint().
+        // Texture sampling works on a copy, thus the colors of the model are not modified.
+        var spriteColor = {
+            rgba: [0, 0, 0, 255],
+            rgbaShaded: [0, 0, 0, 255]
+        };
+
+        // Multisampling in the scanline fill, see framebuffer.getSamplePositions().
+        // Edges of the current polygon in sub-pixel coordinates, see prepareCoverage().
+        var coverageEdges = [];
+        // First and last row of pixels of the current polygon.
+        var coverageRows = [0, 0];
+        // Sub-pixel offsets of the samples in a pixel, see prepareCoverageSamples().
+        var coverageSamples = [];
+        // With multisampling the edges only store the intersections for the interpolation,
+        // pixels on the edges would cover all samples, see drawLineBresenham().
+        var storeIntersectionsOnly = false;
+        // Depth of the current polygon as plane in screen space.
+        var depthPlane = {};
+        // Depth at the sample positions of one pixel, reused.
+        var sampleDepths = [];
+        // Multisampling in the edge-function rasterizer: for each edge of the current triangle
+        // the change of the edge function from the pixel center to each sample, see prepareSampleOffsets().
+        var sampleOffsets = [[], [], []];
+
+        // Style for lines, i.e. edges, normals and grid, see drawStyledLine().
+        var lineModeNames = ["bresenham", "antialiased"];
+        var lineModeName = "bresenham";
+        // Width in canvas pixels.
+        var lineWidth = 1;
+        // Lengths in canvas pixels of alternating dashes and gaps, empty for solid lines.
+        // Width and lengths are scaled by the supersampling factor to buffer pixels,
+        // thus lines look the same after downsampling, see init().
+        var dashPatterns = {
+            solid: [],
+            dashed: [8, 4],
+            dotted: [2, 3],
+            dashdot: [8, 3, 2, 3]
+        };
+        var dashPatternName = "solid";
+        // Supersampling factor of the framebuffer, i.e., buffer pixels per canvas pixel.
+        var supersampling = 1;
+
+        /**
+         * @parameter _supersampling factor of the framebuffer size, see framebuffer.init().
+         * @parameter _multisampling samples per pixel, see framebuffer.init().
+         */
+        function init(_ctx, _bgColor, _supersampling, _multisampling) {
             ctx = _ctx;
-            width = ctx.width;
-            height = ctx.height;
-            framebuffer.init(ctx, _bgColor);
+            supersampling = _supersampling || 1;
+            width = ctx.width * supersampling;
+            height = ctx.height * supersampling;
+            framebuffer.init(ctx, _bgColor, supersampling, _multisampling);
+            setClipRect(0, 0, width - 1, height - 1);
+
+            tileColumns = Math.ceil(width / tileSize);
+            tileRows = Math.ceil(height / tileSize);
+            tileBins = [];
+            for (var i = 0; i < tileColumns * tileRows; i++) {
+                tileBins.push([]);
+            }
+            binnedPolygons = [];
+            deferredStrokes = [];
+        }
+
+        /**
+         * Restrict filling of polygons to a rectangle of the framebuffer.
+         * Lines are not restricted.
+         */
+        function setClipRect(x, y, xMax, yMax) {
+            clipRect.x = x;
+            clipRect.y = y;
+            clipRect.xMax = xMax;
+            clipRect.yMax = yMax;
+        }
+
+        /**
+         * @returns copy of the clip rectangle with x, y, xMax, yMax.
+         */
+        function getClipRect() {
+            return {
+                x: clipRect.x,
+                y: clipRect.y,
+                xMax: clipRect.xMax,
+                yMax: clipRect.yMax
+            };
         }
 
         /**
@@ -60,6 +206,12 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
          */
         function drawLineBresenhamGivenStartEndPoint(st, end, color) {
 
+            // Bresenham draws lines one buffer pixel wide, which is thinner than a canvas pixel with supersampling.
+            if (lineModeName != "bresenham" || lineWidth * supersampling != 1 || dashPatternName != "solid") {
+                drawStyledLine(st, end, color);
+                return;
+            }
+
             // Convert parameters to integer values.
             // Use (not not ~~) instead of Math.floor() for integer cast and rounding of X-Y values.
             // Leave Z as floating point for comparisons in z-buffer.
@@ -164,7 +316,9 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
                             addIntersection(x, y, z, interpolationWeight, edgeStartVertexIndex, edgeEndVertexIndex, edgeStartTextureCoord, edgeEndTextureCoord)
                         }
                     }
-                    framebuffer.set(x, y, z, color)
+                    if (!storeIntersectionsOnly) {
+                        framebuffer.set(x, y, z, color)
+                    }
                 }
             } else {
                 // y is driving variable.
@@ -189,12 +343,157 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
                     if (storeIntersectionForScanlineFill && y !== endY) {
                         addIntersection(x, y, z, interpolationWeight, edgeStartVertexIndex, edgeEndVertexIndex, edgeStartTextureCoord, edgeEndTextureCoord)
                     }
-                    framebuffer.set(x, y, z, color);
+                    if (!storeIntersectionsOnly) {
+                        framebuffer.set(x, y, z, color);
+                    }
                 }
             }
             // END exercise Bresenham
         };
 
+        /**
+         * Draw a line with the current line style: anti-aliasing, width and dash pattern.
+         * Width and dash pattern are in canvas pixels, see lineWidth.
+         * The coverage of a pixel is its overlap with the line along the minor axis,
+         * as in Xiaolin Wu's algorithm, widened for thick lines.
+         * Without anti-aliasing pixels with at least half coverage are set.
+         * Partly covered pixels are blended into the framebuffer.
+         *
+         * @parameter st, end: start and end point of line segment.
+         */
+        function drawStyledLine(st, end, color) {
+
+            // Set rgbaShaded to rgba as we do not apply shading.
+            vec3.set(color.rgba, color.rgbaShaded);
+            color.rgbaShaded[3] = color.rgba[3];
+
+            // Let x be the major axis (driving variable) and swap for steep lines.
+            var steep = Math.abs(end[1] - st[1]) > Math.abs(end[0] - st[0]);
+            var major = steep ? 1 : 0;
+            var minor = steep ? 0 : 1;
+            var x0 = st[major], y0 = st[minor], z0 = st[2];
+            var x1 = end[major], y1 = end[minor], z1 = end[2];
+            if (x1 < x0) {
+                x0 = end[major]; y0 = end[minor]; z0 = end[2];
+                x1 = st[major]; y1 = st[minor]; z1 = st[2];
+            }
+            var length = x1 - x0;
+            // Skip it, if the line is just a point.
+            if (length == 0) {
+                return;
+            }
+            var gradient = (y1 - y0) / length;
+            var dz = (z1 - z0) / length;
+            // Length of the line for one step on the major axis.
+            var stepLength = Math.sqrt(1 + gradient * gradient);
+            // Half width of the line along the minor axis.
+            var halfWidth = 0.5 * lineWidth * supersampling * stepLength;
+
+            var dashPattern = dashPatterns[dashPatternName];
+            var dashPatternLength = 0;
+            for (var i = 0; i < dashPattern.length; i++) {
+                dashPatternLength += dashPattern[i];
+            }
+
+            for (var x = Math.floor(x0); x <= Math.floor(x1); x++) {
+                // Position on the line at the pixel center.
+                var t = x + 0.5 - x0;
+                if (dashPatternLength > 0 && !isOnDash(t * stepLength / supersampling % dashPatternLength, dashPattern)) {
+                    continue;
+                }
+                var center = y0 + gradient * t;
+                var z = z0 + dz * t;
+                for (var y = Math.floor(center - halfWidth); y <= Math.floor(center + halfWidth); y++) {
+                    var coverage = Math.min(y + 1, center + halfWidth) - Math.max(y, center - halfWidth);
+                    if (lineModeName != "antialiased") {
+                        coverage = coverage >= 0.5 ? 1 : 0;
+                    }
+                    var px = steep ? y : x;
+                    var py = steep ? x : y;
+                    if (coverage >= 1) {
+                        framebuffer.set(px, py, z, color);
+                    } else if (coverage > 0) {
+                        framebuffer.blend(px, py, z, color, coverage);
+                    }
+                }
+            }
+        }
+
+        /**
+         * @parameter position on the dash pattern, i.e., in [0, pattern length).
+         * @parameter dashPattern lengths of alternating dashes and gaps.
+         * @returns true if position is on a dash and not in a gap.
+         */
+        function isOnDash(position, dashPattern) {
+            for (var i = 0; i < dashPattern.length; i++) {
+                position -= dashPattern[i];
+                if (position < 0) {
+                    return i % 2 == 0;
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Draw a point as a sprite, i.e., a square aligned with the screen, e.g., for particles.
+         * With a texture the sprite shows the whole texture and transparent texels are left out,
+         * otherwise it is a disc shaded as a sphere lit from the camera.
+         * All fragments have the depth of the point and are z-tested.
+         *
+         * @parameter vertex projected point with x, y and z, see clip.toScreen().
+         * @parameter size diameter of the sprite in pixels, at least one pixel is drawn.
+         * @parameter color as defined in data.
+         * @parameter texture to sample or null.
+         */
+        function drawPoint(vertex, size, color, texture) {
+            var radius = Math.max(size, 1) / 2;
+            var centerX = vertex[0];
+            var centerY = vertex[1];
+            var z = vertex[2];
+            // Pixels with their center inside the sprite, restricted to the clip rectangle.
+            var xStart = Math.max(Math.ceil(centerX - radius - 0.5), clipRect.x);
+            var xEnd = Math.min(Math.floor(centerX + radius - 0.5), clipRect.xMax);
+            var yStart = Math.max(Math.ceil(centerY - radius - 0.5), clipRect.y);
+            var yEnd = Math.min(Math.floor(centerY + radius - 0.5), clipRect.yMax);
+            var uvVec = [0, 0];
+            for (var i = 0; i < 4; i++) {
+                spriteColor.rgba[i] = color.rgba[i];
+                spriteColor.rgbaShaded[i] = color.rgba[i];
+            }
+            color = spriteColor;
+
+            framebuffer.beginPrimitive();
+
+            for (var y = yStart; y <= yEnd; y++) {
+                // Offset of the pixel center from the center of the sprite, in units of the radius.
+                var dy = (y + 0.5 - centerY) / radius;
+                for (var x = xStart; x <= xEnd; x++) {
+                    var dx = (x + 0.5 - centerX) / radius;
+                    if (texture != null) {
+                        // Origin of the texture coordinates is at the left bottom.
+                        uvVec[0] = Math.min(Math.max((dx + 1) / 2, 0), 1);
+                        uvVec[1] = Math.min(Math.max((1 - dy) / 2, 0), 1);
+                        texture.sample(uvVec, color);
+                        if (color.rgbaShaded[3] == 0) {
+                            continue;
+                        }
+                    } else {
+                        var r2 = dx * dx + dy * dy;
+                        if (r2 > 1) {
+                            continue;
+                        }
+                        // The z-component of the normal of the sphere.
+                        var intensity = 0.4 + 0.6 * Math.sqrt(1 - r2);
+                        for (var i = 0; i < 3; i++) {
+                            color.rgbaShaded[i] = color.rgba[i] * intensity;
+                        }
+                        color.rgbaShaded[3] = color.rgba[3];
+                    }
+                    framebuffer.set(x, y, z, color);
+                }
+            }
+        }
+
         /**
          * Draw edges of given polygon. See also scanlineFillPolygon().
          *
@@ -205,6 +504,23 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
          */
         function scanlineStrokePolygon(vertices, polygon, color) {
 
+            if (rasterizerName == "tiled") {
+                deferredStrokes.push({
+                    vertices: vertices,
+                    polygon: polygon,
+                    color: color,
+                    polygonIndex: shader.getPolygonIndex(),
+                    opacity: framebuffer.getOpacity(),
+                    stencil: framebuffer.getStencil(),
+                    polygonOffset: framebuffer.getPolygonOffset(),
+                    objectId: framebuffer.getObjectId()
+                });
+                return;
+            }
+
+            framebuffer.beginPrimitive();
+            framebuffer.beginPolygonOffset(calcDepthSlope(vertices, polygon), true);
+
             // Loop over vertices/edges in polygon.
             for (var v = 0; v < polygon.length; v++) {
 
@@ -216,6 +532,7 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
 
                 drawLineBresenhamGivenStartEndPoint(st, end, color);
             }
+            framebuffer.endPolygonOffset();
         }
 
         /**
@@ -231,6 +548,7 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
 
             // Clear data-structure for scanline segments.
             clearIntersections();
+            polygonVertices = vertices;
 
             // Calculate the plane in which the polygon lies
             // to determine z-values of intermediate points.
@@ -378,6 +696,11 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
             interpolationData.weightOnScanline = 0.0;
             interpolationData.deltaWeightOnScanline = 1.0 / (deltaX == 0 ? 1 : deltaX);
 
+            // Values at both ends of the scanline segment for perspective-correct interpolation.
+            interpolationData.qStart = startIntersection.q;
+            interpolationData.qEnd = endIntersection.q;
+            interpolationData.perspectiveWeightOnScanline = 0.0;
+
             // END exercise Shading
 
             // BEGIN exercise Texture
@@ -394,6 +717,10 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
                 if (!interpolationData.uvVecDelta) {
                     interpolationData.uvVecDelta = [];
                 }
+                if (!interpolationData.uvVecStart) {
+                    interpolationData.uvVecStart = [];
+                    interpolationData.uvVecEnd = [];
+                }
 
                 // Loop u,v texture coordinates vector.
                 for (let i = 0; i <= 1; i++) {
@@ -411,6 +738,10 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
                     // Starting value on scanline.
                     interpolationData.uvVec[i] = texturePositionFirstEdge
 
+                    // Both ends for perspective-correct interpolation.
+                    interpolationData.uvVecStart[i] = texturePositionFirstEdge;
+                    interpolationData.uvVecEnd[i] = texturePositionSecondEdge;
+
                 }
             }
 
@@ -425,6 +756,11 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
          */
         function interpolationStepOnScanline(texture) {
 
+            if (perspectiveCorrect) {
+                interpolationStepOnScanlinePerspective(texture);
+                return;
+            }
+
             // BEGIN exercise Z-Buffer (for interpolation of z or plane equ)
 
             // Calculate z for next pixel, i.e. apply dz step.
@@ -457,6 +793,37 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
             // END exercise Texture
         }
 
+        /**
+         * Perspective-correct variant of interpolationStepOnScanline().
+         * The weight s on the scanline is linear in screen space,
+         * 1/w (q) is also linear in screen space, thus the weight in eye space is:
+         * t = s * qEnd / ((1 - s) * qStart + s * qEnd).
+         * The values are interpolated from both ends with t instead of adding deltas.
+         * Only z is stepped linear as in the affine case.
+         *
+         * @parameter texture: if not null do interpolate UV.
+         */
+        function interpolationStepOnScanlinePerspective(texture) {
+
+            var s = interpolationData.weightOnScanline += interpolationData.deltaWeightOnScanline;
+            var qStartWeighted = (1 - s) * interpolationData.qStart;
+            var qEndWeighted = s * interpolationData.qEnd;
+            var t = qEndWeighted / (qStartWeighted + qEndWeighted);
+            interpolationData.perspectiveWeightOnScanline = t;
+
+            interpolationData.z += interpolationData.dz;
+
+            // The shader interpolates from start to end with the given weight.
+            interpolationData.shaderStepOnScanline(t);
+
+            if (texture != null) {
+                var uvVecStart = interpolationData.uvVecStart;
+                var uvVecEnd = interpolationData.uvVecEnd;
+                interpolationData.uvVec[0] = uvVecStart[0] + (uvVecEnd[0] - uvVecStart[0]) * t;
+                interpolationData.uvVec[1] = uvVecStart[1] + (uvVecEnd[1] - uvVecStart[1]) * t;
+            }
+        }
+
         /**
          * Fill a polygon into the framebuffer.
          *
@@ -477,8 +844,15 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
             var horizontalClippingTest;
             var zTest;
 
+            framebuffer.beginPrimitive();
+
+            // Coverage and depth per sample for multisampling.
+            var multisample = framebuffer.getMultisampling() > 1 && prepareCoverage(vertices, polygon);
+
             // Raster the edges.
+            storeIntersectionsOnly = multisample;
             assembleIntersectionForScanline(vertices, polygon, color, textureCoord, polygonTextureCoord, texture);
+            storeIntersectionsOnly = false;
 
             // Use the shader/shading-function that is set for this polygon.
             // Store function reference outside the loops for speed.
@@ -489,13 +863,21 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
             interpolationData.shaderPrepareScanline = shader.getInterpolationPrepareScanlineFunction();
             interpolationData.shaderStepOnScanline = shader.getInterpolationStepOnScanlineFunction();
 
+            prepareGBuffer();
+
+            // The coverage of the samples comes from the edges, not from the intersections, see multisampleFillPolygon().
+            if (multisample) {
+                multisampleFillPolygon(color, texture);
+                return;
+            }
+
             // BEGIN exercise Scanline
 
             // Fill polygon line by line using the scanline algorithm.
             // Loop over non empty scan lines.
 
 
-            for (let y = 0; y < height; y++) {
+            for (let y = clipRect.y; y <= clipRect.yMax; y++) {
                 // if (y === 3) {
                 //     debugger;
                 // }
@@ -536,7 +918,8 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
                         // This is not perfect as we still shade fragments
                         // that will not survive the frame, because
                         // the z-buffer is not fully build up.
-                        // The Solution would be to use deferred-rendering.
+                        // The Solution would be to use deferred-rendering,
+                        // see framebuffer.setDeferredShading().
                         // The z-Buffer Test could also be skipped, if
                         // there is only one convex model and we already do back-face culling.
                         if (horizontalClippingTest) {
@@ -550,6 +933,10 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
                             }
                             // shadingFunction(color, interpolationData.weightOnScanline);
                             //
+                            // With deferred shading the light is calculated later only for visible pixels.
+                            if (gBufferVertices != null) {
+                                setGBufferFragment(texture);
+                            }
                             framebuffer.set(x, y, z, color, false, false) // without z-Test and dirty rectangle adjust.
                         }
 
@@ -570,6 +957,770 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
             // END exercise Scanline
         }
 
+        /**
+         * Prepare coverage and depth at the sample positions for multisampling.
+         * The vertices are rounded to the sub-pixel grid of the edge-function rasterizer,
+         * thus all rasterizers cover the same samples, see coverageMask().
+         * The depth is a plane in screen space through the first three vertices not on a line.
+         *
+         * @returns false if the polygon is degenerated.
+         */
+        function prepareCoverage(vertices, polygon) {
+            var n = polygon.length;
+
+            coverageEdges = [];
+            var minY = Infinity;
+            var maxY = -Infinity;
+            for (var i = 0; i < n; i++) {
+                var a = vertices[polygon[i]];
+                var b = vertices[polygon[(i + 1) % n]];
+                var ax = Math.round(a[0] * subPixelSteps);
+                var ay = Math.round(a[1] * subPixelSteps);
+                var bx = Math.round(b[0] * subPixelSteps);
+                var by = Math.round(b[1] * subPixelSteps);
+                minY = Math.min(minY, ay);
+                maxY = Math.max(maxY, ay);
+                // Horizontal edges cross no sample row.
+                if (ay == by) {
+                    continue;
+                }
+                coverageEdges.push({
+                    ax: ax,
+                    ay: ay,
+                    bx: bx,
+                    by: by,
+                    // Direction in y, to tell the side of a sample from the edge function.
+                    sign: by > ay ? 1 : -1
+                });
+            }
+            if (coverageEdges.length == 0) {
+                return false;
+            }
+            coverageRows[0] = Math.floor(minY / subPixelSteps);
+            coverageRows[1] = Math.floor(maxY / subPixelSteps);
+
+            for (var i = 1; i < n - 1; i++) {
+                if (prepareDepthPlane(vertices[polygon[0]], vertices[polygon[i]], vertices[polygon[i + 1]])) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Depth gradient in screen space of the plane through three vertices, see depthPlane.
+         *
+         * @returns false if the vertices are on a line.
+         */
+        function prepareDepthPlane(p0, p1, p2) {
+            var e1x = p1[0] - p0[0], e1y = p1[1] - p0[1], e1z = p1[2] - p0[2];
+            var e2x = p2[0] - p0[0], e2y = p2[1] - p0[1], e2z = p2[2] - p0[2];
+            var det = e1x * e2y - e2x * e1y;
+            if (det == 0) {
+                return false;
+            }
+            depthPlane.x0 = p0[0];
+            depthPlane.y0 = p0[1];
+            depthPlane.z0 = p0[2];
+            depthPlane.dzdx = (e1z * e2y - e2z * e1y) / det;
+            depthPlane.dzdy = (e2z * e1x - e1z * e2x) / det;
+            return true;
+        }
+
+        /**
+         * Sub-pixel offsets of the samples from the top left corner of the pixel,
+         * rounded as in prepareSampleOffsets().
+         */
+        function prepareCoverageSamples(positions) {
+            var halfPixel = subPixelSteps / 2;
+            for (var s = 0; s < positions.length; s++) {
+                coverageSamples[s] = [
+                    halfPixel + Math.round((positions[s][0] - 0.5) * subPixelSteps),
+                    halfPixel + Math.round((positions[s][1] - 0.5) * subPixelSteps)
+                ];
+            }
+        }
+
+        /**
+         * A sample is inside if a ray to the left crosses an odd number of edges,
+         * thus concave polygons are covered as well.
+         * Edges are crossed half-open, including the top and the left edges,
+         * as the top-left rule of edgeFunctionFillTriangle().
+         *
+         * @returns bit mask of the samples of pixel x,y inside the current polygon, see prepareCoverage().
+         */
+        function coverageMask(x, y, sampleCount) {
+            var mask = 0;
+            for (var s = 0; s < sampleCount; s++) {
+                var px = x * subPixelSteps + coverageSamples[s][0];
+                var py = y * subPixelSteps + coverageSamples[s][1];
+                var inside = false;
+                for (var i = 0; i < coverageEdges.length; i++) {
+                    var edge = coverageEdges[i];
+                    if ((edge.ay <= py) != (edge.by <= py) && edgeFunction(edge.ax, edge.ay, edge.bx, edge.by, px, py) * edge.sign <= 0) {
+                        inside = !inside;
+                    }
+                }
+                if (inside) {
+                    mask |= (1 << s);
+                }
+            }
+            return mask;
+        }
+
+        /**
+         * The edges cross the rows of samples, not only the scanline through the pixel centers,
+         * thus get the extent of the polygon in the row of pixels from the edges.
+         *
+         * @returns [minX, maxX] of the pixels in row y with samples inside the current polygon or null.
+         */
+        function coverageRowExtent(y, sampleCount) {
+            var minX = Infinity;
+            var maxX = -Infinity;
+            for (var s = 0; s < sampleCount; s++) {
+                var py = y * subPixelSteps + coverageSamples[s][1];
+                for (var i = 0; i < coverageEdges.length; i++) {
+                    var edge = coverageEdges[i];
+                    if ((edge.ay <= py) != (edge.by <= py)) {
+                        var crossing = edge.ax + (edge.bx - edge.ax) * (py - edge.ay) / (edge.by - edge.ay);
+                        minX = Math.min(minX, crossing);
+                        maxX = Math.max(maxX, crossing);
+                    }
+                }
+            }
+            if (minX > maxX) {
+                return null;
+            }
+            return [Math.floor(minX / subPixelSteps), Math.floor(maxX / subPixelSteps)];
+        }
+
+        /**
+         * @returns sorted intersections of the scanline nearest to row y, or null if there are none.
+         */
+        function nearestScanlineIntersections(y) {
+            for (var d = 0; d <= coverageRows[1] - coverageRows[0] + 1; d++) {
+                var lines = [scanlineIntersection[y - d], scanlineIntersection[y + d]];
+                for (var i = 0; i < 2; i++) {
+                    var line = lines[i];
+                    if (line && line.length >= 2) {
+                        line.sort(function(p1, p2) {
+                            return p1.x - p2.x;
+                        });
+                        return line;
+                    }
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Fill the current polygon with multisampling.
+         * Coverage and depth are calculated for each sample in all rows the polygon covers,
+         * the color is shaded (textured) once per pixel.
+         * The interpolation is done on the scanline of the row or the nearest one,
+         * pixels outside of its segments get the interpolated values at the ends.
+         */
+        function multisampleFillPolygon(color, texture) {
+            var positions = framebuffer.getSamplePositions();
+            prepareCoverageSamples(positions);
+
+            var yFirst = Math.max(clipRect.y, coverageRows[0]);
+            var yLast = Math.min(clipRect.yMax, coverageRows[1]);
+            for (var y = yFirst; y <= yLast; y++) {
+                var extent = coverageRowExtent(y, positions.length);
+                var line = extent != null ? nearestScanlineIntersections(y) : null;
+                if (line == null) {
+                    continue;
+                }
+
+                // Segment of the scanline interpolated and the position on it.
+                var segment = -2;
+                var xInterpolated = 0;
+                for (var x = Math.max(clipRect.x, extent[0]); x <= Math.min(clipRect.xMax, extent[1]); x++) {
+                    var mask = coverageMask(x, y, positions.length);
+                    if (mask == 0) {
+                        continue;
+                    }
+
+                    // Last segment starting left of x, the interpolation does not step back.
+                    var p = Math.max(segment, 0);
+                    while (p + 3 < line.length && line[p + 2].x <= x) {
+                        p += 2;
+                    }
+                    if (p != segment) {
+                        interpolationPrepareScanline(line[p], line[p + 1], texture);
+                        segment = p;
+                        xInterpolated = line[p].x;
+                    }
+                    var xClamped = Math.min(Math.max(x, line[p].x), line[p + 1].x);
+                    while (xInterpolated < xClamped) {
+                        interpolationStepOnScanline(texture);
+                        xInterpolated++;
+                    }
+
+                    for (var s = 0; s < positions.length; s++) {
+                        sampleDepths[s] = depthPlane.z0 + depthPlane.dzdx * (x + positions[s][0] - depthPlane.x0) + depthPlane.dzdy * (y + positions[s][1] - depthPlane.y0);
+                    }
+                    mask = framebuffer.multisampleZBufferTest(x, y, sampleDepths, mask);
+                    if (mask != 0) {
+                        // Get color from texture.
+                        if (texture != null) {
+                            texture.sample(interpolationData.uvVec, color);
+                        }
+                        if (gBufferVertices != null) {
+                            setGBufferFragment(texture);
+                        }
+                        framebuffer.set(x, y, interpolationData.z, color, false, true, mask);
+                    }
+                }
+            }
+        }
+
+        /**
+         * Get the vertex data of the current model and polygon for the G-buffer,
+         * if deferred shading is on, see framebuffer.setDeferredShading().
+         */
+        function prepareGBuffer() {
+            if (!framebuffer.getDeferredShading()) {
+                gBufferVertices = null;
+                return;
+            }
+            var model = shader.getModel();
+            gBufferVertices = model.getTransformedVertices();
+            gBufferVertexNormals = model.getTransformedVertexNormals();
+            gBufferPolygonNormal = model.getTransformedPolygonNormals()[shader.getPolygonIndex()] || [0, 0, 1];
+        }
+
+        /**
+         * Interpolate normal and position of the current fragment from the four vertices
+         * of the two edges of the scanline (or row) and pass them to the framebuffer
+         * together with the texture coordinates, see framebuffer.setGBufferFragment().
+         * The weight on the scanline is the same as the shader gets.
+         *
+         * @parameter texture: if not null pass UV.
+         */
+        function setGBufferFragment(texture) {
+            var indices = interpolationData.vertexIndices;
+            var weights = interpolationData.weights;
+            var t = perspectiveCorrect ? interpolationData.perspectiveWeightOnScanline : interpolationData.weightOnScanline;
+            // Weight of each vertex: first on the edges, then on the scanline.
+            var w0 = (1 - t) * weights[0];
+            var w1 = (1 - t) * weights[1];
+            var w2 = t * weights[2];
+            var w3 = t * weights[3];
+            var v0 = gBufferVertices[indices[0]], v1 = gBufferVertices[indices[1]];
+            var v2 = gBufferVertices[indices[2]], v3 = gBufferVertices[indices[3]];
+            var n0 = gBufferVertexNormals[indices[0]] || gBufferPolygonNormal;
+            var n1 = gBufferVertexNormals[indices[1]] || gBufferPolygonNormal;
+            var n2 = gBufferVertexNormals[indices[2]] || gBufferPolygonNormal;
+            var n3 = gBufferVertexNormals[indices[3]] || gBufferPolygonNormal;
+            for (var i = 0; i < 3; i++) {
+                gBufferPosition[i] = w0 * v0[i] + w1 * v1[i] + w2 * v2[i] + w3 * v3[i];
+                gBufferNormal[i] = w0 * n0[i] + w1 * n1[i] + w2 * n2[i] + w3 * n3[i];
+            }
+            framebuffer.setGBufferFragment(gBufferNormal, gBufferPosition, texture != null ? interpolationData.uvVec : null);
+        }
+
+        /**
+         * Fill a polygon with the current rasterizer, see setRasterizerName().
+         * Parameters as for scanlineFillPolygon().
+         */
+        function fillPolygon(vertices, polygon, color, textureCoord, polygonTextureCoord, texture) {
+            if (rasterizerName == "tiled") {
+                binPolygon(vertices, polygon, color, textureCoord, polygonTextureCoord, texture);
+                return;
+            }
+            framebuffer.beginPolygonOffset(calcDepthSlope(vertices, polygon), false);
+            if (rasterizerName == "edgeFunction") {
+                edgeFunctionFillPolygon(vertices, polygon, color, textureCoord, polygonTextureCoord, texture);
+            } else {
+                scanlineFillPolygon(vertices, polygon, color, textureCoord, polygonTextureCoord, texture);
+            }
+            framebuffer.endPolygonOffset();
+        }
+
+        /**
+         * Fill a polygon with edge functions (half-space rasterizer)
+         * as an alternative to scanlineFillPolygon().
+         * The polygon is assumed to be convex and is split into a triangle fan.
+         * Shared edges of the triangles are drawn exactly once by the top-left fill rule.
+         *
+         * Parameters as for scanlineFillPolygon().
+         */
+        function edgeFunctionFillPolygon(vertices, polygon, color, textureCoord, polygonTextureCoord, texture) {
+
+            // Store shader function pointer for interpolation shorthands.
+            interpolationData.shaderPrepareScanline = shader.getInterpolationPrepareScanlineFunction();
+            interpolationData.shaderStepOnScanline = shader.getInterpolationStepOnScanlineFunction();
+
+            prepareGBuffer();
+            framebuffer.beginPrimitive();
+
+            var positions = framebuffer.getMultisampling() > 1 ? framebuffer.getSamplePositions() : null;
+            for (var i = 1; i < polygon.length - 1; i++) {
+                edgeFunctionFillTriangle(vertices, polygon, [0, i, i + 1], color, textureCoord, polygonTextureCoord, texture, positions);
+            }
+        }
+
+        /**
+         * Fill a polygon only into the depth target of the framebuffer, e.g., for a shadow map,
+         * see framebuffer.beginDepthTarget(). Uses the edge-function rasterizer,
+         * which is restricted to the clip rectangle, without shading and texturing.
+         *
+         * @parameter vertices projected with z and 1/w as for the other fill functions.
+         */
+        function fillDepthPolygon(vertices, polygon) {
+            interpolationData.shaderPrepareScanline = shader.noneInterpolationPrepareScanline;
+            interpolationData.shaderStepOnScanline = shader.noneInterpolationStepOnScanline;
+            gBufferVertices = null;
+
+            for (var i = 1; i < polygon.length - 1; i++) {
+                edgeFunctionFillTriangle(vertices, polygon, [0, i, i + 1], depthColor, null, null, null);
+            }
+        }
+
+        /**
+         * Store a polygon in the bins of all tiles its bounding box overlaps.
+         * The polygon is rasterized later in flushTiles().
+         * The model and the polygon registered with the shader and the opacity, stencil
+         * and polygon offset settings of the framebuffer are stored with it, to be restored for rasterization.
+         * The order of the polygons is kept within each tile, e.g., for stencil masks.
+         *
+         * Parameters as for scanlineFillPolygon().
+         */
+        function binPolygon(vertices, polygon, color, textureCoord, polygonTextureCoord, texture) {
+
+            // Bounding box in pixels.
+            var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (var i = 0; i < polygon.length; i++) {
+                var vertex = vertices[polygon[i]];
+                minX = Math.min(minX, vertex[0]);
+                maxX = Math.max(maxX, vertex[0]);
+                minY = Math.min(minY, vertex[1]);
+                maxY = Math.max(maxY, vertex[1]);
+            }
+            // Range of tiles, clipped to the framebuffer.
+            var minColumn = Math.max(0, Math.floor(minX / tileSize));
+            var maxColumn = Math.min(tileColumns - 1, Math.floor(Math.ceil(maxX) / tileSize));
+            var minRow = Math.max(0, Math.floor(minY / tileSize));
+            var maxRow = Math.min(tileRows - 1, Math.floor(Math.ceil(maxY) / tileSize));
+            if (minColumn > maxColumn || minRow > maxRow) {
+                return;
+            }
+
+            var index = binnedPolygons.length;
+            binnedPolygons.push({
+                vertices: vertices,
+                polygon: polygon,
+                color: color,
+                textureCoord: textureCoord,
+                polygonTextureCoord: polygonTextureCoord,
+                texture: texture,
+                model: shader.getModel(),
+                polygonIndex: shader.getPolygonIndex(),
+                opacity: framebuffer.getOpacity(),
+                stencil: framebuffer.getStencil(),
+                polygonOffset: framebuffer.getPolygonOffset(),
+                objectId: framebuffer.getObjectId()
+            });
+            for (var row = minRow; row <= maxRow; row++) {
+                for (var column = minColumn; column <= maxColumn; column++) {
+                    tileBins[row * tileColumns + column].push(index);
+                }
+            }
+        }
+
+        /**
+         * Rasterize the binned polygons tile by tile and stroke the deferred outlines.
+         * Called from the scene at the end of the frame, before framebuffer.display().
+         * Does nothing if no polygons were binned, i.e., for the other rasterizers.
+         */
+        function flushTiles() {
+            if (binnedPolygons.length == 0 && deferredStrokes.length == 0) {
+                return;
+            }
+            var startDate = Date.now();
+            var opacity = framebuffer.getOpacity();
+            var stencil = framebuffer.getStencil();
+            var polygonOffset = framebuffer.getPolygonOffset();
+            var objectId = framebuffer.getObjectId();
+            // Tiles are restricted to the current clip rectangle, e.g., the band of a worker.
+            var bounds = {
+                x: clipRect.x,
+                y: clipRect.y,
+                xMax: clipRect.xMax,
+                yMax: clipRect.yMax
+            };
+
+            tileStats.polygons = binnedPolygons.length;
+            tileStats.binEntries = 0;
+            tileStats.usedTiles = 0;
+            tileStats.tiles = tileBins.length;
+            tileStats.maxBinSize = 0;
+
+            for (var row = 0; row < tileRows; row++) {
+                for (var column = 0; column < tileColumns; column++) {
+                    var bin = tileBins[row * tileColumns + column];
+                    if (bin.length == 0) {
+                        continue;
+                    }
+                    // Restrict the rasterizer and the z-buffer to the tile.
+                    var x = Math.max(column * tileSize, bounds.x);
+                    var y = Math.max(row * tileSize, bounds.y);
+                    var w = Math.min((column + 1) * tileSize - 1, bounds.xMax) - x + 1;
+                    var h = Math.min((row + 1) * tileSize - 1, bounds.yMax) - y + 1;
+                    if (w <= 0 || h <= 0) {
+                        bin.length = 0;
+                        continue;
+                    }
+                    tileStats.binEntries += bin.length;
+                    tileStats.usedTiles++;
+                    tileStats.maxBinSize = Math.max(tileStats.maxBinSize, bin.length);
+
+                    setClipRect(x, y, x + w - 1, y + h - 1);
+                    framebuffer.beginTile(x, y, w, h);
+
+                    for (var i = 0; i < bin.length; i++) {
+                        var binned = binnedPolygons[bin[i]];
+                        if (shader.getModel() != binned.model) {
+                            shader.setModel(binned.model);
+                        }
+                        shader.setPolygon(binned.polygonIndex, binned.polygon);
+                        framebuffer.setOpacity(binned.opacity);
+                        framebuffer.setStencil(binned.stencil);
+                        framebuffer.setPolygonOffset(binned.polygonOffset);
+                        framebuffer.setObjectId(binned.objectId);
+                        // Colors may be shared and modified by texture sampling of other polygons.
+                        if (binned.texture == null) {
+                            vec3.set(binned.color.rgba, binned.color.rgbaShaded);
+                            binned.color.rgbaShaded[3] = binned.color.rgba[3];
+                        }
+                        framebuffer.beginPolygonOffset(calcDepthSlope(binned.vertices, binned.polygon), false);
+                        edgeFunctionFillPolygon(binned.vertices, binned.polygon, binned.color, binned.textureCoord, binned.polygonTextureCoord, binned.texture);
+                        framebuffer.endPolygonOffset();
+                    }
+
+                    framebuffer.endTile();
+                    // Only the tiles used are reset and displayed.
+                    framebuffer.closeDirtyRegion();
+                    bin.length = 0;
+                }
+            }
+            setClipRect(bounds.x, bounds.y, bounds.xMax, bounds.yMax);
+            binnedPolygons.length = 0;
+
+            // Outlines with the z-buffer of the frame.
+            for (var i = 0; i < deferredStrokes.length; i++) {
+                var stroke = deferredStrokes[i];
+                shader.setPolygon(stroke.polygonIndex, stroke.polygon);
+                framebuffer.setOpacity(stroke.opacity);
+                framebuffer.setStencil(stroke.stencil);
+                framebuffer.setPolygonOffset(stroke.polygonOffset);
+                framebuffer.setObjectId(stroke.objectId);
+                framebuffer.beginPrimitive();
+                framebuffer.beginPolygonOffset(calcDepthSlope(stroke.vertices, stroke.polygon), true);
+                for (var v = 0; v < stroke.polygon.length; v++) {
+                    var nextVertexIndex = (v < stroke.polygon.length - 1) ? v + 1 : 0;
+                    drawLineBresenhamGivenStartEndPoint(stroke.vertices[stroke.polygon[v]], stroke.vertices[stroke.polygon[nextVertexIndex]], stroke.color);
+                }
+                framebuffer.endPolygonOffset();
+                // The outlines of a model overlap and are merged into one region.
+                framebuffer.closeDirtyRegion();
+            }
+            deferredStrokes.length = 0;
+
+            framebuffer.setOpacity(opacity);
+            framebuffer.setStencil(stencil);
+            framebuffer.setPolygonOffset(polygonOffset);
+            framebuffer.setObjectId(objectId);
+            tileStats.time = Date.now() - startDate;
+        }
+
+        /**
+         * @returns statistics of the last frame with the tiled rasterizer:
+         * polygons, binEntries (polygon-tile pairs), usedTiles, tiles, maxBinSize and time in ms.
+         */
+        function getTileStats() {
+            return tileStats;
+        }
+
+        function getTileSize() {
+            return tileSize;
+        }
+
+        /**
+         * Edge function of the edge from a to b for point p (twice the signed area of a,b,p).
+         * With y pointing down it is positive if p is on the right side of the edge.
+         */
+        function edgeFunction(ax, ay, bx, by, px, py) {
+            return (bx - ax) * (py - ay) - (by - ay) * (px - ax);
+        }
+
+        /**
+         * Prepare the offsets of the edge functions to the samples and the depth plane
+         * for multisampling in edgeFunctionFillTriangle().
+         * The sample positions are rounded to the sub-pixel grid, thus the offsets are exact.
+         *
+         * @parameter corners, X, Y: indices into polygon and the fixed-point coordinates of the oriented triangle.
+         * @returns false if the triangle is degenerated.
+         */
+        function prepareSampleOffsets(vertices, polygon, corners, X, Y, samplePositions) {
+            for (var i = 0; i < 3; i++) {
+                var a = i;
+                var b = (i + 1) % 3;
+                for (var s = 0; s < samplePositions.length; s++) {
+                    var offsetX = Math.round((samplePositions[s][0] - 0.5) * subPixelSteps);
+                    var offsetY = Math.round((samplePositions[s][1] - 0.5) * subPixelSteps);
+                    sampleOffsets[i][s] = -(Y[b] - Y[a]) * offsetX + (X[b] - X[a]) * offsetY;
+                }
+            }
+            return prepareDepthPlane(vertices[polygon[corners[0]]], vertices[polygon[corners[1]]], vertices[polygon[corners[2]]]);
+        }
+
+        /**
+         * Fill one triangle of a polygon with edge functions.
+         * Vertices are snapped to the sub-pixel grid and the edge functions are
+         * evaluated in these integer fixed-point coordinates, thus exactly,
+         * at the pixel centers inside the bounding box of the triangle.
+         * A pixel center on an edge belongs to the triangle only if the edge is
+         * a top or a left edge (top-left fill rule).
+         *
+         * With multisampling the edge functions are evaluated at the sample positions,
+         * which are on the sub-pixel grid, and the depth at the samples from the plane of the triangle,
+         * as in multisampleFillPolygon().
+         *
+         * @parameter corners: three indices into polygon.
+         * @parameter samplePositions of the framebuffer for multisampling, or null.
+         * Other parameters as for scanlineFillPolygon().
+         */
+        function edgeFunctionFillTriangle(vertices, polygon, corners, color, textureCoord, polygonTextureCoord, texture, samplePositions) {
+
+            // Fixed-point screen coordinates of the corners.
+            var X = [], Y = [];
+            for (var i = 0; i < 3; i++) {
+                var vertex = vertices[polygon[corners[i]]];
+                X[i] = Math.round(vertex[0] * subPixelSteps);
+                Y[i] = Math.round(vertex[1] * subPixelSteps);
+            }
+
+            // Orient the triangle, such that all edge functions are positive inside.
+            // Skip degenerated triangles.
+            var area = edgeFunction(X[0], Y[0], X[1], Y[1], X[2], Y[2]);
+            if (area == 0) {
+                return;
+            }
+            if (area < 0) {
+                corners = [corners[0], corners[2], corners[1]];
+                X = [X[0], X[2], X[1]];
+                Y = [Y[0], Y[2], Y[1]];
+            }
+
+            // Bounding box in pixels, clipped to the framebuffer or the tile.
+            var minX = Math.max(clipRect.x, Math.floor(Math.min(X[0], X[1], X[2]) / subPixelSteps));
+            var maxX = Math.min(clipRect.xMax, Math.ceil(Math.max(X[0], X[1], X[2]) / subPixelSteps));
+            var minY = Math.max(clipRect.y, Math.floor(Math.min(Y[0], Y[1], Y[2]) / subPixelSteps));
+            var maxY = Math.min(clipRect.yMax, Math.ceil(Math.max(Y[0], Y[1], Y[2]) / subPixelSteps));
+            if (minX > maxX || minY > maxY) {
+                return;
+            }
+            framebuffer.adjustDirtyRectangle(minX, minY);
+            framebuffer.adjustDirtyRectangle(maxX, maxY);
+
+            // Edge i runs from corner i to the next corner.
+            // Edge function values at the center of the top left pixel in the bounding box,
+            // and the increments for one pixel step in x and y.
+            var halfPixel = subPixelSteps / 2;
+            var e = [], stepX = [], stepY = [];
+            for (var i = 0; i < 3; i++) {
+                var a = i;
+                var b = (i + 1) % 3;
+                var dx = X[b] - X[a];
+                var dy = Y[b] - Y[a];
+                // Top edge: horizontal with the triangle below, left edge: going up.
+                var isTopLeft = (dy == 0 && dx > 0) || dy < 0;
+                // Integer values, thus the bias excludes centers on edges that are not top or left.
+                var bias = isTopLeft ? 0 : -1;
+                e[i] = edgeFunction(X[a], Y[a], X[b], Y[b], minX * subPixelSteps + halfPixel, minY * subPixelSteps + halfPixel) + bias;
+                stepX[i] = -dy * subPixelSteps;
+                stepY[i] = dx * subPixelSteps;
+            }
+
+            // Offsets of the edge functions from the pixel center to the samples.
+            var multisample = samplePositions != null && prepareSampleOffsets(vertices, polygon, corners, X, Y, samplePositions);
+
+            for (var y = minY; y <= maxY; y++) {
+                var e0 = e[0], e1 = e[1], e2 = e[2];
+                var rowPrepared = false;
+
+                for (var x = minX; x <= maxX; x++) {
+                    var mask = 0;
+                    if (multisample) {
+                        for (var s = 0; s < samplePositions.length; s++) {
+                            if (e0 + sampleOffsets[0][s] >= 0 && e1 + sampleOffsets[1][s] >= 0 && e2 + sampleOffsets[2][s] >= 0) {
+                                mask |= (1 << s);
+                            }
+                        }
+                    }
+                    if (mask != 0 || (!multisample && e0 >= 0 && e1 >= 0 && e2 >= 0)) {
+                        if (!rowPrepared) {
+                            interpolationPrepareRow(vertices, polygon, corners, X, Y, y * subPixelSteps + halfPixel, textureCoord, polygonTextureCoord, texture);
+                            rowPrepared = true;
+                        }
+                        interpolationSetOnRow(x * subPixelSteps + halfPixel, texture);
+
+                        var z = interpolationData.z;
+                        var passed;
+                        if (multisample) {
+                            for (var s = 0; s < samplePositions.length; s++) {
+                                sampleDepths[s] = depthPlane.z0 + depthPlane.dzdx * (x + samplePositions[s][0] - depthPlane.x0) + depthPlane.dzdy * (y + samplePositions[s][1] - depthPlane.y0);
+                            }
+                            mask = framebuffer.multisampleZBufferTest(x, y, sampleDepths, mask);
+                            passed = mask != 0;
+                        } else {
+                            passed = framebuffer.zBufferTest(x, y, z, color);
+                        }
+                        if (passed) {
+                            // Get color from texture.
+                            if (texture != null) {
+                                texture.sample(interpolationData.uvVec, color);
+                            }
+                            if (gBufferVertices != null) {
+                                setGBufferFragment(texture);
+                            }
+                            framebuffer.set(x, y, z, color, false, false, multisample ? mask : undefined);
+                        }
+                    }
+                    e0 += stepX[0];
+                    e1 += stepX[1];
+                    e2 += stepX[2];
+                }
+                e[0] += stepY[0];
+                e[1] += stepY[1];
+                e[2] += stepY[2];
+            }
+        }
+
+        /**
+         * Prepare the interpolation on one row of a triangle for the edge-function rasterizer.
+         * The row through the pixel centers crosses two edges of the triangle,
+         * as a scanline does, thus the shader hooks get the same data as from
+         * interpolationPrepareScanline(). The values on the row are then set per pixel
+         * from the weight between the two crossings, see interpolationSetOnRow().
+         *
+         * @parameter corners, X, Y: indices into polygon and the fixed-point coordinates of the triangle.
+         * @parameter yCenter fixed-point y of the pixel centers on the row.
+         */
+        function interpolationPrepareRow(vertices, polygon, corners, X, Y, yCenter, textureCoord, polygonTextureCoord, texture) {
+
+            // Find the left and the right crossing of the row with the edges.
+            var left = null, right = null;
+            for (var i = 0; i < 3; i++) {
+                var a = i;
+                var b = (i + 1) % 3;
+                // Horizontal edges are covered by the other two edges.
+                if (Y[a] == Y[b] || yCenter < Math.min(Y[a], Y[b]) || yCenter > Math.max(Y[a], Y[b])) {
+                    continue;
+                }
+                var weight = (yCenter - Y[a]) / (Y[b] - Y[a]);
+                var crossing = {
+                    x: X[a] + (X[b] - X[a]) * weight,
+                    a: a,
+                    b: b,
+                    weight: weight
+                };
+                if (left == null || crossing.x < left.x) {
+                    left = crossing;
+                }
+                if (right == null || crossing.x > right.x) {
+                    right = crossing;
+                }
+            }
+            // The center is inside, thus this should not happen, except for rounding errors.
+            if (left == null) {
+                left = right = { x: X[0], a: 0, b: 0, weight: 0 };
+            }
+
+            // Values at the crossings, see addIntersection() and interpolationPrepareScanline().
+            var ends = [left, right];
+            var q = [], z = [], weights = [];
+            for (var i = 0; i < 2; i++) {
+                var vertexA = vertices[polygon[corners[ends[i].a]]];
+                var vertexB = vertices[polygon[corners[ends[i].b]]];
+                var weight = ends[i].weight;
+                z[i] = vertexA[2] + (vertexB[2] - vertexA[2]) * weight;
+                q[i] = 1;
+                if (perspectiveCorrect) {
+                    q[i] = vertexA[3] + (vertexB[3] - vertexA[3]) * weight;
+                    weight = weight * vertexB[3] / q[i];
+                }
+                weights[i] = weight;
+            }
+
+            interpolationData.rowXStart = left.x;
+            interpolationData.rowDeltaX = right.x - left.x;
+            interpolationData.zStart = z[0];
+            interpolationData.zEnd = z[1];
+            interpolationData.qStart = q[0];
+            interpolationData.qEnd = q[1];
+
+            interpolationData.vertexIndices = [polygon[corners[left.a]], polygon[corners[left.b]], polygon[corners[right.a]], polygon[corners[right.b]]];
+            interpolationData.weights = [1 - weights[0], weights[0], 1 - weights[1], weights[1]];
+            interpolationData.shaderPrepareScanline(interpolationData.vertexIndices, interpolationData.weights, interpolationData.rowDeltaX / subPixelSteps);
+
+            if (texture != null) {
+                if (!interpolationData.uvVec) {
+                    interpolationData.uvVec = [];
+                }
+                if (!interpolationData.uvVecStart) {
+                    interpolationData.uvVecStart = [];
+                    interpolationData.uvVecEnd = [];
+                }
+                var uvVecEnds = [interpolationData.uvVecStart, interpolationData.uvVecEnd];
+                for (var i = 0; i < 2; i++) {
+                    var uvA = textureCoord[polygonTextureCoord[corners[ends[i].a]]];
+                    var uvB = textureCoord[polygonTextureCoord[corners[ends[i].b]]];
+                    uvVecEnds[i][0] = uvA[0] + (uvB[0] - uvA[0]) * weights[i];
+                    uvVecEnds[i][1] = uvA[1] + (uvB[1] - uvA[1]) * weights[i];
+                }
+            }
+        }
+
+        /**
+         * Set the interpolated values for one pixel on a row prepared with interpolationPrepareRow().
+         * In contrast to the scanline the values are not stepped, but set from the weight,
+         * as the edge-function rasterizer may skip pixels.
+         *
+         * @parameter xCenter fixed-point x of the pixel center.
+         */
+        function interpolationSetOnRow(xCenter, texture) {
+
+            // Weight in screen space from the left to the right crossing.
+            var s = 0;
+            if (interpolationData.rowDeltaX > 0) {
+                s = (xCenter - interpolationData.rowXStart) / interpolationData.rowDeltaX;
+                s = Math.min(1, Math.max(0, s));
+            }
+            interpolationData.weightOnScanline = s;
+            interpolationData.z = interpolationData.zStart + (interpolationData.zEnd - interpolationData.zStart) * s;
+
+            // Weight in eye space, see interpolationStepOnScanlinePerspective().
+            var t = s;
+            if (perspectiveCorrect) {
+                var qEndWeighted = s * interpolationData.qEnd;
+                t = qEndWeighted / ((1 - s) * interpolationData.qStart + qEndWeighted);
+            }
+            interpolationData.perspectiveWeightOnScanline = t;
+
+            interpolationData.shaderStepOnScanline(t);
+
+            if (texture != null) {
+                var uvVecStart = interpolationData.uvVecStart;
+                var uvVecEnd = interpolationData.uvVecEnd;
+                interpolationData.uvVec[0] = uvVecStart[0] + (uvVecEnd[0] - uvVecStart[0]) * t;
+                interpolationData.uvVec[1] = uvVecStart[1] + (uvVecEnd[1] - uvVecStart[1]) * t;
+            }
+        }
+
         /**
          * Calculate the derivative (only the sign) of a polygon edge.
          * @ return +-1 or 0.
@@ -641,6 +1792,30 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
             return true;
         }
 
+        /**
+         * Depth slope of a polygon for the polygon offset, see framebuffer.beginPolygonOffset().
+         * The normal of the projected polygon is calculated with Newell's method,
+         * which uses all vertices and does not depend on the plane equation.
+         *
+         * @returns largest change of the depth per pixel in x or y direction,
+         * Infinity for polygons perpendicular to the screen.
+         */
+        function calcDepthSlope(vertices, polygon) {
+            var nx = 0, ny = 0, nz = 0;
+            for (var i = 0; i < polygon.length; i++) {
+                var current = vertices[polygon[i]];
+                var next = vertices[polygon[(i + 1) % polygon.length]];
+                nx += (current[1] - next[1]) * (current[2] + next[2]);
+                ny += (current[2] - next[2]) * (current[0] + next[0]);
+                nz += (current[0] - next[0]) * (current[1] + next[1]);
+            }
+            if (nz == 0) {
+                return Infinity;
+            }
+            // On the plane dz/dx = -nx/nz and dz/dy = -ny/nz.
+            return Math.max(Math.abs(nx), Math.abs(ny)) / Math.abs(nz);
+        }
+
         /**
          * Call for new frame.
          */
@@ -664,6 +1839,17 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
                 return;
             }
 
+            // 1/w on the edge, it is linear in screen space.
+            // For perspective-correct interpolation the weight from Bresenham (screen space)
+            // is converted into the weight in eye space.
+            var q = 1;
+            if (perspectiveCorrect) {
+                var qStart = polygonVertices[edgeStartVertexIndex][3];
+                var qEnd = polygonVertices[edgeEndVertexIndex][3];
+                q = qStart + (qEnd - qStart) * interpolationWeight;
+                interpolationWeight = interpolationWeight * qEnd / q;
+            }
+
             // Check if this is the first point on scanline to initialize array.
             if (scanlineIntersection[y] == undefined) {
                 scanlineIntersection[y] = [];
@@ -677,7 +1863,8 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
                 edgeEndVertexIndex: edgeEndVertexIndex,
                 edgeStartTextureCoord: edgeStartTextureCoord,
                 edgeEndTextureCoord: edgeEndTextureCoord,
-                interpolationWeight: interpolationWeight
+                interpolationWeight: interpolationWeight,
+                q: q
             });
 
             // Dirty rect has to be adjusted here, as no points are set
@@ -710,6 +1897,62 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
             return z;
         }
 
+        /**
+         * @parameter _perspectiveCorrect: true for perspective-correct, false for affine interpolation.
+         */
+        function setPerspectiveCorrect(_perspectiveCorrect) {
+            perspectiveCorrect = _perspectiveCorrect;
+        }
+
+        function getPerspectiveCorrect() {
+            return perspectiveCorrect;
+        }
+
+        /**
+         * @parameter _rasterizerName one of rasterizerNames.
+         */
+        function setRasterizerName(_rasterizerName) {
+            rasterizerName = _rasterizerName;
+        }
+
+        function getRasterizerName() {
+            return rasterizerName;
+        }
+
+        /**
+         * @parameter _lineModeName one of lineModeNames.
+         */
+        function setLineModeName(_lineModeName) {
+            lineModeName = _lineModeName;
+        }
+
+        function getLineModeName() {
+            return lineModeName;
+        }
+
+        function setLineWidth(_lineWidth) {
+            lineWidth = _lineWidth;
+        }
+
+        function getLineWidth() {
+            return lineWidth;
+        }
+
+        /**
+         * @parameter _dashPatternName one of the keys of dashPatterns.
+         */
+        function setDashPatternName(_dashPatternName) {
+            dashPatternName = _dashPatternName;
+        }
+
+        function getDashPatternName() {
+            return dashPatternName;
+        }
+
+        function getDashPatternNames() {
+            return Object.keys(dashPatterns);
+        }
+
         /**
          * For Debug
          */
@@ -727,6 +1970,27 @@ define(["exports", "shader", "framebuffer", "data", "glMatrix"], //
         // Public API.
         exports.init = init;
         exports.drawLineBresenhamGivenStartEndPoint = drawLineBresenhamGivenStartEndPoint;
+        exports.drawPoint = drawPoint;
         exports.scanlineStrokePolygon = scanlineStrokePolygon;
         exports.scanlineFillPolygon = scanlineFillPolygon;
+        exports.fillPolygon = fillPolygon;
+        exports.fillDepthPolygon = fillDepthPolygon;
+        exports.flushTiles = flushTiles;
+        exports.getTileStats = getTileStats;
+        exports.getTileSize = getTileSize;
+        exports.rasterizerNames = rasterizerNames;
+        exports.setRasterizerName = setRasterizerName;
+        exports.getRasterizerName = getRasterizerName;
+        exports.lineModeNames = lineModeNames;
+        exports.setLineModeName = setLineModeName;
+        exports.getLineModeName = getLineModeName;
+        exports.setLineWidth = setLineWidth;
+        exports.getLineWidth = getLineWidth;
+        exports.setDashPatternName = setDashPatternName;
+        exports.getDashPatternName = getDashPatternName;
+        exports.getDashPatternNames = getDashPatternNames;
+        exports.setPerspectiveCorrect = setPerspectiveCorrect;
+        exports.getPerspectiveCorrect = getPerspectiveCorrect;
+        exports.setClipRect = setClipRect;
+        exports.getClipRect = getClipRect;
     });
@@ -0,0 +1,261 @@
+/**
+ * Web Worker that rasterizes one band of the framebuffer, see module parallel.
+ *
+ * This is not a module but the script the worker runs.
+ * It loads the modules of the main thread with a minimal AMD loader,
+ * thus the pixels are computed by the same raster and shader code.
+ * A worker has no DOM: the framebuffer gets a context without canvas,
+ * and textures are sent by the main thread.
+ *
+ * @namespace cog1
+ */
+"use strict";
+
+// Loaded modules by name, each is its exports object.
+var modules = {
+	// glMatrix defines globals.
+	"glMatrix" : {}
+};
+// Name of the module that is being loaded.
+var loadingModuleName;
+
+/**
+ * AMD define for modules loaded in dependency order with loadModule().
+ */
+function define(dependencies, factory) {
+	var exports = modules[loadingModuleName] = {};
+	var args = dependencies.map(function(name) {
+		return name == "exports" ? exports : modules[name];
+	});
+	factory.apply(self, args);
+}
+
+function loadModule(name) {
+	loadingModuleName = name;
+	importScripts(name + ".js");
+	return modules[name];
+}
+
+importScripts("ext/glMatrix.js");
+var data = loadModule("data");
+var shader = loadModule("shader");
+var texture = loadModule("texture");
+// Used by the framebuffer to display the frame, which the main thread does.
+// Workers are not used with ambient occlusion, see parallel.isEnabled().
+loadModule("postprocess");
+loadModule("fog");
+loadModule("ssao");
+var framebuffer = loadModule("framebuffer");
+var raster = loadModule("raster");
+var shadow = loadModule("shadow");
+shader.init();
+
+// Textures by id, see parallel.sendTextures().
+var textures = [];
+// Parameters the raster stage was initialized with.
+var initParameters = {};
+
+self.onmessage = function(event) {
+	var message = event.data;
+	if(message.type == "texture") {
+		addTexture(message);
+	} else if(message.type == "frame") {
+		renderBand(message.frame);
+	}
+};
+
+/**
+ * Create a texture object that samples as the one from texture.create().
+ */
+function addTexture(message) {
+	textures[message.id] = {
+		sample : texture.sample,
+		sampleProcedural : message.sampleProcedural,
+		proceduralSampleFunctionName : message.proceduralSampleFunctionName,
+		proceduralSampleFunction : texture[message.proceduralSampleFunctionName],
+		width : message.width,
+		height : message.height,
+		imageData : message.imageData
+	};
+}
+
+/**
+ * Initialize the raster stage and the framebuffer if the size changed.
+ */
+function initBuffers(frame) {
+	if(initParameters.width == frame.width && initParameters.height == frame.height && initParameters.supersampling == frame.supersampling && String(initParameters.bgColor) == String(frame.bgColor)) {
+		return;
+	}
+	initParameters = {
+		width : frame.width,
+		height : frame.height,
+		supersampling : frame.supersampling,
+		bgColor : frame.bgColor
+	};
+	// Context without canvas.
+	var ctx = {
+		width : frame.width,
+		height : frame.height,
+		getImageData : function(x, y, w, h) {
+			return new ImageData(w, h);
+		},
+		createImageData : function(w, h) {
+			return new ImageData(w, h);
+		},
+		putImageData : function() {
+		}
+	};
+	raster.init(ctx, frame.bgColor, frame.supersampling, 1);
+}
+
+/**
+ * Set up the shader and the raster stage as on the main thread.
+ */
+function applySettings(settings) {
+	shader.setShadingFunctionName(settings.shadingFunctionName);
+	shader.setLights(settings.ambientLightIntensity, settings.pointLightIntensity, settings.lightPosition, settings.specularLightIntensity, settings.specularLightExponent);
+	raster.setPerspectiveCorrect(settings.perspectiveCorrect);
+	raster.setRasterizerName(settings.rasterizerName);
+	raster.setLineModeName(settings.lineModeName);
+	raster.setLineWidth(settings.lineWidth);
+	raster.setDashPatternName(settings.dashPatternName);
+	// The shadow map is rendered on the main thread.
+	shadow.setData(settings.shadow);
+	framebuffer.setDepthEpsilon(settings.depthEpsilon);
+	framebuffer.setDefaultPolygonOffset(settings.defaultPolygonOffset);
+	framebuffer.setEdgeOffset(settings.edgeOffset);
+	if(framebuffer.getDeferredShading() != settings.deferredShading) {
+		framebuffer.setDeferredShading(settings.deferredShading);
+	}
+	if(framebuffer.getHdr() != settings.hdr) {
+		framebuffer.setHdr(settings.hdr);
+	}
+}
+
+/**
+ * @returns array of vectors as views on the packed array, see parallel.pack().
+ */
+function unpack(packed, size) {
+	var vectors = [];
+	for(var i = 0; i < packed.length / size; i++) {
+		vectors[i] = isNaN(packed[i * size]) ? undefined : packed.subarray(i * size, (i + 1) * size);
+	}
+	return vectors;
+}
+
+/**
+ * @returns object with the functions of a model that raster and shader use.
+ */
+function unpackModel(packed) {
+	var modelData = {
+		polygonVertices : []
+	};
+	var projectedVertices = unpack(packed.projectedVertices, 4);
+	var transformedVertices = unpack(packed.transformedVertices, 3);
+	var vertexNormals = unpack(packed.vertexNormals, 3);
+	var polygonNormals = unpack(packed.polygonNormals, 3);
+	return {
+		getData : function() {
+			return modelData;
+		},
+		getProjectedVertices : function() {
+			return projectedVertices;
+		},
+		getTransformedVertices : function() {
+			return transformedVertices;
+		},
+		getTransformedVertexNormals : function() {
+			return vertexNormals;
+		},
+		getTransformedPolygonNormals : function() {
+			return polygonNormals;
+		}
+	};
+}
+
+/**
+ * @returns color object as from data, with rgbaShaded reset to rgba.
+ */
+function createColor(rgba) {
+	return {
+		rgba : rgba,
+		rgbaShaded : rgba.slice()
+	};
+}
+
+/**
+ * Rasterize all polygons of the frame into the band
+ * and transfer the band back to the main thread.
+ * The polygons are filled and stroked as in scene.renderModel().
+ */
+function renderBand(frame) {
+	var startDate = Date.now();
+	var band = frame.band;
+
+	initBuffers(frame);
+	applySettings(frame.settings);
+	framebuffer.reset();
+	framebuffer.setRegion(band.y, band.height, band.rgba, band.z, undefined, band.ids);
+	var width = frame.width * frame.supersampling;
+	raster.setClipRect(0, band.y, width - 1, band.y + band.height - 1);
+
+	var models = frame.models.map(unpackModel);
+	var edgeColor = createColor(frame.edgeColor);
+	var currentModel = null;
+	for(var i = 0; i < frame.polygons.length; i++) {
+		var p = frame.polygons[i];
+		var model = models[p.model];
+		if(model != currentModel) {
+			// Each model is a dirty region of its own, as in scene.render().
+			framebuffer.closeDirtyRegion();
+			shader.setModel(model);
+			currentModel = model;
+		}
+		var vertices = model.getProjectedVertices();
+		var color = createColor(p.rgba);
+		var texture = p.texture != -1 ? textures[p.texture] : null;
+		var polygonTextureCoord;
+		if(texture != null) {
+			polygonTextureCoord = p.uv.map(function(uv, index) {
+				return index;
+			});
+		}
+		shader.setPolygon(p.index, p.polygon);
+		framebuffer.setOpacity(p.opacity);
+		framebuffer.setStencil(p.stencil);
+		framebuffer.setPolygonOffset(p.polygonOffset);
+		framebuffer.setObjectId(p.objectId);
+
+		if(p.fill) {
+			raster.fillPolygon(vertices, p.polygon, color, p.uv, polygonTextureCoord, texture);
+		} else if(!p.edges) {
+			raster.scanlineStrokePolygon(vertices, p.polygon, color);
+		}
+		if(p.edges) {
+			raster.scanlineStrokePolygon(vertices, p.polygon, edgeColor);
+		}
+	}
+	framebuffer.setOpacity(1);
+	framebuffer.setStencil(null);
+	framebuffer.setPolygonOffset(null);
+	framebuffer.setObjectId(-1);
+	raster.flushTiles();
+	framebuffer.resolve();
+
+	// Pixels outside the band may have been drawn by lines.
+	var rects = framebuffer.getDirtyRegions();
+	rects.forEach(function(rect) {
+		rect.y = Math.max(rect.y, band.y);
+		rect.yMax = Math.min(rect.yMax, band.y + band.height - 1);
+	});
+	var region = framebuffer.getRegion(band.y, band.height);
+	postMessage({
+		y : band.y,
+		height : band.height,
+		rgba : region.rgba,
+		z : region.z,
+		ids : region.ids,
+		dirtyRects : rects,
+		time : Date.now() - startDate
+	}, [region.rgba.buffer, region.z.buffer, region.ids.buffer]);
+}
@@ -0,0 +1,161 @@
+/**
+ * Record the animation of the scene to a numbered PNG sequence or an animated GIF.
+ *
+ * The recorder steps the animation with a fixed time step and renders each frame offscreen,
+ * see animation.step() and scene.renderOffscreen(). Thus the recording does not depend
+ * on the frame rate of the animation loop and is the same on slow and fast machines.
+ * The frames are rendered one after another in timeouts to keep the page responsive.
+ * Stop the animation loop while recording, as it steps the animation in real time.
+ *
+ * @namespace cog1
+ * @module recorder
+ */
+define(["exports", "scene", "animation", "framebuffer", "parallel", "imageExport"], function(exports, scene, animation, framebuffer, parallel, imageExport) {
+	"use strict";
+
+	var formats = ["png", "gif"];
+
+	var recording = false;
+	// Options of the running recording, see start().
+	var options = null;
+	var canvas = null;
+	// Captured frames as images with width, height and data.
+	var frames = [];
+	// Called with the files when the recording stops.
+	var finishedCallback = null;
+	var timeout = null;
+
+	/**
+	 * Start a recording, a running one is stopped first.
+	 *
+	 * @parameter _options with:
+	 * frames number of frames to record, default 50,
+	 * timeStep of the animation between two frames, see animation.step(), default 1,
+	 * format one of formats, default "gif",
+	 * delay between the frames of the GIF in milliseconds, default 40,
+	 * width and height of the frames, default is the size of the canvas,
+	 * canvas to render into, default is a new canvas element.
+	 * @parameter callback is called with the files when the recording stops,
+	 * see imageExport.exportFrame() for files.
+	 */
+	function start(_options, callback) {
+		stop();
+		var ctx = scene.getCtx();
+		options = {
+			frames : _options.frames || 50,
+			timeStep : _options.timeStep || 1,
+			format : _options.format || "gif",
+			delay : _options.delay || 40
+		};
+		canvas = _options.canvas;
+		if(canvas == undefined) {
+			canvas = document.createElement("canvas");
+			canvas.width = _options.width || ctx.width;
+			canvas.height = _options.height || ctx.height;
+		}
+		frames = [];
+		finishedCallback = callback;
+		recording = true;
+		timeout = setTimeout(recordFrame, 0);
+	}
+
+	/**
+	 * Render and capture one frame, then step the animation.
+	 */
+	function recordFrame() {
+		timeout = null;
+		if(!recording) {
+			return;
+		}
+		// Wait for the workers to finish the frame of the animation loop.
+		if(parallel.isBusy()) {
+			timeout = setTimeout(recordFrame, 10);
+			return;
+		}
+		// A frame that fails ends the recording with the frames so far,
+		// otherwise it would stay recording without a timeout.
+		try {
+			scene.renderOffscreen(canvas, function() {
+				frames.push(framebuffer.getColorImage());
+			});
+		} catch(e) {
+			stop();
+			throw e;
+		}
+		if(frames.length >= options.frames) {
+			stop();
+			return;
+		}
+		animation.step(options.timeStep);
+		timeout = setTimeout(recordFrame, 0);
+	}
+
+	/**
+	 * Stop the recording and pass the files of the frames recorded so far to the callback.
+	 */
+	function stop() {
+		if(!recording) {
+			return;
+		}
+		recording = false;
+		if(timeout != null) {
+			clearTimeout(timeout);
+			timeout = null;
+		}
+		var files = createFiles();
+		frames = [];
+		if(finishedCallback) {
+			finishedCallback(files);
+		}
+	}
+
+	/**
+	 * @returns array of files with name, type and data, empty if no frame was recorded.
+	 */
+	function createFiles() {
+		if(frames.length == 0) {
+			return [];
+		}
+		if(options.format == "gif") {
+			return [{
+				name : "animation.gif",
+				type : "image/gif",
+				data : imageExport.encodeGIF(frames, options.delay)
+			}];
+		}
+		// Numbers with leading zeros keep the files in order.
+		var digits = String(frames.length - 1).length;
+		return frames.map(function(frame, index) {
+			var number = String(index);
+			while(number.length < Math.max(digits, 4)) {
+				number = "0" + number;
+			}
+			return {
+				name : "frame-" + number + ".png",
+				type : "image/png",
+				data : imageExport.encodePNG(frame)
+			};
+		});
+	}
+
+	function isRecording() {
+		return recording;
+	}
+
+	/**
+	 * @returns number of frames recorded and to record.
+	 */
+	function getProgress() {
+		return {
+			recorded : frames.length,
+			total : recording ? options.frames : 0
+		};
+	}
+
+	// Public API.
+	exports.formats = formats;
+	exports.start = start;
+	exports.stop = stop;
+	exports.isRecording = isRecording;
+	exports.getProgress = getProgress;
+});
@@ -4,8 +4,8 @@
  * @namespace cog1
  * @module scene
  */
-define(["exports", "dojo", "dojo/dom-style", "app", "scenegraph", "createScene", "animation", "raster", "shader", "framebuffer", "data", "glMatrix"], //
-function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raster, shader, framebuffer, data) {
+define(["exports", "scenegraph", "createScene", "animation", "raster", "clip", "shader", "framebuffer", "parallel", "shadow", "ssao", "postprocess", "fog", "data", "glMatrix"], //
+function(exports, scenegraph, createScene, animation, raster, clip, shader, framebuffer, parallel, shadow, ssao, postprocess, fog, data) {
     "use strict";
 
 	// Variables with initialization parameters.
@@ -20,8 +20,10 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	// Color for normals and edges, set in init.
 	var lineColor3DName = "black";
 	var lineColor3D;
-	// Display the z-buffer instead of the frame-buffer.
-	var debug_zBuffer = false;
+	// Display the faces of the shadow map on top.
+	var debug_shadowMap = false;
+	// Outline the dirty regions of the framebuffer on top.
+	var debug_dirtyRegions = false;
 	// Display model-view and perspective matrices
 	// for the interactive node on the canvas.
 	var displayMatrices = true;
@@ -39,6 +41,13 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	var dataIsTriangulated = triangulateDataOnInit;
 	// Use textures defined in model data.
 	var texturing = true;
+	// Interpolate perspective-correct in raster, otherwise affine.
+	var perspectiveCorrect = false;
+	// Supersampling anti-aliasing: samples per pixel in x and y.
+	var supersampling = 1;
+	var supersamplingFactors = [1, 2, 4];
+	// Multisample anti-aliasing: coverage samples per pixel, see framebuffer.multisamplingCounts.
+	var multisampling = 1;
 
 	// Font for info on canvas (not in GUI) .
 	var fontsizeInPt = 10;
@@ -59,6 +68,8 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	var framerate;
 	// Number of polygons rendered in the current frame.
 	var polycount;
+	// Number of points (particles) rendered in the current frame.
+	var pointcount;
 
 	// Internal module variables.
 	//
@@ -67,12 +78,16 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	// Drawing context for canvas.
 	var ctx;
 	// Object with x,y,w,h to clear canvas.
-	var clearRect = null;
+	var clearRects = null;
 
 	// Scene is up to date, i.e. nothing changed,
 	// all (model-) data has been loaded,
 	// no animations are running.
 	var upToDate = false;
+	// Called when the scene needs re-rendering, see setUpdateCallback().
+	var updateCallback = null;
+	// Rendering into another canvas, see renderOffscreen().
+	var offscreen = false;
 
 	// In glMatrix vectors are columns.
 	// Thus OpenGL-Matrices have to be transposed.
@@ -82,6 +97,17 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	// The projection type can be set from the UI, see setProjectionType.
 	var projectionType = "ortho";
 	var projectionTypes = ["ortho", "frustum", "perspective"];
+	// Near and far clipping plane as distances in front of the camera, i.e., along -z.
+	// Null for far is as deep as the canvas is wide.
+	// The orthogonal projection reaches as far behind the camera as in front,
+	// as the models are placed around z=0, thus it does not use near.
+	// It does not clip at far either, far only scales its depth.
+	var near = 1;
+	var far = null;
+	// Map the near plane to depth 1 and the far plane to 0 instead of 0 and 1.
+	// The float z-buffer is most precise close to 0, where the perspective
+	// projection compresses the depth, thus far surfaces fight less.
+	var reversedZ = false;
 	// Viewport transformation matrix.
 	var viewport = mat4.identity(mat4.create());
 	// Combined matrix for faster calculation.
@@ -109,11 +135,17 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	 * Initialize rendering pipeline.
 	 * Init display parameter, projection, viewport and matrices.
 	 * Init pipeline module raster and shader.
+	 *
+	 * @parameter _canvas to render into, default is the canvas in the page.
+	 * Without a page pass an object with width, height and getContext(),
+	 * e.g., for headless rendering.
+	 * @parameter _bgColorStyle background color as "rgb(r, g, b)",
+	 * default is the background-color style of the canvas.
 	 */
-	function initPipeline() {
+	function initPipeline(_canvas, _bgColorStyle) {
 		// Check if there is already a canvas in the scene.
-		canvas = dojo.query("canvas")[0];
-		if(!dojo.isObject(canvas)) {
+		canvas = _canvas || document.querySelector("canvas");
+		if(!canvas) {
 			console.error("Scene: No canvas found.")
 			return;
 		}
@@ -122,7 +154,7 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 			ctx = canvas.getContext("2d");
 		}
 		// Get background-color from canvas to pass to the framebuffer.
-		bgColorStyleCanvas = domStyle.get(canvas, "backgroundColor");
+		bgColorStyleCanvas = _bgColorStyle || window.getComputedStyle(canvas).backgroundColor;
 		//console.log("background-color: "+bgColorStyleCanvas);
 		var rgb = bgColorStyleCanvas.match(/rgb\((\d+),\s(\d+),\s(\d+)\)/);
 		bgColorCanvas = rgb.slice(1, 4);
@@ -143,11 +175,14 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		setProjection();
 		setViewport();
 		calcviewportProjection();
+		// The clipping stage does the perspective division and the viewport transformation.
+		clip.init(viewport);
 
 		// Init modules for rendering.
 		// Shorthands for width, height, depth.
 		animation.init(ctx);
-		raster.init(ctx, bgColorCanvas);
+		raster.init(ctx, bgColorCanvas, supersampling, multisampling);
+		raster.setPerspectiveCorrect(perspectiveCorrect);
 		shader.init();
 		upToDate = false;
 	}
@@ -156,8 +191,9 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	/**
 	 * Set a projection matrix, see setProjectionType().
 	 * As a result all vertices inside the frustum
-	 * should be in a -1,+1 cube (clip coordinates).
-	 * Default is an orthogonal-projection without scaling (z-value will be ignored).
+	 * should be in a -1,+1 cube (clip coordinates),
+	 * z from -1 at the near to +1 at the far plane.
+	 * Default is an orthogonal-projection without scaling x and y.
 	 *
 	 * @parameter mat is a custom mat4 matrix.
 	 */
@@ -172,11 +208,8 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
             var r = ctx.width;
             // Top = bottom.
             var t = ctx.height;
-            // Near clipping plane.
-            var n = 1;
-            // Far clipping plane.
-            // Be as deep as wide.
-            var f = r;
+            var n = near;
+            var f = far || r;
 
             switch(projectionType){
                 case "ortho": {
@@ -188,12 +221,15 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
                     // Assume an orthogonal projection with a symmetric frustum.
                     // Projection should be the unity matrix at this point.
                     // See  mat4.multiplyVec4 for indices.
-                    projection[0] = n / r;
-                    projection[5] = n / t;
-                    // We do not clip at the near or far plane,
-                    // thus we leave out scaling the z-coordinate.
-                    //projection[10] = //-2/f-n;
-                    //projection[11] = -(f+n)/(f-n);
+                    projection[0] = 1 / r;
+                    projection[5] = 1 / t;
+                    // Map z in [-f,f] in front of and behind the camera,
+                    // thus near is not used.
+                    // The depth is only normalized, not clipped, see clip.setClipNearFar(),
+                    // as the models may reach farther than the canvas is wide.
+                    n = -f;
+                    projection[10] = -2 / (f - n);
+                    projection[14] = -(f + n) / (f - n);
                     break;
                 }
                 case "frustum": {
@@ -211,7 +247,10 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
                     console.error("Unknown projection type.");
                 }
             }
+            framebuffer.setDepthMapping(n, f, projectionType != "ortho", reversedZ);
 		}
+		// The orthogonal projection has no near and far planes.
+		clip.setClipNearFar(projectionType != "ortho");
 	}
 
 	/**
@@ -222,9 +261,10 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	function setViewport() {
 		// Center the scene and scale frustum to the canvas.
 		// Thus move (0,0,0) to (width/2, height/2,0).
+		// With supersampling the framebuffer is larger than the canvas.
 		// See  mat4.multiplyVec4 for indices.
-		var w = ctx.width;
-		var h = ctx.height;
+		var w = ctx.width * supersampling;
+		var h = ctx.height * supersampling;
 		var w2 = w / 2.0;
 		var h2 = h / 2.0;
 		viewport[0] = w2;
@@ -233,6 +273,11 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		viewport[5] *= -1;
 		viewport[12] = w2;
 		viewport[13] = h2;
+		// Map z in [-1,1] to the depth in the z-buffer, where larger values are closer:
+		// with reversed-z 1 at the near and 0 at the far plane,
+		// otherwise the depth from 0 at the near to 1 at the far plane is negated.
+		viewport[10] = -0.5;
+		viewport[14] = reversedZ ? 0.5 : -0.5;
 		//console.log("viewport: w" + w + " h" + h + " w2 " + w2 + " h2 " + h2);
 		//var matrix = [w2, 0, 0, 0,  0, h2, 0, 0,  0, 0, 1, 0,  w2, h2, 1, 1];
 		//mat4.set(matrix, viewport);
@@ -241,6 +286,8 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	function calcviewportProjection() {
 		//mat4.multiply(projection, viewport, viewportProjection);
 		mat4.multiply(viewport, projection, viewportProjection);
+		// The framebuffer converts pixel sizes to eye coordinates, e.g., for the ambient occlusion.
+		framebuffer.setPixelsPerEyeUnit(Math.abs(viewportProjection[0]));
 	}
 
 	/**
@@ -251,10 +298,16 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		if(upToDate) {
 			return true;
 		}
+		// Wait for the workers to finish the last frame.
+		if(parallel.isBusy()) {
+			return false;
+		}
 
 		// Measure the render time in ms.
 		var startDate = Date.now();
 		polycount = 0;
+		pointcount = 0;
+		clip.resetClipcount();
 
         clearCanvas();
 
@@ -268,6 +321,17 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 			drawGrid(true, false, false);
 		}
 
+		// The shadow map needs the vertices of all nodes before the first node is shaded.
+		if(shadow.isEnabled()) {
+			renderShadowMap(nodes);
+		}
+
+		// In parallel mode the polygons are collected for the workers.
+		var useWorkers = parallel.isEnabled() && !offscreen;
+		if(useWorkers) {
+			parallel.beginFrame(ctx, bgColorCanvas, supersampling, lineColor3D);
+		}
+
 		// Check if there is an interactive node or if node is not ready yet.
 		// Otherwise we cannot display matrix information for it.
 		var foundInteractiveNode = false;
@@ -310,9 +374,11 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 			// The result is stored in the transformedVertices of node.model.
 			nodes[i].applyMatrixToVertices(worldModelview);
 
-			// Apply the viewportProjection matrix to the node.
-			// The result is stored in the projectedVertices of node.model.
-			nodes[i].projectTransformedVertices(viewportProjection);
+			// Apply the projection matrix to the node.
+			// The result is stored in the clipVertices of node.model.
+			// The perspective division and the viewport transformation
+			// store the result in the projectedVertices of node.model.
+			nodes[i].projectTransformedVertices(projection);
 
 			// Transform, i.e. only rotate, normals for shading.
 			var worldRotation = nodes[i].updateRotation();
@@ -325,11 +391,95 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 			}
 
 			// Raster the 2D polygons of the node.
-			renderModel(nodes[i].getModel());
+			// Transparent nodes go into the A-buffer of the framebuffer.
+			// The object-ID buffer records the index of the node for picking.
+			framebuffer.setOpacity(nodes[i].getOpacity());
+			framebuffer.setStencil(nodes[i].getStencil());
+			framebuffer.setPolygonOffset(nodes[i].getPolygonOffset());
+			framebuffer.setObjectId(i);
+			renderModel(nodes[i].getModel(), useWorkers);
+			framebuffer.setOpacity(1);
+			framebuffer.setStencil(null);
+			framebuffer.setPolygonOffset(null);
+			framebuffer.setObjectId(-1);
+			// Each node is a dirty region of its own, merged if they overlap.
+			framebuffer.closeDirtyRegion();
+		}
+
+		// Rasterize the polygons binned by the tiled rasterizer.
+		raster.flushTiles();
+
+		// The frame is finished when the framebuffer is complete,
+		// in parallel mode when all workers are done.
+		if(useWorkers) {
+			parallel.render(function() {
+				finishFrame(startDate, foundInteractiveNode, interactiveNodeWorldModelview, interactiveNodeLocalModelview);
+			});
+		} else {
+			finishFrame(startDate, foundInteractiveNode, interactiveNodeWorldModelview, interactiveNodeLocalModelview);
+		}
+
+		return upToDate;
+	}
+
+	/**
+	 * Render the shadow map of the point light from all visible nodes, see module shadow.
+	 * The node of the light does not cast a shadow, as it encloses the light.
+	 */
+	function renderShadowMap(nodes) {
+		var models = [];
+		for(var i = 0; i < nodes.length; i++) {
+			if(!nodes[i].isReady() || !nodes[i].isVisible() || nodes[i] == scenegraph.getPointLightNode()) {
+				continue;
+			}
+			nodes[i].applyMatrixToVertices(nodes[i].updateModelview());
+			models.push(nodes[i].getModel());
 		}
+		shadow.render(models, shader.getLightPosition());
+	}
+
+	/**
+	 * Render a frame into another canvas, e.g., to export it in another size,
+	 * then initialize the pipeline for the canvas of the scene again.
+	 * The view of the scene is scaled to the size of the other canvas.
+	 * The frame is rasterized on the main thread, also in parallel mode.
+	 *
+	 * @parameter _canvas with width, height and getContext(), see initPipeline().
+	 * @parameter callback is called with the 2D context of the other canvas
+	 * when the frame is finished, while the framebuffer still holds it.
+	 */
+	function renderOffscreen(_canvas, callback) {
+		var sceneCanvas = canvas;
+		var sceneProjection = mat4.create(projection);
+		initPipeline(_canvas, bgColorStyleCanvas);
+		setProjection(sceneProjection);
+		calcviewportProjection();
+
+		offscreen = true;
+		render();
+		offscreen = false;
+		callback(ctx);
+
+		initPipeline(sceneCanvas, bgColorStyleCanvas);
+		setUpToDate(false);
+	}
+
+	/**
+	 * Display the framebuffer and draw the 2D information on top.
+	 * @parameter interactiveNodeWorldModelview, interactiveNodeLocalModelview for display of matrices.
+	 */
+	function finishFrame(startDate, foundInteractiveNode, interactiveNodeWorldModelview, interactiveNodeLocalModelview) {
 
 		framebuffer.display();
 
+		if(debug_shadowMap && shadow.isEnabled()) {
+			shadow.drawDebugView(ctx);
+		}
+
+		if(debug_dirtyRegions) {
+			drawDirtyRegions();
+		}
+
 		// The following text of 2D images are displayed on top of the scene.
 
 		// Show location if light in 2D, if shader users it.
@@ -354,14 +504,15 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		if(upToDate) {
 			displayRenderStatistics(startDate);
 		}
-
-		return upToDate;
 	}
 
 	/**
 	 * Rasterization, interpolation and shading.
+	 *
+	 * @parameter useWorkers if the polygons are collected for the workers,
+	 * false for offscreen frames also in parallel mode, see render().
 	 */
-	function renderModel(model) {
+	function renderModel(model, useWorkers) {
 		var modelData = model.getData();
 		var vertices = model.getProjectedVertices();
 		var polygons = modelData.polygonVertices;
@@ -379,6 +530,12 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		// Register the current model with the shader.
 		shader.setModel(model);
 
+		// Models without polygons are rendered as points.
+		if(polygons.length == 0) {
+			renderModelPoints(model, texture);
+			return;
+		}
+
 		// Loop over polygons in model.
 		for(var p = 0; p < polygons.length; p++) {
 
@@ -395,6 +552,17 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 				continue;
 			}
 
+			// Clip against the view-frustum.
+			// New vertices are added to the model and
+			// the texture coordinates are interpolated for them.
+			var clipped = clip.clipPolygon(model, polygon, textureCoord, polygonTextureCoord);
+			if(clipped == null) {
+				continue;
+			}
+			polygon = clipped.polygon;
+			var clippedTextureCoord = clipped.textureCoord;
+			var clippedPolygonTextureCoord = clipped.polygonTextureCoord;
+
 			// BEGIN exercise Back-Face Culling
 
 			// Back-face culling.
@@ -403,18 +571,26 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 			// END exercise Back-Face Culling
 
 			// Register the current polygon with the shader.
-			shader.setPolygon(p);
+			shader.setPolygon(p, polygon);
+
+			// Rasterize in the workers at the end of the frame.
+			if(useWorkers) {
+				parallel.addPolygon(model, p, polygon, color, clippedTextureCoord, clippedPolygonTextureCoord, texture, fill, displayEdges);
+				polycount++;
+				continue;
+			}
 
 			// Fill polygon.
 			if(fill) {
-				raster.scanlineFillPolygon(vertices, polygon, color, textureCoord, polygonTextureCoord, texture);
+				raster.fillPolygon(vertices, polygon, color, clippedTextureCoord, clippedPolygonTextureCoord, texture);
 			} else if(!displayEdges) {
 				// Stroke with colored edges.
 				raster.scanlineStrokePolygon(vertices, polygon, color);
 			}
 
 			// Stroke polygon edges on top to see edges
-			// (and to cover up (a bit) for edge fighting).
+			// (and to cover up (a bit) for edge fighting),
+			// see framebuffer.setEdgeOffset() to pull them in front of the fill.
 			if(displayEdges) {
 				raster.scanlineStrokePolygon(vertices, polygon, lineColor3D);
 			}
@@ -423,6 +599,34 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		}
 	}
 
+	/**
+	 * Rasterize the vertices of a model without polygons as points, see raster.drawPoint().
+	 * The size of the points in eye coordinates is scaled to pixels as by the projection,
+	 * thus with perspective they shrink with the distance (size attenuation).
+	 * Points are rasterized on the main thread, also in parallel mode,
+	 * the workers get them with the content of their band.
+	 *
+	 * @parameter texture of the model or null for shaded discs.
+	 */
+	function renderModelPoints(model, texture) {
+		var modelData = model.getData();
+		var vertices = model.getProjectedVertices();
+		var clipVertices = model.getClipVertices();
+		// Pixels per unit in eye coordinates where w is 1, 1/w is stored in the projected vertices.
+		var scale = modelData.pointSize * viewportProjection[0];
+
+		for(var v = 0; v < modelData.vertices.length; v++) {
+			if(!clip.clipPoint(clipVertices[v])) {
+				continue;
+			}
+			var color = modelData.colors[modelData.pointColors[v] || 0];
+			// A point is a polygon with one vertex for the shader and the object-ID buffer.
+			shader.setPolygon(v, [v]);
+			raster.drawPoint(vertices[v], scale * vertices[v][3], color, texture);
+			pointcount++;
+		}
+	}
+
 	/**
 	 * Create some debug geometry for the normals on the fly
 	 * and apply view-port transformation and projection and rasterization to it.
@@ -430,14 +634,12 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	 */
 	function renderModelNormals(model) {
 		var modelData = model.getData();
-		var vertices = model.getProjectedVertices();
+		// Normals are drawn as lines in eye coordinates,
+		// which are projected and clipped like the polygons.
+		var vertices = model.getTransformedVertices();
 		var polygons = modelData.polygonVertices;
 		var vertexNormals = model.getTransformedVertexNormals();
 		var polygonNormals = model.getTransformedPolygonNormals();
-		// For display (but not for light calculations) normals
-		// have to undergo perspective and view transformations
-		// without the translation part.
-		var perspectiveNormal = [0, 0, 0, 0];
 
 		var polygonCenter;
 		// Loop over polygons in model.
@@ -459,29 +661,24 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 			// Loop over vertices/edges in polygon.
 			for(var v = 0; v < polygon.length; v++) {
 
-				// viewportProjection for vertex-normal.
 				var vertexIndex = polygon[v];
-				vec3.set(vertexNormals[vertexIndex], perspectiveNormal)
-				mat4.multiplyVec4(viewportProjection, perspectiveNormal);
 				// Draw normal for vertex.
-				renderNormal(vertices[vertexIndex], perspectiveNormal);
+				renderNormal(vertices[vertexIndex], vertexNormals[vertexIndex]);
 
 				// Accumulate vertices to calculate center of polygon.
 				vec3.add(polygonCenter, vertices[vertexIndex]);
 			}
 			vec3.scale(polygonCenter, (1.0 / polygon.length));
 
-			// viewportProjection for polygon-normal.
-			vec3.set(normal, perspectiveNormal)
-			mat4.multiplyVec4(viewportProjection, perspectiveNormal);
 			// Draw normal for polygon beginning in the averaged center.
-			renderNormal(polygonCenter, perspectiveNormal);
+			renderNormal(polygonCenter, normal);
 		}
 	}
 
 	/**
 	 * Renders a normal as a line taking care of projection
 	 * and view-port and scaling it.
+	 * @parameter _startPoint and normal are in eye coordinates.
 	 */
 	function renderNormal(_startPoint, normal, scale) {
 
@@ -497,7 +694,39 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 
 		vec3.add(startPoint, scaledNormal, endPoint);
 
-		raster.drawLineBresenhamGivenStartEndPoint(startPoint, endPoint, lineColor3D);
+		renderLine(startPoint, endPoint, lineColor3D);
+	}
+
+	/**
+	 * Renders a debug line given in eye coordinates.
+	 * Apply projection, clipping, perspective division
+	 * and view-port transformation, then rasterize it.
+	 * @parameter startPoint, endPoint vec3, they are modified.
+	 */
+	function renderLine(startPoint, endPoint, color) {
+		var clipStart = [startPoint[0], startPoint[1], startPoint[2], 1];
+		var clipEnd = [endPoint[0], endPoint[1], endPoint[2], 1];
+		mat4.multiplyVec4(projection, clipStart);
+		mat4.multiplyVec4(projection, clipEnd);
+		if(!clip.clipLine(clipStart, clipEnd, startPoint, endPoint)) {
+			return;
+		}
+		var screenStart = clip.toScreen(clipStart, []);
+		var screenEnd = clip.toScreen(clipEnd, []);
+		raster.drawLineBresenhamGivenStartEndPoint(screenStart, screenEnd, color);
+	}
+
+	/**
+	 * Outline the dirty regions the framebuffer displayed, for debug.
+	 * The outlines are inside the regions, thus they are cleared with them.
+	 */
+	function drawDirtyRegions() {
+		ctx.strokeStyle = "red";
+		framebuffer.getDisplayRegions().forEach(function(rect) {
+			ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.xMax - rect.x, rect.yMax - rect.y);
+		});
+		// Reset color.
+		ctx.strokeStyle = defaultColor;
 	}
 
 	function clearLightLocationMarker() {
@@ -516,11 +745,14 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	function drawLightLocationMarker() {
 		// Get light position in world coordinates.
 		posLightLocationMarker = vec3.create(shader.getLightPosition());
+		var z = posLightLocationMarker[2];
 		// Transform to viewport.
 		mat4.multiplyVec3(viewportProjection, posLightLocationMarker);
+		// The viewport is in framebuffer pixels, the marker is drawn on the canvas.
+		posLightLocationMarker[0] /= supersampling;
+		posLightLocationMarker[1] /= supersampling;
 		var x = posLightLocationMarker[0];
 		var y = posLightLocationMarker[1];
-		var z = posLightLocationMarker[2];
 		// The size/radius depends on z position of light.
 		// Assume z in [-500,+500]
 		var r = Math.floor((z + 500) / 100) + 5;
@@ -572,9 +804,7 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 			endPoint[constIndex] = +range;
 			//normal[varIndex] = 0;
 			//normal[constIndex] = 0;
-			mat4.multiplyVec3(viewportProjection, startPoint, startPoint);
-			mat4.multiplyVec3(viewportProjection, endPoint, endPoint);
-			raster.drawLineBresenhamGivenStartEndPoint(startPoint, endPoint, color);
+			renderLine(startPoint, endPoint, color);
 		}
 		for( i = -range; i <= range; i += step) {
 			for(var j = -range; j <= range; j += range) {
@@ -706,11 +936,115 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		displayText(str, 10, 18, true);
 
 		// Display polycount.
-		if(polycount != 0) {
+		if(polycount != 0 || pointcount != 0) {
 			str = "polys: " + polycount;
+			// Number of polygons cut by the view-frustum.
+			if(clip.getClipcount() != 0) {
+				str += " (clipped: " + clip.getClipcount() + ")";
+			}
+			if(pointcount != 0) {
+				str += " points: " + pointcount;
+			}
 			//console.log(str);
 			displayText(str, 10, 38, true);
 		}
+
+		// Cost of supersampling.
+		if(supersampling > 1) {
+			str = "SSAA " + supersampling + "x" + supersampling + ": " + (supersampling * supersampling) + " samples/pixel";
+			str += ", " + framebuffer.getDownsamplingFilterName() + " filter " + framebuffer.getDownsamplingTime() + " ms";
+			displayText(str, 10, 58, true);
+		}
+		// Cost of multisampling.
+		if(multisampling > 1) {
+			str = "MSAA: " + multisampling + " samples/pixel, resolve " + framebuffer.getResolveTime() + " ms";
+			displayText(str, 10, 78, true);
+		}
+		// Binning of the tiled rasterizer.
+		if(raster.getRasterizerName() == "tiled") {
+			var tileStats = raster.getTileStats();
+			str = "tiles " + raster.getTileSize() + "x" + raster.getTileSize() + ": " + tileStats.usedTiles + "/" + tileStats.tiles + " used";
+			str += ", " + tileStats.binEntries + " bin entries";
+			if(tileStats.polygons > 0) {
+				str += " (" + (tileStats.binEntries / tileStats.polygons).toFixed(2) + " per polygon)";
+			}
+			str += ", max " + tileStats.maxBinSize + " per tile, " + tileStats.time + " ms";
+			displayText(str, 10, 118, true);
+		}
+		// Parallel rasterization.
+		if(parallel.getWorkerCount() > 0) {
+			if(offscreen) {
+				str = "workers: not used offscreen";
+			} else if(parallel.isEnabled()) {
+				var parallelStats = parallel.getStats();
+				str = "workers: " + parallelStats.workers + " bands, " + parallelStats.polygons + " polygons, " + parallelStats.time + " ms";
+				str += " (slowest band " + parallelStats.maxBandTime + " ms)";
+			} else {
+				str = "workers: not used with MSAA or SSAO";
+			}
+			displayText(str, 10, 138, true);
+		}
+		// Transparent fragments in the A-buffer.
+		if(framebuffer.getFragmentCount() > 0) {
+			str = "transparent fragments: " + framebuffer.getFragmentCount();
+			displayText(str, 10, 98, true);
+		}
+		// Fragments forward shading would have shaded versus pixels shaded.
+		if(framebuffer.getDeferredShading()) {
+			var deferredStats = framebuffer.getDeferredShadingStats();
+			if(parallel.isEnabled() && !offscreen) {
+				str = "deferred shading: in workers";
+			} else {
+				str = "deferred shading: " + deferredStats.shadedPixels + " pixels shaded for " + deferredStats.fragments + " fragments";
+				if(deferredStats.fragments > 0) {
+					str += " (" + (100 * (1 - deferredStats.shadedPixels / deferredStats.fragments)).toFixed(1) + "% saved)";
+				}
+				str += ", " + deferredStats.time + " ms";
+			}
+			displayText(str, 10, 158, true);
+		}
+		// Cost of the shadow map.
+		if(shadow.isEnabled()) {
+			var shadowStats = shadow.getStats();
+			str = "shadow map: 6x" + shadow.getSize() + "x" + shadow.getSize() + ", " + shadowStats.polygons + " polygons, PCF " + shadow.getPcfSize() + "x" + shadow.getPcfSize() + ", " + shadowStats.time + " ms";
+			displayText(str, 10, 178, true);
+		}
+		// Pixels reset and displayed in the dirty regions.
+		if(debug_dirtyRegions) {
+			var regions = framebuffer.getDisplayRegions();
+			var pixels = 0;
+			regions.forEach(function(rect) {
+				pixels += (rect.xMax - rect.x + 1) * (rect.yMax - rect.y + 1);
+			});
+			str = "dirty regions: " + regions.length + ", " + (100 * pixels / (ctx.width * ctx.height)).toFixed(1) + "% of the canvas";
+			displayText(str, 10, 198, true);
+		}
+		// Cost of the effects of the post-processing.
+		if(postprocess.isActive()) {
+			var postStats = postprocess.getStats();
+			str = "post-processing:";
+			postprocess.getChain().forEach(function(name) {
+				str += " " + name + " " + postStats.times[name] + " ms,";
+			});
+			str += " total " + postStats.time + " ms";
+			displayText(str, 10, 218, true);
+		}
+		// Operator and cost of the tone mapping.
+		if(framebuffer.getHdr()) {
+			str = "HDR: " + framebuffer.getToneMappingName() + ", exposure " + framebuffer.getExposure().toFixed(1) + ", " + framebuffer.getToneMappingTime() + " ms";
+			displayText(str, 10, 238, true);
+		}
+		// Cost of the ambient occlusion.
+		if(ssao.isEnabled()) {
+			var ssaoStats = ssao.getStats();
+			str = "SSAO: " + ssao.getSampleCount() + " samples, radius " + ssao.getRadius() + ", " + ssaoStats.pixels + " pixels, " + ssaoStats.time + " ms";
+			displayText(str, 10, 278, true);
+		}
+		// Mode and cost of the fog.
+		if(fog.isEnabled()) {
+			str = "fog: " + fog.getModeName() + ", " + framebuffer.getFogTime() + " ms";
+			displayText(str, 10, 258, true);
+		}
 	}
 
     //////////////////////////////////////////
@@ -719,22 +1053,23 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 
     /**
      * Clear all or part of the canvas,
-     * depending on the dirty rect from the framebuffer.
+     * depending on the dirty regions from the framebuffer.
      *
      * @parameter clearAll clears the entire canvas.
      */
     function clearCanvas(clearAll){
         // Reset the framebuffer to prepare it for the next frame.
-        clearRect = framebuffer.reset();
+        clearRects = framebuffer.reset();
 
         // Clear the canvas from debug info and from the
-        // remains of the last (maybe larger) dirty rectangle.
-        if(clearRect == null || displayMatrices || clearAll) {
+        // remains of the last (maybe larger) dirty regions.
+        if(clearRects == null || displayMatrices || clearAll) {
             // Reset all to clear the text.
             ctx.clearRect(0, 0, ctx.width, ctx.height);
         } else {
-            ctx.clearRect(clearRect.x, clearRect.y, clearRect.w, clearRect.h);
-            //ctx.strokeRect(clearRect.x, clearRect.y, clearRect.w, clearRect.h);
+            clearRects.forEach(function(clearRect) {
+                ctx.clearRect(clearRect.x, clearRect.y, clearRect.w, clearRect.h);
+            });
             // Clean frame-counter.
             ctx.clearRect(0, 0, 150, 30);
             clearLightLocationMarker();
@@ -782,8 +1117,39 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		setUpToDate();
 	}
 
+	/**
+	 * Display the z-buffer instead of the frame-buffer.
+	 */
 	function toggleDebugZBuffer() {
-		debug_zBuffer = !debug_zBuffer;
+		framebuffer.setDebugZBuffer(!framebuffer.getDebugZBuffer());
+		setUpToDate();
+	}
+
+	function toggleShadows() {
+		shadow.setEnabled(!shadow.isEnabled());
+		setUpToDate();
+	}
+
+	function toggleAmbientOcclusion() {
+		ssao.setEnabled(!ssao.isEnabled());
+		setUpToDate();
+	}
+
+	/**
+	 * Display the ambient occlusion instead of the frame-buffer.
+	 */
+	function toggleDebugAmbientOcclusion() {
+		framebuffer.setDebugAmbientOcclusion(!framebuffer.getDebugAmbientOcclusion());
+		setUpToDate();
+	}
+
+	function toggleDebugShadowMap() {
+		debug_shadowMap = !debug_shadowMap;
+		setUpToDate();
+	}
+
+	function toggleDebugDirtyRegions() {
+		debug_dirtyRegions = !debug_dirtyRegions;
 		setUpToDate();
 	}
 
@@ -830,6 +1196,60 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		setUpToDate();
 	}
 
+	function togglePerspectiveCorrect() {
+		perspectiveCorrect = !perspectiveCorrect;
+		raster.setPerspectiveCorrect(perspectiveCorrect);
+		setUpToDate();
+	}
+
+	/**
+	 * Switch between forward and deferred shading, see framebuffer.setDeferredShading().
+	 */
+	function toggleDeferredShading() {
+		framebuffer.setDeferredShading(!framebuffer.getDeferredShading());
+		setUpToDate();
+	}
+
+	/**
+	 * Switch the float color buffer with tone mapping on or off, see framebuffer.setHdr().
+	 */
+	function toggleHdr() {
+		framebuffer.setHdr(!framebuffer.getHdr());
+		setUpToDate();
+	}
+
+	/**
+	 * What is displayed at a point of the canvas in the last frame, see framebuffer.pick().
+	 *
+	 * @parameter x, y canvas coordinates.
+	 * @returns the object of framebuffer.pick() with the node, null for the background,
+	 * or null outside the canvas.
+	 */
+	function pick(x, y) {
+		var picked = framebuffer.pick(x, y);
+		if(picked == null) {
+			return null;
+		}
+		picked.node = picked.objectId != -1 ? scenegraph.getNodes()[picked.objectId] || null : null;
+		return picked;
+	}
+
+	/**
+	 * Make the node displayed at a point of the canvas the interactive node.
+	 *
+	 * @parameter x, y canvas coordinates.
+	 * @returns the node or null if there is none, e.g., on the background.
+	 */
+	function selectNodeAt(x, y) {
+		var picked = pick(x, y);
+		if(picked == null || picked.node == null) {
+			return null;
+		}
+		scenegraph.setInteractiveNode(picked.node);
+		setUpToDate();
+		return picked.node;
+	}
+
 	//////////////////////////////////////////
 	//////// getter/setter functions for UI
 	//////////////////////////////////////////
@@ -844,11 +1264,19 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		//console.log("scene.setUpToDate()...");
 		upToDate = val || false;
 		// Tell app to run the loop.
-		if(!upToDate) {
-			app.requestUpdate();
+		if(!upToDate && updateCallback != null) {
+			updateCallback();
 		}
 	}
 
+	/**
+	 * @parameter callback is called when the scene needs re-rendering,
+	 * the app restarts the render loop.
+	 */
+	function setUpdateCallback(callback) {
+		updateCallback = callback;
+	}
+
 	function getUpToDate() {
 		return upToDate;
 	}
@@ -877,8 +1305,73 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 		return texturing;
 	}
 
+	/**
+	 * Re-initialize the framebuffer with the new size and adjust the viewport.
+	 * @parameter _supersampling one of supersamplingFactors.
+	 */
+	function setSupersampling(_supersampling) {
+		supersampling = _supersampling;
+		setViewport();
+		calcviewportProjection();
+		raster.init(ctx, bgColorCanvas, supersampling, multisampling);
+		// Clear the canvas, as the framebuffer forgot the last dirty regions.
+		ctx.clearRect(0, 0, ctx.width, ctx.height);
+		setUpToDate();
+	}
+
+	function getSupersampling() {
+		return supersampling;
+	}
+
+	/**
+	 * Re-initialize the framebuffer with the samples.
+	 * @parameter _multisampling one of framebuffer.multisamplingCounts.
+	 */
+	function setMultisampling(_multisampling) {
+		multisampling = _multisampling;
+		raster.init(ctx, bgColorCanvas, supersampling, multisampling);
+		ctx.clearRect(0, 0, ctx.width, ctx.height);
+		setUpToDate();
+	}
+
+	function getMultisampling() {
+		return multisampling;
+	}
+
+	function getPerspectiveCorrect() {
+		return perspectiveCorrect;
+	}
+
+	function getDeferredShading() {
+		return framebuffer.getDeferredShading();
+	}
+
+	function getHdr() {
+		return framebuffer.getHdr();
+	}
+
 	function getDebug_zBuffer() {
-		return debug_zBuffer;
+		return framebuffer.getDebugZBuffer();
+	}
+
+	function getShadows() {
+		return shadow.isEnabled();
+	}
+
+	function getAmbientOcclusion() {
+		return ssao.isEnabled();
+	}
+
+	function getDebug_ambientOcclusion() {
+		return framebuffer.getDebugAmbientOcclusion();
+	}
+
+	function getDebug_shadowMap() {
+		return debug_shadowMap;
+	}
+
+	function getDebug_dirtyRegions() {
+		return debug_dirtyRegions;
 	}
 
 	function getBackfaceCulling() {
@@ -903,6 +1396,10 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
         } else {
             projectionType = _projectionType;
         }
+        // Without canvas, e.g. headless, the projection is set in initPipeline().
+        if(ctx == undefined) {
+            return;
+        }
         setProjection();
         calcviewportProjection();
     }
@@ -912,6 +1409,57 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
         return projectionType;
     }
 
+    /**
+     * The orthogonal projection ignores the near plane, see setProjection().
+     *
+     * @parameter _near distance of the near plane, see near.
+     */
+    function setNearPlane(_near){
+        near = _near;
+        if(ctx == undefined) {
+            return;
+        }
+        setProjection();
+        calcviewportProjection();
+    }
+
+    function getNearPlane(){
+        return near;
+    }
+
+    /**
+     * @parameter _far distance of the far plane, null for the default, see far.
+     */
+    function setFarPlane(_far){
+        far = _far;
+        if(ctx == undefined) {
+            return;
+        }
+        setProjection();
+        calcviewportProjection();
+    }
+
+    function getFarPlane(){
+        return far;
+    }
+
+    /**
+     * Switch between standard and reversed depth, see reversedZ.
+     */
+    function toggleReversedZ(){
+        reversedZ = !reversedZ;
+        if(ctx != undefined) {
+            setProjection();
+            setViewport();
+            calcviewportProjection();
+        }
+        setUpToDate();
+    }
+
+    function getReversedZ(){
+        return reversedZ;
+    }
+
     /**
      * Check the current projection type.
      */
@@ -927,6 +1475,7 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	// Public API.
 	exports.init = init;
 	exports.initPipeline = initPipeline;
+	exports.renderOffscreen = renderOffscreen;
 	exports.render = render;
 	exports.displayText = displayText;
 	exports.displayMessage = displayMessage;
@@ -936,12 +1485,22 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	exports.toggleDebugEdges = toggleDebugEdges;
 	exports.toggleTriangulation = toggleTriangulation;
 	exports.toggleDebugZBuffer = toggleDebugZBuffer;
+	exports.toggleShadows = toggleShadows;
+	exports.toggleDebugShadowMap = toggleDebugShadowMap;
+	exports.toggleAmbientOcclusion = toggleAmbientOcclusion;
+	exports.toggleDebugAmbientOcclusion = toggleDebugAmbientOcclusion;
 	exports.toggleBackfaceCulling = toggleBackfaceCulling;
 	exports.toggleShowGrid = toggleShowGrid;
 	exports.toggleDisplayMatrices = toggleDisplayMatrices;
 	exports.toggleTexturing = toggleTexturing;
+	exports.togglePerspectiveCorrect = togglePerspectiveCorrect;
+	exports.toggleDeferredShading = toggleDeferredShading;
+	exports.toggleHdr = toggleHdr;
 	// Public getter/setter for variables.
 	exports.setUpToDate = setUpToDate;
+	exports.pick = pick;
+	exports.selectNodeAt = selectNodeAt;
+	exports.setUpdateCallback = setUpdateCallback;
 	exports.getUpToDate = getUpToDate;
 	exports.getCtx = getCtx;
 	exports.getFill = getFill;
@@ -949,12 +1508,32 @@ function(exports, dojo, domStyle, app, scenegraph, createScene, animation, raste
 	exports.getDisplayEdges = getDisplayEdges;
 	exports.getDataIsTriangulated = getDataIsTriangulated;
 	exports.getDebug_zBuffer = getDebug_zBuffer;
+	exports.getShadows = getShadows;
+	exports.getDebug_shadowMap = getDebug_shadowMap;
+	exports.getAmbientOcclusion = getAmbientOcclusion;
+	exports.getDebug_ambientOcclusion = getDebug_ambientOcclusion;
+	exports.toggleDebugDirtyRegions = toggleDebugDirtyRegions;
+	exports.getDebug_dirtyRegions = getDebug_dirtyRegions;
 	exports.getBackfaceCulling = getBackfaceCulling;
 	exports.getShowGrid = getShowGrid;
 	exports.getDisplayMatrices = getDisplayMatrices;
 	exports.getTexturing = getTexturing;
+	exports.getPerspectiveCorrect = getPerspectiveCorrect;
+	exports.getDeferredShading = getDeferredShading;
+	exports.getHdr = getHdr;
+	exports.setSupersampling = setSupersampling;
+	exports.getSupersampling = getSupersampling;
+	exports.supersamplingFactors = supersamplingFactors;
+	exports.setMultisampling = setMultisampling;
+	exports.getMultisampling = getMultisampling;
     exports.setProjectionType = setProjectionType;
     exports.getProjectionType = getProjectionType;
+    exports.setNearPlane = setNearPlane;
+    exports.getNearPlane = getNearPlane;
+    exports.setFarPlane = setFarPlane;
+    exports.getFarPlane = getFarPlane;
+    exports.toggleReversedZ = toggleReversedZ;
+    exports.getReversedZ = getReversedZ;
     exports.isProjectionType = isProjectionType;
     // Public constants.
     exports.projectionTypes = projectionTypes;
@@ -3,8 +3,8 @@
  * @namespace cog1
  * @module scene
  */
-define(["exports", "dojo", "scene", "model", "node", "shader"], //
-function(exports, dojo, scene, model, node, shader) {
+define(["exports", "scene", "model", "node", "shader"], //
+function(exports, scene, model, node, shader) {
     "use strict";
 
 	// Contains the scene-graph, a tree of
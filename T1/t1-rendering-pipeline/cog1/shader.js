@@ -33,6 +33,11 @@ define(["exports"], function(exports) {
 	// projected. It has to be set in respect to the
 	// screen coordinates.
 	var pointLightPosition = [0, 0, 0];
+	// Fraction of the point light that reaches a point, null if there are no shadows,
+	// see module shadow.
+	var shadowFunction = null;
+	// Fraction of the ambient light that reaches the next shaded point, see module ssao.
+	var ambientOcclusion = 1;
 
 	// Data of the model.
 	var model = null;
@@ -193,18 +198,28 @@ define(["exports"], function(exports) {
 		polygonNormals = model.getTransformedPolygonNormals();
 	}
 
+	function getModel() {
+		return model;
+	}
+
+	function getPolygonIndex() {
+		return polygonIndex;
+	}
+
 	/**
 	 * Prepare shader and interpolation for polygon.
 	 * Function is called from scene.
 	 * @parameter polygonIndex is the index of the polygon to process.
+	 * @parameter _polygon is optional and replaces the polygon of the model,
+	 * e.g., after clipping added new vertices.
 	 */
-	function setPolygon(_polygonIndex) {
+	function setPolygon(_polygonIndex, _polygon) {
 		if(model == null) {
 			console.error("Error in setPolygon: no model set.");
 			return false;
 		}
 		polygonIndex = _polygonIndex;
-		polygon = polygons[polygonIndex];
+		polygon = _polygon || polygons[polygonIndex];
 		polygonNormal = polygonNormals[polygonIndex];
 		// Initialize depending on the current shading function.
 		initFunction();
@@ -256,6 +271,17 @@ define(["exports"], function(exports) {
 
 		// END exercise Flat-Shading
 
+		// Ambient light is blocked in creases.
+		ambientDiffuse -= ambientLightIntensity * (1 - ambientOcclusion);
+
+		// Diffuse and specular light are blocked in the shadow.
+		if(shadowFunction != null) {
+			var visibility = shadowFunction(point, normal);
+			ambientDiffuse -= diffuse * (1 - visibility);
+			diffuse *= visibility;
+			specular *= visibility;
+		}
+
 		// Return object with intensities.
 		return {
 			diffuse : diffuse,
@@ -295,8 +321,14 @@ define(["exports"], function(exports) {
 	/**
 	 * Interpolation function called for each fragment/pixel/x on current scanline
 	 * after all other calculation took place. Thus this function prepare the next step.
+	 *
+	 * @parameter weightOnScanline is only given for perspective-correct interpolation,
+	 * see raster.setPerspectiveCorrect(), and from the edge-function rasterizer,
+	 * which may skip pixels. It is the weight from start (0) to end (1)
+	 * of the scanline segment. Then interpolate the values of the start and end
+	 * with this weight instead of adding the delta for one step.
 	 */
-	function noneInterpolationStepOnScanline() {
+	function noneInterpolationStepOnScanline(weightOnScanline) {
 	}
 
 	// BEGIN exercise Flat-Shading
@@ -504,6 +536,45 @@ define(["exports"], function(exports) {
 
 	// END exercise Toon-Shading
 
+	/**
+	 * Light one pixel in the second pass of deferred shading,
+	 * see framebuffer.setDeferredShading().
+	 * Normal and position are interpolated per pixel into the G-buffer,
+	 * thus the light is calculated as for phong, whatever shading function is set.
+	 * The shading function "none" keeps the base color.
+	 * As long as calcLightIntensity() is not implemented, the other shading functions
+	 * keep the base color as in forward shading, only darkened by the ambient occlusion
+	 * as in framebuffer.occludeRegion().
+	 *
+	 * @parameter color object with the base color in rgba, rgbaShaded is set.
+	 * @parameter position vec3 in eye coordinates.
+	 * @parameter normal normalized vec3 in eye coordinates.
+	 */
+	function shadeDeferred(color, position, normal) {
+		none(color);
+		if(shadingFunctionName == "none") {
+			return;
+		}
+
+		// BEGIN exercise Phong-Shading
+
+		// Calculate shading per pixel, as phong does.
+		//var intensity = calcLightIntensity(position, normal);
+		//for(var i = 0; i < 3; i++) {
+		//	// Add white specular light.
+		//	// Not clamped, the color buffer clamps, or keeps the value for HDR.
+		//	color.rgbaShaded[i] = color.rgba[i] * intensity.ambientDiffuse + 255 * intensity.specular;
+		//}
+		//return;
+
+		// END exercise Phong-Shading
+
+		var factor = 1 - ambientLightIntensity * (1 - ambientOcclusion);
+		for(var i = 0; i < 3; i++) {
+			color.rgbaShaded[i] = color.rgba[i] * factor;
+		}
+	}
+
 	/**
 	 * Do a check before the shading function is executed.
 	 * The check may also be skipped for speed.
@@ -520,6 +591,22 @@ define(["exports"], function(exports) {
 		return true;
 	}
 
+	/**
+	 * @parameter _shadowFunction(point, normal) returns the visibility of the point light
+	 * in [0,1] at the point, null to switch shadows off.
+	 */
+	function setShadowFunction(_shadowFunction) {
+		shadowFunction = _shadowFunction;
+	}
+
+	/**
+	 * @parameter _ambientOcclusion in [0,1] for the following calls of calcLightIntensity(),
+	 * set per pixel in deferred shading, 1 is unoccluded.
+	 */
+	function setAmbientOcclusion(_ambientOcclusion) {
+		ambientOcclusion = _ambientOcclusion;
+	}
+
 	// Getter.
 
 	function getLightPosition() {
@@ -547,6 +634,8 @@ define(["exports"], function(exports) {
 	exports.setLights = setLights;
 	exports.setModel = setModel;
 	exports.setPolygon = setPolygon;
+	exports.getModel = getModel;
+	exports.getPolygonIndex = getPolygonIndex;
 	exports.setShadingFunctionName = setShadingFunctionName;
 	exports.getShadingFunctionName = getShadingFunctionName;
 	exports.getShadingFunction = getShadingFunction;
@@ -554,6 +643,9 @@ define(["exports"], function(exports) {
 	exports.getInterpolationStepOnScanlineFunction = getInterpolationStepOnScanlineFunction;
 	exports.getInitFunction = getInitFunction;
 	exports.usesLightLocation = usesLightLocation;
+	exports.shadeDeferred = shadeDeferred;
+	exports.setShadowFunction = setShadowFunction;
+	exports.setAmbientOcclusion = setAmbientOcclusion;
 	// Public constants.
 	exports.shadingFunctionNames = shadingFunctionNames;
 	// Export shading function to pass them as direct reference to other modules for speed.
@@ -0,0 +1,359 @@
+/**
+ * Shadow mapping for the point light.
+ *
+ * The depth of the scene as seen from the light is rendered into an
+ * omnidirectional shadow map: a cube around the light with one face
+ * for each direction of the axes, each with a perspective projection of 90 degrees.
+ * The faces are filled with the edge-function rasterizer into depth targets
+ * of the framebuffer, see framebuffer.beginDepthTarget().
+ * A face stores 1/distance along its axis, which is linear in screen space,
+ * larger values are closer as in the z-buffer.
+ *
+ * While shading the shader asks for the visibility of the light at a point,
+ * see shader.setShadowFunction(). A point is in shadow if the face in its direction
+ * holds a surface closer to the light. A bias avoids that surfaces shadow themselves (acne).
+ * Percentage-closer filtering (PCF) averages the test over neighboring texels for soft edges.
+ *
+ * @namespace cog1
+ * @module shadow
+ */
+define(["exports", "shader", "raster", "framebuffer", "glMatrix"], function(exports, shader, raster, framebuffer) {
+	"use strict";
+
+	var enabled = false;
+	// Width and height of each face in texels.
+	var sizes = [128, 256, 512];
+	var size = 256;
+	// Depth buffers of the faces in the order +x, -x, +y, -y, +z, -z.
+	var faces = [];
+	// Distance of the near plane from the light, closer parts of polygons are clipped.
+	var near = 1;
+	// Depth bias in texels of the map, i.e., it grows with the distance from the light.
+	// It is divided by the cosine between normal and light direction.
+	var bias = 1.5;
+	// Kernel widths of percentage-closer filtering, 1 is a single lookup.
+	var pcfSizes = [1, 3, 5];
+	var pcfSize = 1;
+	// Position of the light the map was rendered from.
+	var lightPosition = [0, 0, 0];
+
+	// Statistics of the last render().
+	var stats = {
+		// Polygons rasterized, summed over the faces.
+		polygons : 0,
+		time : 0
+	};
+
+	/**
+	 * Allocate the faces if the size changed.
+	 */
+	function initFaces() {
+		if(faces.length == 6 && faces[0].length == size * size) {
+			return;
+		}
+		faces = [];
+		for(var f = 0; f < 6; f++) {
+			faces[f] = new Float32Array(size * size).fill(framebuffer.maxDistance);
+		}
+	}
+
+	/**
+	 * Render the shadow map from the transformed vertices of the models.
+	 * Call before the models are shaded, as the shader uses the last map.
+	 *
+	 * @parameter models with transformed vertices in the space of the light position.
+	 * @parameter _lightPosition vec3, see shader.getLightPosition().
+	 */
+	function render(models, _lightPosition) {
+		var startDate = Date.now();
+		vec3.set(_lightPosition, lightPosition);
+		initFaces();
+		stats.polygons = 0;
+
+		var clipRect = raster.getClipRect();
+		raster.setClipRect(0, 0, size - 1, size - 1);
+		for(var f = 0; f < 6; f++) {
+			faces[f].fill(framebuffer.maxDistance);
+			framebuffer.beginDepthTarget(faces[f], size, size);
+			for(var m = 0; m < models.length; m++) {
+				renderModel(models[m], f);
+			}
+			framebuffer.endDepthTarget();
+		}
+		raster.setClipRect(clipRect.x, clipRect.y, clipRect.xMax, clipRect.yMax);
+
+		stats.time = Date.now() - startDate;
+	}
+
+	/**
+	 * Rasterize the polygons of a model into one face.
+	 * The coordinates in the face are u and v along the next two axes
+	 * and the depth along the axis of the face, away from the light.
+	 */
+	function renderModel(model, face) {
+		var axis = face >> 1;
+		var sign = (face & 1) ? -1 : 1;
+		var vertices = model.getTransformedVertices();
+		var polygons = model.getData().polygonVertices;
+
+		// Vertices relative to the light in face coordinates.
+		var faceVertices = [];
+		for(var i = 0; i < vertices.length; i++) {
+			var vertex = vertices[i];
+			if(vertex == undefined) {
+				continue;
+			}
+			faceVertices[i] = [vertex[(axis + 1) % 3] - lightPosition[(axis + 1) % 3], vertex[(axis + 2) % 3] - lightPosition[(axis + 2) % 3], sign * (vertex[axis] - lightPosition[axis])];
+		}
+
+		for(var p = 0; p < polygons.length; p++) {
+			if(polygons[p].length < 3) {
+				continue;
+			}
+			var polygon = clipNear(polygons[p], faceVertices);
+			if(polygon == null || isOutside(polygon)) {
+				continue;
+			}
+			// Project into the face, the vertices of the polygon are numbered anew.
+			var projected = [];
+			var indices = [];
+			for(var i = 0; i < polygon.length; i++) {
+				var depth = polygon[i][2];
+				projected[i] = [(polygon[i][0] / depth + 1) * size / 2, (polygon[i][1] / depth + 1) * size / 2, 1 / depth, 1 / depth];
+				indices[i] = i;
+			}
+			raster.fillDepthPolygon(projected, indices);
+			stats.polygons++;
+		}
+	}
+
+	/**
+	 * Clip a polygon at the near plane of a face (Sutherland-Hodgman).
+	 *
+	 * @parameter polygon indices into faceVertices.
+	 * @returns array of vertices in face coordinates, null if nothing is left.
+	 */
+	function clipNear(polygon, faceVertices) {
+		var output = [];
+		for(var i = 0; i < polygon.length; i++) {
+			var curr = faceVertices[polygon[i]];
+			var prev = faceVertices[polygon[(i + polygon.length - 1) % polygon.length]];
+			var currInside = curr[2] >= near;
+			var prevInside = prev[2] >= near;
+			if(currInside != prevInside) {
+				var t = (near - prev[2]) / (curr[2] - prev[2]);
+				output.push([prev[0] + (curr[0] - prev[0]) * t, prev[1] + (curr[1] - prev[1]) * t, near]);
+			}
+			if(currInside) {
+				output.push(curr);
+			}
+		}
+		return output.length < 3 ? null : output;
+	}
+
+	/**
+	 * @returns true if all vertices are outside of the same side plane of the face.
+	 */
+	function isOutside(polygon) {
+		for(var c = 0; c < 2; c++) {
+			var allAbove = true;
+			var allBelow = true;
+			for(var i = 0; i < polygon.length; i++) {
+				allAbove = allAbove && polygon[i][c] > polygon[i][2];
+				allBelow = allBelow && polygon[i][c] < -polygon[i][2];
+			}
+			if(allAbove || allBelow) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Shadow function for the shader, see shader.setShadowFunction().
+	 *
+	 * @parameter point vec3 in the space of the light position.
+	 * @parameter normal vec3 of the surface at the point, used to scale the bias, may be zero.
+	 * @returns fraction of the light that reaches the point in [0,1].
+	 */
+	function visibility(point, normal) {
+		var direction = [point[0] - lightPosition[0], point[1] - lightPosition[1], point[2] - lightPosition[2]];
+		// Face of the major axis.
+		var axis = 0;
+		for(var i = 1; i < 3; i++) {
+			if(Math.abs(direction[i]) > Math.abs(direction[axis])) {
+				axis = i;
+			}
+		}
+		var depth = Math.abs(direction[axis]);
+		if(depth < near) {
+			return 1;
+		}
+		var face = faces[2 * axis + (direction[axis] < 0 ? 1 : 0)];
+		var x = Math.floor((direction[(axis + 1) % 3] / depth + 1) * size / 2);
+		var y = Math.floor((direction[(axis + 2) % 3] / depth + 1) * size / 2);
+
+		// A texel covers 2 * depth / size in the scene.
+		// Steep surfaces need a larger bias, as the depth changes faster over a texel.
+		// The kernel reaches radius texels further.
+		var radius = (pcfSize - 1) / 2;
+		var slopeBias = bias * (1 + radius) * 2 * depth / size;
+		var normalLength = vec3.length(normal);
+		if(normalLength > 0) {
+			var cos = -vec3.dot(normal, direction) / (normalLength * vec3.length(direction));
+			slopeBias /= Math.max(Math.abs(cos), 0.1);
+		}
+
+		var lit = 0;
+		for(var j = -radius; j <= radius; j++) {
+			var texelY = Math.min(size - 1, Math.max(0, y + j));
+			for(var i = -radius; i <= radius; i++) {
+				var texelX = Math.min(size - 1, Math.max(0, x + i));
+				var stored = face[texelY * size + texelX];
+				// Lit if there is no surface or it is not closer to the light.
+				if(stored == framebuffer.maxDistance || 1 / stored >= depth - slopeBias) {
+					lit++;
+				}
+			}
+		}
+		return lit / (pcfSize * pcfSize);
+	}
+
+	/**
+	 * Draw the faces of the shadow map side by side into the lower left corner of the canvas,
+	 * in the order +x, -x, +y, -y, +z, -z. Closer surfaces are brighter, empty texels black.
+	 *
+	 * @parameter ctx 2D context of the canvas.
+	 */
+	function drawDebugView(ctx) {
+		if(faces.length != 6) {
+			return;
+		}
+		var faceSize = Math.min(size, Math.floor(ctx.width / 6));
+		var step = size / faceSize;
+		var imageData = ctx.createImageData(6 * faceSize, faceSize);
+		var data = imageData.data;
+
+		// Range of the distances for the scaling.
+		var min = Infinity;
+		var max = 0;
+		for(var f = 0; f < 6; f++) {
+			for(var i = 0; i < faces[f].length; i++) {
+				if(faces[f][i] != framebuffer.maxDistance) {
+					var distance = 1 / faces[f][i];
+					min = Math.min(min, distance);
+					max = Math.max(max, distance);
+				}
+			}
+		}
+		var range = (max - min) || 1;
+
+		for(var f = 0; f < 6; f++) {
+			for(var y = 0; y < faceSize; y++) {
+				for(var x = 0; x < faceSize; x++) {
+					var stored = faces[f][Math.floor(y * step) * size + Math.floor(x * step)];
+					var grey = 0;
+					if(stored != framebuffer.maxDistance) {
+						grey = 255 - 200 * (1 / stored - min) / range;
+					}
+					var index = (y * 6 * faceSize + f * faceSize + x) * 4;
+					data[index] = grey;
+					data[index + 1] = grey;
+					data[index + 2] = grey;
+					data[index + 3] = 255;
+				}
+			}
+		}
+		ctx.putImageData(imageData, 0, ctx.height - faceSize);
+	}
+
+	/**
+	 * Switch shadows on or off, the shader uses the map when on.
+	 */
+	function setEnabled(_enabled) {
+		enabled = _enabled;
+		shader.setShadowFunction(enabled ? visibility : null);
+	}
+
+	function isEnabled() {
+		return enabled;
+	}
+
+	/**
+	 * @parameter _size one of sizes.
+	 */
+	function setSize(_size) {
+		size = _size;
+	}
+
+	function getSize() {
+		return size;
+	}
+
+	/**
+	 * @parameter _pcfSize one of pcfSizes.
+	 */
+	function setPcfSize(_pcfSize) {
+		pcfSize = _pcfSize;
+	}
+
+	function getPcfSize() {
+		return pcfSize;
+	}
+
+	function setBias(_bias) {
+		bias = _bias;
+	}
+
+	function getBias() {
+		return bias;
+	}
+
+	function getStats() {
+		return stats;
+	}
+
+	/**
+	 * @returns settings and faces of the map, e.g., to post it to a worker, see setData().
+	 */
+	function getData() {
+		return {
+			enabled : enabled,
+			size : size,
+			bias : bias,
+			pcfSize : pcfSize,
+			lightPosition : lightPosition.slice(),
+			faces : enabled ? faces : []
+		};
+	}
+
+	/**
+	 * Use a map rendered elsewhere, see getData().
+	 */
+	function setData(data) {
+		size = data.size;
+		bias = data.bias;
+		pcfSize = data.pcfSize;
+		lightPosition = data.lightPosition;
+		faces = data.faces;
+		setEnabled(data.enabled);
+	}
+
+	// Public API.
+	exports.sizes = sizes;
+	exports.pcfSizes = pcfSizes;
+	exports.render = render;
+	exports.visibility = visibility;
+	exports.drawDebugView = drawDebugView;
+	exports.setEnabled = setEnabled;
+	exports.isEnabled = isEnabled;
+	exports.setSize = setSize;
+	exports.getSize = getSize;
+	exports.setPcfSize = setPcfSize;
+	exports.getPcfSize = getPcfSize;
+	exports.setBias = setBias;
+	exports.getBias = getBias;
+	exports.getStats = getStats;
+	exports.getData = getData;
+	exports.setData = setData;
+});
@@ -0,0 +1,256 @@
+/**
+ * Screen-space ambient occlusion (SSAO).
+ *
+ * The ambient light of a pixel is reduced by the surfaces around it that stick out
+ * in front of it, estimated from the z-buffer after rasterization, see framebuffer.resolve().
+ * A disk of samples around each pixel is compared with the depth of the pixel:
+ *
+ * With deferred shading the G-buffer has the position and normal of each pixel in eye coordinates.
+ * A sample occludes if it lies above the surface, weighted by the cosine to the normal.
+ * Otherwise only the depth (distance from the camera) is known.
+ * Samples are taken in pairs opposite each other, a pair occludes if its mean is closer
+ * than the pixel, thus flat surfaces are not occluded.
+ * In both cases samples farther away than the range are ignored,
+ * as they belong to other objects in front of the pixel and would leave dark halos.
+ *
+ * The result is a buffer with the ambient occlusion of each pixel, 1 is unoccluded.
+ * The shader multiplies the ambient light with it, see shader.setAmbientOcclusion().
+ *
+ * @namespace cog1
+ * @module ssao
+ */
+define(["exports"], function(exports) {
+	"use strict";
+
+	var enabled = false;
+	// Radius of the sample disk in canvas pixels.
+	var radius = 8;
+	// Samples per pixel.
+	var sampleCounts = [4, 8, 16];
+	var sampleCount = 8;
+	// Samples farther away than the range times the radius are ignored.
+	var rangeFactor = 2;
+	// Depth difference in pixel sizes, or cosine with normals,
+	// a sample has to exceed to occlude, against self-occlusion by rounding.
+	// The radius, the range and the depth bias are converted from pixels
+	// to eye coordinates with the size of a pixel at the depth of the pixel.
+	var depthBias = 0.25;
+	var normalBias = 0.1;
+	// Offsets of the samples in the unit disk, see initKernel().
+	var kernel = [];
+	// Ambient occlusion of each pixel of the last compute().
+	var buffer = null;
+
+	// Statistics of the last compute().
+	var stats = {
+		pixels : 0,
+		time : 0
+	};
+
+	/**
+	 * Place the samples on a spiral with the golden angle (Vogel disk),
+	 * they cover the disk evenly for any sample count.
+	 */
+	function initKernel() {
+		kernel = [];
+		var goldenAngle = Math.PI * (3 - Math.sqrt(5));
+		for(var k = 0; k < sampleCount; k++) {
+			var r = Math.sqrt((k + 0.5) / sampleCount);
+			var angle = k * goldenAngle;
+			kernel.push([r * Math.cos(angle), r * Math.sin(angle)]);
+		}
+	}
+
+	/**
+	 * Compute the ambient occlusion of the pixels in the regions.
+	 * Samples may read the depth outside the regions, it is valid from the last frame.
+	 *
+	 * @parameter regions array of rectangles with x, y, xMax, yMax.
+	 * @parameter input object with:
+	 * width and height of the buffer;
+	 * pixelSize, the number of buffer pixels per canvas pixel, e.g., for supersampling;
+	 * pixelsPerEyeUnit, buffer pixels per unit of eye coordinates in x, at distance 1 for perspective projections;
+	 * perspective, true if the pixels per unit shrink with the distance;
+	 * distance, Float32Array with the distance from the camera for each pixel, Infinity for the background;
+	 * position and normal, Float32Array with three components per pixel in eye coordinates,
+	 * and written, Uint8Array with 1 for the pixels that have them, or null without G-buffer.
+	 */
+	function compute(regions, input) {
+		var startDate = Date.now();
+		var width = input.width;
+		var height = input.height;
+		if(buffer == null || buffer.length != width * height) {
+			buffer = new Float32Array(width * height).fill(1);
+		}
+		if(kernel.length != sampleCount) {
+			initKernel();
+		}
+		var pixelRadius = radius * input.pixelSize;
+		// Size of a buffer pixel in eye coordinates, at distance 1 for perspective projections.
+		var unitPixelEyeSize = 1 / input.pixelsPerEyeUnit;
+		var distance = input.distance;
+		var useNormals = input.normal != null;
+		stats.pixels = 0;
+
+		for(var r = 0; r < regions.length; r++) {
+			var rect = regions[r];
+			for(var y = rect.y; y <= rect.yMax; y++) {
+				for(var x = rect.x; x <= rect.xMax; x++) {
+					var pixelIndex = y * width + x;
+					if(distance[pixelIndex] == Infinity) {
+						buffer[pixelIndex] = 1;
+						continue;
+					}
+					var pixelEyeSize = input.perspective ? unitPixelEyeSize * distance[pixelIndex] : unitPixelEyeSize;
+					if(useNormals && input.written[pixelIndex] == 1) {
+						buffer[pixelIndex] = occlusionWithNormal(x, y, input, pixelRadius, pixelEyeSize);
+					} else {
+						buffer[pixelIndex] = occlusionWithDepth(x, y, input, pixelRadius, pixelEyeSize);
+					}
+					stats.pixels++;
+				}
+			}
+		}
+		stats.time = Date.now() - startDate;
+	}
+
+	/**
+	 * @parameter pixelEyeSize size of a pixel in eye coordinates at the depth of the pixel.
+	 * @returns ambient occlusion of pixel x, y from the G-buffer.
+	 */
+	function occlusionWithNormal(x, y, input, pixelRadius, pixelEyeSize) {
+		var width = input.width;
+		var position = input.position;
+		var normal = input.normal;
+		var index = (y * width + x) * 3;
+		var px = position[index], py = position[index + 1], pz = position[index + 2];
+		var nx = normal[index], ny = normal[index + 1], nz = normal[index + 2];
+		var normalLength = Math.sqrt(nx * nx + ny * ny + nz * nz);
+		// The normals are not transformed without lighting.
+		if(normalLength == 0) {
+			return occlusionWithDepth(x, y, input, pixelRadius, pixelEyeSize);
+		}
+		var range = rangeFactor * pixelRadius * pixelEyeSize;
+		var occlusion = 0;
+		for(var k = 0; k < kernel.length; k++) {
+			var sx = Math.round(x + kernel[k][0] * pixelRadius);
+			var sy = Math.round(y + kernel[k][1] * pixelRadius);
+			if(sx < 0 || sy < 0 || sx >= width || sy >= input.height) {
+				continue;
+			}
+			var samplePixelIndex = sy * width + sx;
+			if(input.written[samplePixelIndex] != 1) {
+				continue;
+			}
+			var sampleIndex = samplePixelIndex * 3;
+			var vx = position[sampleIndex] - px;
+			var vy = position[sampleIndex + 1] - py;
+			var vz = position[sampleIndex + 2] - pz;
+			var length = Math.sqrt(vx * vx + vy * vy + vz * vz);
+			if(length == 0 || length > range) {
+				continue;
+			}
+			var cosine = (vx * nx + vy * ny + vz * nz) / (length * normalLength);
+			occlusion += Math.max(0, cosine - normalBias);
+		}
+		return 1 - occlusion / kernel.length;
+	}
+
+	/**
+	 * @returns ambient occlusion of pixel x, y from the depth.
+	 * Every other sample of the kernel is taken with its mirror through the pixel.
+	 * On a plane the mean depth of such a pair is the depth of the pixel, a closer mean is a crease.
+	 *
+	 * @parameter pixelEyeSize size of a pixel in eye coordinates at the depth of the pixel.
+	 */
+	function occlusionWithDepth(x, y, input, pixelRadius, pixelEyeSize) {
+		var d = depthAt(input, x, y);
+		var range = rangeFactor * pixelRadius * pixelEyeSize;
+		var occlusion = 0;
+		var pairs = 0;
+		for(var k = 0; k < kernel.length; k += 2) {
+			var offsetX = Math.round(kernel[k][0] * pixelRadius);
+			var offsetY = Math.round(kernel[k][1] * pixelRadius);
+			var before = depthAt(input, x - offsetX, y - offsetY);
+			var after = depthAt(input, x + offsetX, y + offsetY);
+			pairs++;
+			// Pairs reaching the background or another object far in front do not occlude.
+			if(before == Infinity || after == Infinity || d - before > range || d - after > range) {
+				continue;
+			}
+			// The rasterizer interpolates the depth per row, thus it deviates from the plane
+			// by a part of the depth change from one pixel to the next.
+			var bias = depthBias * pixelEyeSize + Math.abs(after - before) / (2 * Math.max(Math.abs(offsetX), Math.abs(offsetY), 1));
+			if(d - (before + after) / 2 > bias) {
+				occlusion++;
+			}
+		}
+		return 1 - occlusion / pairs;
+	}
+
+	/**
+	 * @returns depth of pixel x, y, Infinity outside the buffer.
+	 */
+	function depthAt(input, x, y) {
+		if(x < 0 || y < 0 || x >= input.width || y >= input.height) {
+			return Infinity;
+		}
+		return input.distance[y * input.width + x];
+	}
+
+	/**
+	 * @returns ambient occlusion of each pixel, 1 is unoccluded, or null before the first compute().
+	 */
+	function getBuffer() {
+		return buffer;
+	}
+
+	function setEnabled(_enabled) {
+		enabled = _enabled;
+	}
+
+	function isEnabled() {
+		return enabled;
+	}
+
+	/**
+	 * @parameter _radius in canvas pixels.
+	 */
+	function setRadius(_radius) {
+		radius = _radius;
+	}
+
+	function getRadius() {
+		return radius;
+	}
+
+	/**
+	 * @parameter count one of sampleCounts.
+	 */
+	function setSampleCount(count) {
+		sampleCount = count;
+	}
+
+	function getSampleCount() {
+		return sampleCount;
+	}
+
+	/**
+	 * @returns object with the pixels computed in the last frame and the time in ms.
+	 */
+	function getStats() {
+		return stats;
+	}
+
+	// Public API.
+	exports.sampleCounts = sampleCounts;
+	exports.compute = compute;
+	exports.getBuffer = getBuffer;
+	exports.setEnabled = setEnabled;
+	exports.isEnabled = isEnabled;
+	exports.setRadius = setRadius;
+	exports.getRadius = getRadius;
+	exports.setSampleCount = setSampleCount;
+	exports.getSampleCount = getSampleCount;
+	exports.getStats = getStats;
+});
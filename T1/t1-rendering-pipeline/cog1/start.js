@@ -61,8 +61,16 @@ require(["dojo", "dojo/parser", "dojo/domReady!"], function(dojo) {
 			["model","cog1/model"],
 			["node","cog1/node"],
 			["raster","cog1/raster"],
+			["clip","cog1/clip"],
 			["shader","cog1/shader"],
 			["framebuffer","cog1/framebuffer"],
+			["parallel","cog1/parallel"],
+			["shadow","cog1/shadow"],
+			["ssao","cog1/ssao"],
+			["postprocess","cog1/postprocess"],
+			["fog","cog1/fog"],
+			["imageExport","cog1/imageExport"],
+			["recorder","cog1/recorder"],
 			["texture","cog1/texture"],
 			["animation","cog1/animation"],
 			// Template data for models (other models are not aliased here)
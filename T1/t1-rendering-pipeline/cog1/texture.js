@@ -11,9 +11,12 @@
  * @namespace cog1.texture
  * @module texture
  */
- define(["exports", "dojo/dom-construct"], function(exports, domConstruct) {
+ define(["exports"], function(exports) {
     "use strict";
 
+	// Loads an image file into RGBA data, see setImageLoader().
+	var imageLoader = loadImage;
+
     /**
      * Sample a color from a texture object (with an image stored in imageData),
      * which must be set as this.
@@ -155,38 +158,69 @@
 			callback();
 			return texture;
 		}
+		// Assume texture are in the "textures" sub-directory.
+		imageLoader("textures/" + textureURL, function(image) {
+			if(image == null) {
+				console.error("Image data could not be loaded: textures/" + textureURL);
+				// Render with the procedural texture instead.
+				texture.sampleProcedural = true;
+				texture.proceduralSampleFunction = sampleProceduralRGB;
+				callback();
+				return;
+			}
+			texture.width = image.width;
+			texture.height = image.height;
+			texture.imageData = image.data;
+			callback();
+		});
+		return texture;
+	}
+
+	/**
+	 * Default image loader of the browser.
+	 * Access to the image data is realized via a texture canvas.
+	 *
+	 * @parameter url of the image relative to the page.
+	 * @parameter callback with an object with width, height and data (RGBA bytes as in ImageData),
+	 *            or null if the data could not be read.
+	 */
+	function loadImage(url, callback) {
 		// Image object to load image as src.
-		texture.image = new Image();
-		texture.image.data = null;
-		texture.image.ready = false;
-		texture.image.crossOrigin = "Anonymous";
-		texture.image.onload = function() {
-			// Set the canvas width and height to the size of the texture image.
-			texture.width = this.width;
-			texture.height = this.height;
-			// Create a canvas to read out pixel/texel from image.
-			texture.canvas = domConstruct.create("canvas", {width:texture.width, height:texture.height}, dojo.body(), "last");
-			var ctx = texture.canvas.getContext('2d');
+		var image = new Image();
+		image.crossOrigin = "Anonymous";
+		image.onload = function() {
+			// Create a canvas with the size of the image to read out pixel/texel from image.
+			var canvas = document.createElement("canvas");
+			canvas.width = this.width;
+			canvas.height = this.height;
+			var ctx = canvas.getContext('2d');
 			// Transfer texture data onto the canvas.
 			ctx.drawImage(this, 0, 0);
 			try {
-				texture.imageData = ctx.getImageData(0, 0, texture.width, texture.height).data;
+				callback(ctx.getImageData(0, 0, this.width, this.height));
 			} catch (ex) {
-				console.error("Image data could not be loaded: textures/" + textureURL);
 				console.error("If on local file protocoll (file:///):");
 				console.error("Try --allow-file-access-from-files with chrome");
+				callback(null);
 			}
-			// Discard the original image as the data is stored on the image canvas as well.
-			texture.image = null;
-			callback();
 		}
-		// Assume texture are in the "textures" sub-directory.
-		texture.image.src = "textures/"+textureURL;
-		return texture;
+		image.src = url;
+	}
+
+	/**
+	 * Replace the image loader, e.g., to read files without a browser.
+	 *
+	 * @parameter loader function(url, callback) as loadImage().
+	 */
+	function setImageLoader(loader) {
+		imageLoader = loader;
 	}
 
 	// Public API.
 	exports.create = create;
+	exports.setImageLoader = setImageLoader;
+	// Sampling, also for textures created elsewhere, e.g., in a worker.
+	exports.sample = sample;
 	// Procedural sample functions.
 	exports.sampleProceduralRGB = sampleProceduralRGB;
 });
@@ -4,9 +4,9 @@
  * @namespace cog1
  * @module ui
  */
-define(["exports", "app", "layout", "scene", "scenegraph", "animation", "shader", "dojo", "dojo/sniff", "dojo/html", "dojo/on", "dojo/dom", "dojo/dom-construct", "dojo/dom-style", "dojo/dom-prop", "dojo/mouse", "dijit/form/Button", "dijit/form/ToggleButton", "dijit/form/RadioButton", "dijit/form/Slider", "dijit/form/VerticalSlider", "dijit/form/HorizontalSlider", "dijit/form/TextBox", "dojo/domReady!", "glMatrix"],
+define(["exports", "app", "layout", "scene", "scenegraph", "animation", "shader", "raster", "framebuffer", "parallel", "shadow", "ssao", "fog", "postprocess", "imageExport", "recorder", "dojo", "dojo/sniff", "dojo/html", "dojo/on", "dojo/dom", "dojo/dom-construct", "dojo/dom-style", "dojo/dom-prop", "dojo/mouse", "dijit/form/Button", "dijit/form/ToggleButton", "dijit/form/RadioButton", "dijit/form/Slider", "dijit/form/VerticalSlider", "dijit/form/HorizontalSlider", "dijit/form/TextBox", "dojo/domReady!", "glMatrix"],
 // Local parameters for required modules.
-function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sniff, html, on, dom, domConstruct, domStyle, domProp, mouse) {
+function ui(exports, app, layout, scene, scenegraph, animation, shader, raster, framebuffer, parallel, shadow, ssao, fog, postprocess, imageExport, recorder, dojo, sniff, html, on, dom, domConstruct, domStyle, domProp, mouse) {
     "use strict";
 
     // Transformation deltas for on step.
@@ -31,6 +31,13 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
     var mousePosX;
     var mousePosY;
     var currMouseButton;
+    // The mouse moved while a button was pressed, thus the click is no selection.
+    var mouseDragged = false;
+
+    // Radio buttons for the interactive node by node name, see initScenegraphButtons().
+    var nodeRadioButtons = {};
+    // Readout of what is under the mouse on the canvas, see onMouseMove().
+    var pickText;
 
     // Connect keys with modifier keys to callbacks.
     var keyCallbacks = {
@@ -53,6 +60,49 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
     var helpContainer;
     var headerContainer;
 
+    // Files to export, see imageExport.exportFrame().
+    var exportOptions = {
+        color : "png",
+        depth : null,
+        depthVisualization : null,
+        overlay : false
+    };
+    // Size of the exported images relative to the canvas.
+    var exportScales = [1, 2, 4];
+    var exportScale = 1;
+
+    // Choices for the clipping planes of the projection, null is the default of the scene.
+    var nearPlanes = [0.01, 1, 100];
+    // The orthogonal projection does not use near, see scene.setProjection().
+    var nearPlaneButtons = [];
+    var farPlanes = [null, 10000, 1000000];
+    // Choices to resolve z-fights, see framebuffer.setDepthEpsilon().
+    var depthEpsilons = [-0.0001, 0, 0.0001];
+    // Choices for the polygon offset, see framebuffer.setPolygonOffset().
+    var polygonOffsets = {
+        off : { factor : 0, units : 0 },
+        small : { factor : 1, units : 1 },
+        large : { factor : 2, units : 10 }
+    };
+    // Polygon offsets for the interactive node, e.g., for a decal, null is the default offset.
+    var nodePolygonOffsets = {
+        "default" : null,
+        front : { factor : 1, units : 10 },
+        back : { factor : -1, units : -10 }
+    };
+
+    // Recording of the animation, see recorder.start().
+    var recordOptions = {
+        format : "gif",
+        frames : 50,
+        timeStep : 1
+    };
+    var recordFrameCounts = [25, 50, 100];
+    var recordTimeSteps = [0.5, 1, 2];
+    // Shows the progress of the recording.
+    var recordProgressText;
+    var runAnimationButton;
+
     // Values of the slider have to be set in postSceneInit.
     var lightSliders = [];
     var ambientLightIntensitySlider;
@@ -66,6 +116,10 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
      * i.e. after each render-update.
      */
     function update() {
+        if (recordProgressText) {
+            var progress = recorder.getProgress();
+            html.set(recordProgressText, recorder.isRecording() ? "recorded " + progress.recorded + " of " + progress.total : "");
+        }
     }
 
     /**
@@ -82,7 +136,22 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
         initDisplayButtons();
         initTransformationButtons();
         initEffektButtons();
-        //initProjectionControls();
+        initProjectionControls();
+        initRasterizerControls();
+        initSupersamplingControls();
+        initMultisamplingControls();
+        initParallelControls();
+        initLineControls();
+        initTransparencyControls();
+        initStencilControls();
+        initPolygonOffsetControls();
+        initShadowControls();
+        initAmbientOcclusionControls();
+        initFogControls();
+        initHdrControls();
+        initPostprocessControls();
+        initExportControls();
+        initRecorderControls();
 
 		// BEGIN exercise Shading       
        	// Comment this in. 
@@ -91,6 +160,7 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
 		// END exercise Shading        
         
         initScenegraphButtons();
+        initPickControls();
         initMouseEvents();
         intiHelpText();
     }
@@ -193,6 +263,8 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
         createToggleButton("matrices", scene.toggleDisplayMatrices, scene.getDisplayMatrices(), false);
         // Toggle show z-buffer debug.
         createToggleButton("show z-buffer", scene.toggleDebugZBuffer, scene.getDebug_zBuffer());
+        // Toggle outline the dirty regions of the framebuffer.
+        createToggleButton("dirty regions", scene.toggleDebugDirtyRegions, scene.getDebug_dirtyRegions(), false);
         // Toggle show debug normals.
         createToggleButton("normals", scene.toggleDebugNormals, scene.getDisplayNormals(), false);
         // Toggle show debug edges.
@@ -215,7 +287,7 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
             scene.setUpToDate();
         }, false);
         // Start and stop animations.
-        createToggleButton("run animations", app.toggleRunAnimation, app.getRunAnimation(), false);
+        runAnimationButton = createToggleButton("run animations", app.toggleRunAnimation, app.getRunAnimation(), false);
     }
 
     /**
@@ -232,11 +304,525 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
             var callback = ( function(_name) {
                     return function() {
                         scene.setProjectionType(_name);
+                        updateNearPlaneButtons();
                         scene.setUpToDate();
                     }
                 }(name));
             createRadioButton("projection", name, callback, checked, false);
         });
+        br();
+        // Affine or perspective-correct interpolation on polygons.
+        createToggleButton("perspective correct", scene.togglePerspectiveCorrect, scene.getPerspectiveCorrect(), false);
+        initDepthControls();
+    }
+
+    /**
+     * Depth range and precision of the z-buffer.
+     */
+    function initDepthControls() {
+        label("near (not for ortho): ");
+        nearPlaneButtons = [];
+        nearPlanes.forEach(function(near) {
+            var callback = ( function(_near) {
+                    return function() {
+                        scene.setNearPlane(_near);
+                        scene.setUpToDate();
+                    }
+                }(near));
+            nearPlaneButtons.push(createRadioButton("nearPlane", near, callback, scene.getNearPlane() == near, false));
+        });
+        updateNearPlaneButtons();
+        br();
+        label("far: ");
+        farPlanes.forEach(function(far) {
+            var callback = ( function(_far) {
+                    return function() {
+                        scene.setFarPlane(_far);
+                        scene.setUpToDate();
+                    }
+                }(far));
+            createRadioButton("farPlane", far == null ? "canvas width" : far, callback, scene.getFarPlane() == far, false);
+        });
+        br();
+        createToggleButton("reversed-z", scene.toggleReversedZ, scene.getReversedZ(), false);
+        label(" z-fight epsilon: ");
+        depthEpsilons.forEach(function(epsilon) {
+            var callback = ( function(_epsilon) {
+                    return function() {
+                        framebuffer.setDepthEpsilon(_epsilon);
+                        scene.setUpToDate();
+                    }
+                }(epsilon));
+            createRadioButton("depthEpsilon", epsilon, callback, framebuffer.getDepthEpsilon() == epsilon, false);
+        });
+        br();
+    }
+
+    /**
+     * Disable the near plane choices for the orthogonal projection,
+     * which maps as far behind the camera as in front of it.
+     */
+    function updateNearPlaneButtons() {
+        var disabled = scene.isProjectionType("ortho");
+        nearPlaneButtons.forEach(function(button) {
+            button.set("disabled", disabled);
+        });
+    }
+
+    /**
+     * Change the algorithm to fill polygons.
+     */
+    function initRasterizerControls() {
+        p();
+        label("rasterizer: ");
+        br();
+        var currentRasterizerName = raster.getRasterizerName();
+        raster.rasterizerNames.forEach(function(name) {
+            var checked = currentRasterizerName == name;
+            var callback = ( function(_name) {
+                    return function() {
+                        raster.setRasterizerName(_name);
+                        scene.setUpToDate();
+                    }
+                }(name));
+            createRadioButton("rasterizer", name, callback, checked, false);
+        });
+        br();
+        // Shade each fragment while rasterizing or each visible pixel afterwards.
+        createToggleButton("deferred shading", scene.toggleDeferredShading, scene.getDeferredShading(), false);
+    }
+
+    /**
+     * Change the supersampling factor and the downsampling filter.
+     */
+    function initSupersamplingControls() {
+        p();
+        label("supersampling: ");
+        br();
+        var currentSupersampling = scene.getSupersampling();
+        scene.supersamplingFactors.forEach(function(factor) {
+            var checked = currentSupersampling == factor;
+            var callback = ( function(_factor) {
+                    return function() {
+                        scene.setSupersampling(_factor);
+                    }
+                }(factor));
+            createRadioButton("supersampling", factor + "x", callback, checked, false);
+        });
+        br();
+        var currentFilterName = framebuffer.getDownsamplingFilterName();
+        framebuffer.downsamplingFilterNames.forEach(function(name) {
+            var checked = currentFilterName == name;
+            var callback = ( function(_name) {
+                    return function() {
+                        framebuffer.setDownsamplingFilterName(_name);
+                        scene.setUpToDate();
+                    }
+                }(name));
+            createRadioButton("downsamplingFilter", name, callback, checked, false);
+        });
+    }
+
+    /**
+     * Change the number of coverage samples per pixel.
+     */
+    function initMultisamplingControls() {
+        p();
+        label("multisampling: ");
+        br();
+        var currentMultisampling = scene.getMultisampling();
+        framebuffer.multisamplingCounts.forEach(function(count) {
+            var checked = currentMultisampling == count;
+            var callback = ( function(_count) {
+                    return function() {
+                        scene.setMultisampling(_count);
+                    }
+                }(count));
+            createRadioButton("multisampling", count + "x", callback, checked, false);
+        });
+    }
+
+    /**
+     * Change the number of Web Workers that rasterize in parallel, 0 for none.
+     */
+    function initParallelControls() {
+        p();
+        label("parallel rasterization (workers): ");
+        br();
+        var currentWorkerCount = parallel.getWorkerCount();
+        parallel.workerCounts.forEach(function(count) {
+            var checked = currentWorkerCount == count;
+            var callback = ( function(_count) {
+                    return function() {
+                        parallel.setWorkerCount(_count);
+                        scene.setUpToDate();
+                    }
+                }(count));
+            createRadioButton("workers", String(count), callback, checked, false);
+        });
+    }
+
+    /**
+     * Change the style of lines, i.e. edges, normals and grid.
+     */
+    function initLineControls() {
+        p();
+        label("lines: ");
+        br();
+        var currentLineModeName = raster.getLineModeName();
+        raster.lineModeNames.forEach(function(name) {
+            var checked = currentLineModeName == name;
+            var callback = ( function(_name) {
+                    return function() {
+                        raster.setLineModeName(_name);
+                        scene.setUpToDate();
+                    }
+                }(name));
+            createRadioButton("lineMode", name, callback, checked, false);
+        });
+        br();
+        var currentDashPatternName = raster.getDashPatternName();
+        raster.getDashPatternNames().forEach(function(name) {
+            var checked = currentDashPatternName == name;
+            var callback = ( function(_name) {
+                    return function() {
+                        raster.setDashPatternName(_name);
+                        scene.setUpToDate();
+                    }
+                }(name));
+            createRadioButton("dashPattern", name, callback, checked, false);
+        });
+        createSlider(raster.getLineWidth(), 1, 5, 5, "line width: ", function(value) {
+            raster.setLineWidth(value);
+            scene.setUpToDate();
+        });
+    }
+
+    function initTransparencyControls() {
+        createSlider(1, 0, 1, 11, "opacity of interactive node: ", function(value) {
+            var interactiveNode = scenegraph.getInteractiveNode();
+            if (interactiveNode) {
+                interactiveNode.setOpacity(value);
+            }
+            scene.setUpToDate();
+        }, true);
+    }
+
+    /**
+     * Stencil settings for the interactive node, see framebuffer.setStencil().
+     * A node set to "mask" or "write" marks its pixels, later nodes
+     * set to "inside" or "outside" are only drawn inside or outside of them.
+     */
+    function initStencilControls() {
+        var presets = {
+            none: null,
+            mask: { func: "always", ref: 1, zPass: "replace", stencilOnly: true },
+            write: { func: "always", ref: 1, zPass: "replace" },
+            inside: { func: "equal", ref: 1 },
+            outside: { func: "notequal", ref: 1 }
+        };
+        p();
+        label("stencil of interactive node: ");
+        br();
+        Object.keys(presets).forEach(function(name) {
+            var callback = ( function(_name) {
+                    return function() {
+                        var interactiveNode = scenegraph.getInteractiveNode();
+                        if (interactiveNode) {
+                            interactiveNode.setStencil(presets[_name]);
+                        }
+                        scene.setUpToDate();
+                    }
+                }(name));
+            createRadioButton("stencil", name, callback, name == "none", false);
+        });
+    }
+
+    /**
+     * Polygon offset against z-fights of edges and coplanar polygons, see framebuffer.setPolygonOffset().
+     * The edge offset pulls the strokes of the polygons in front of their fill,
+     * the default offset applies to all nodes without an offset of their own.
+     */
+    function initPolygonOffsetControls() {
+        var edgeOffset = framebuffer.getEdgeOffset();
+        var defaultOffset = framebuffer.getDefaultPolygonOffset();
+        p();
+        label("edge offset: ");
+        Object.keys(polygonOffsets).forEach(function(name) {
+            var callback = ( function(_name) {
+                    return function() {
+                        framebuffer.setEdgeOffset(polygonOffsets[_name]);
+                        scene.setUpToDate();
+                    }
+                }(name));
+            var checked = polygonOffsets[name].factor == edgeOffset.factor && polygonOffsets[name].units == edgeOffset.units;
+            createRadioButton("edgeOffset", name, callback, checked, false);
+        });
+        br();
+        label("polygon offset: ");
+        Object.keys(polygonOffsets).forEach(function(name) {
+            var callback = ( function(_name) {
+                    return function() {
+                        framebuffer.setDefaultPolygonOffset(polygonOffsets[_name]);
+                        scene.setUpToDate();
+                    }
+                }(name));
+            var checked = polygonOffsets[name].factor == defaultOffset.factor && polygonOffsets[name].units == defaultOffset.units;
+            createRadioButton("defaultPolygonOffset", name, callback, checked, false);
+        });
+        br();
+        label("offset of interactive node: ");
+        Object.keys(nodePolygonOffsets).forEach(function(name) {
+            var callback = ( function(_name) {
+                    return function() {
+                        var interactiveNode = scenegraph.getInteractiveNode();
+                        if (interactiveNode) {
+                            interactiveNode.setPolygonOffset(nodePolygonOffsets[_name]);
+                        }
+                        scene.setUpToDate();
+                    }
+                }(name));
+            createRadioButton("nodePolygonOffset", name, callback, name == "default", false);
+        });
+    }
+
+    /**
+     * Shadows of the point light, see module shadow.
+     */
+    function initShadowControls() {
+        p();
+        createToggleButton("shadows", scene.toggleShadows, scene.getShadows(), false);
+        createToggleButton("show shadow map", scene.toggleDebugShadowMap, scene.getDebug_shadowMap());
+        label("shadow PCF: ");
+        br();
+        var currentPcfSize = shadow.getPcfSize();
+        shadow.pcfSizes.forEach(function(pcfSize) {
+            var checked = currentPcfSize == pcfSize;
+            var callback = ( function(_pcfSize) {
+                    return function() {
+                        shadow.setPcfSize(_pcfSize);
+                        scene.setUpToDate();
+                    }
+                }(pcfSize));
+            createRadioButton("shadowPcf", pcfSize + "x" + pcfSize, callback, checked, false);
+        });
+    }
+
+    /**
+     * Screen-space ambient occlusion, see module ssao.
+     */
+    function initAmbientOcclusionControls() {
+        p();
+        createToggleButton("SSAO", scene.toggleAmbientOcclusion, scene.getAmbientOcclusion(), false);
+        createToggleButton("show AO", scene.toggleDebugAmbientOcclusion, scene.getDebug_ambientOcclusion());
+        label("SSAO samples: ");
+        br();
+        var currentSampleCount = ssao.getSampleCount();
+        ssao.sampleCounts.forEach(function(count) {
+            var checked = currentSampleCount == count;
+            var callback = ( function(_count) {
+                    return function() {
+                        ssao.setSampleCount(_count);
+                        scene.setUpToDate();
+                    }
+                }(count));
+            createRadioButton("ssaoSamples", count + "", callback, checked, false);
+        });
+        createSlider(ssao.getRadius(), 1, 32, 32, "SSAO radius: ", function(value) {
+            ssao.setRadius(value);
+            scene.setUpToDate();
+        });
+    }
+
+    /**
+     * Fog and depth cueing, see module fog.
+     * Start and end are distances from 0 at the near to 1 at the far plane.
+     */
+    function initFogControls() {
+        p();
+        label("fog: ");
+        br();
+        var currentModeName = fog.getModeName();
+        fog.modeNames.forEach(function(name) {
+            var checked = currentModeName == name;
+            var callback = ( function(_name) {
+                    return function() {
+                        fog.setModeName(_name);
+                        scene.setUpToDate();
+                    }
+                }(name));
+            createRadioButton("fogMode", name, callback, checked, false);
+        });
+        br();
+        var currentColorName = fog.getColorName();
+        fog.getColorNames().forEach(function(name) {
+            var checked = currentColorName == name;
+            var callback = ( function(_name) {
+                    return function() {
+                        fog.setColor(_name);
+                        scene.setUpToDate();
+                    }
+                }(name));
+            createRadioButton("fogColor", name, callback, checked, false);
+        });
+        createSlider(fog.getStart(), 0, 1, 11, "fog start: ", function(value) {
+            fog.setStart(value);
+            scene.setUpToDate();
+        }, true);
+        createSlider(fog.getEnd(), 0, 1, 11, "fog end: ", function(value) {
+            fog.setEnd(value);
+            scene.setUpToDate();
+        }, true);
+        createSlider(fog.getDensity(), 0, 16, 33, "fog density: ", function(value) {
+            fog.setDensity(value);
+            scene.setUpToDate();
+        }, true);
+    }
+
+    /**
+     * Float color buffer with tone mapping and exposure, see framebuffer.setHdr().
+     */
+    function initHdrControls() {
+        p();
+        createToggleButton("HDR", scene.toggleHdr, scene.getHdr(), false);
+        label("tone mapping: ");
+        br();
+        var currentToneMappingName = framebuffer.getToneMappingName();
+        framebuffer.toneMappingNames.forEach(function(name) {
+            var checked = currentToneMappingName == name;
+            var callback = ( function(_name) {
+                    return function() {
+                        framebuffer.setToneMappingName(_name);
+                        scene.setUpToDate();
+                    }
+                }(name));
+            createRadioButton("toneMapping", name, callback, checked, false);
+        });
+        createSlider(framebuffer.getExposure(), 0, 8, 33, "exposure: ", function(value) {
+            framebuffer.setExposure(value);
+            scene.setUpToDate();
+        }, true);
+    }
+
+    /**
+     * Effects of the post-processing chain, see module postprocess.
+     * They run in the order of the buttons.
+     */
+    function initPostprocessControls() {
+        p();
+        label("post-processing: ");
+        postprocess.getEffectNames().forEach(function(name) {
+            createCheckBox(name, function(checked) {
+                if(postprocess.isEnabled(name) != checked) {
+                    postprocess.toggleEffect(name);
+                }
+                scene.setUpToDate();
+            }, postprocess.isEnabled(name));
+        });
+    }
+
+    /**
+     * Export of the frame as image files, see module imageExport.
+     */
+    function initExportControls() {
+        p();
+        label("export color: ");
+        imageExport.colorFormats.forEach(function(format) {
+            var callback = ( function(_format) {
+                    return function() {
+                        exportOptions.color = _format;
+                    }
+                }(format));
+            createRadioButton("exportColor", format, callback, exportOptions.color == format, false);
+        });
+        br();
+        createCheckBox("z-buffer (PFM)", function(checked) {
+            exportOptions.depth = checked ? "pfm" : null;
+        }, exportOptions.depth != null);
+        createCheckBox("z-buffer view (16-bit PNG)", function(checked) {
+            exportOptions.depthVisualization = checked ? "png" : null;
+        }, exportOptions.depthVisualization != null);
+        createCheckBox("overlay", function(checked) {
+            exportOptions.overlay = checked;
+        }, exportOptions.overlay);
+        label("export size: ");
+        exportScales.forEach(function(scale) {
+            var callback = ( function(_scale) {
+                    return function() {
+                        exportScale = _scale;
+                    }
+                }(scale));
+            createRadioButton("exportScale", scale + "x", callback, exportScale == scale, false);
+        });
+        br();
+        createButton("export", function() {
+            var ctx = scene.getCtx();
+            exportOptions.width = ctx.width * exportScale;
+            exportOptions.height = ctx.height * exportScale;
+            var files = imageExport.exportFrame(exportOptions);
+            if(files == null) {
+                console.warn("Export: the frame is not finished yet.");
+                return;
+            }
+            imageExport.download(files);
+        });
+    }
+
+    /**
+     * Record the animation, see module recorder.
+     * The animation loop is paused while recording.
+     */
+    function initRecorderControls() {
+        p();
+        label("record: ");
+        recorder.formats.forEach(function(format) {
+            var callback = ( function(_format) {
+                    return function() {
+                        recordOptions.format = _format;
+                    }
+                }(format));
+            createRadioButton("recordFormat", format, callback, recordOptions.format == format, false);
+        });
+        br();
+        label("frames: ");
+        recordFrameCounts.forEach(function(frames) {
+            var callback = ( function(_frames) {
+                    return function() {
+                        recordOptions.frames = _frames;
+                    }
+                }(frames));
+            createRadioButton("recordFrames", frames, callback, recordOptions.frames == frames, false);
+        });
+        br();
+        label("time step: ");
+        recordTimeSteps.forEach(function(timeStep) {
+            var callback = ( function(_timeStep) {
+                    return function() {
+                        recordOptions.timeStep = _timeStep;
+                    }
+                }(timeStep));
+            createRadioButton("recordTimeStep", timeStep, callback, recordOptions.timeStep == timeStep, false);
+        });
+        br();
+        createButton("start recording", function() {
+            // A running recording restores the animation loop when it stops.
+            recorder.stop();
+            var animationWasRunning = app.getRunAnimation();
+            if (animationWasRunning) {
+                app.toggleRunAnimation();
+                runAnimationButton.set("checked", false);
+            }
+            recorder.start(recordOptions, function(files) {
+                imageExport.download(files);
+                if (animationWasRunning) {
+                    app.toggleRunAnimation();
+                    runAnimationButton.set("checked", true);
+                }
+            });
+        }, false);
+        createButton("stop recording", recorder.stop, false);
+        recordProgressText = text("");
+        br();
     }
 
     function initShaderControls() {
@@ -257,6 +843,16 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
         }
     }
 
+    /**
+     * Readout of the node, polygon, depth and color under the mouse, see scene.pick().
+     * A click on the canvas selects the interactive node.
+     */
+    function initPickControls() {
+        p();
+        label("under the mouse: ");
+        pickText = text("");
+    }
+
     /**
      * Buttons and selectors for interactive an visible models.
      * On start only the interactive model is visible.
@@ -279,7 +875,7 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
                         scene.setUpToDate();
                     }
                 }(name));
-            createRadioButton("node", "", callback, checked, false);
+            nodeRadioButtons[name] = createRadioButton("node", "", callback, checked, false);
 
             // Checkboxes for visibility.
             var checked = scenegraph.isNodeVisibleByName(name);
@@ -718,6 +1314,7 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
         on(canvasDiv, "mousedown", onMouseDown);
         on(canvasDiv, "mouseup", onMouseUp);
         on(canvasDiv, "mousemove", onMouseMove);
+        on(canvasDiv, "click", onMouseClick);
         // Register key event handler function.
         // Key events: keydown, keypress, keyup.
         on(dojo.body(), "keydown", handleKeyEvent);
@@ -750,6 +1347,7 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
         mousePosX = e.clientX;
         mousePosY = e.clientY;
         currMouseButton = e.button;
+        mouseDragged = false;
         // console.log("currMouseButton "+currMouseButton);
     }
 
@@ -761,7 +1359,48 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
         // console.log("currMouseButton "+currMouseButton);
     }
 
+    /**
+     * @returns position of the mouse event in canvas coordinates.
+     */
+    function getCanvasPosition(e) {
+        var rect = dom.byId("canvas").getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    }
+
+    /**
+     * Select the node under the mouse as interactive node, unless the mouse was dragged.
+     */
+    function onMouseClick(e) {
+        if (mouseDragged) {
+            return;
+        }
+        var position = getCanvasPosition(e);
+        var node = scene.selectNodeAt(position[0], position[1]);
+        if (node != null && nodeRadioButtons[node.name]) {
+            nodeRadioButtons[node.name].set("checked", true);
+        }
+    }
+
+    /**
+     * Show node name, polygon index, depth and color under the mouse.
+     */
+    function updatePickText(e) {
+        var position = getCanvasPosition(e);
+        var picked = scene.pick(position[0], position[1]);
+        var str = "";
+        if (picked != null) {
+            if (picked.node != null) {
+                str += picked.node.name + ", polygon " + picked.polygonIndex + ", ";
+            }
+            str += "depth " + (picked.depth == null ? "background" : picked.depth.toFixed(4));
+            str += ", rgba " + picked.rgba.join(" ");
+        }
+        html.set(pickText, str);
+    }
+
     function onMouseMove(e) {
+        updatePickText(e);
+
         var interactiveNode = scenegraph.getInteractiveNode();
         // Check if we have a node to interact with.
         if (interactiveNode == null) {
@@ -782,6 +1421,9 @@ function ui(exports, app, layout, scene, scenegraph, animation, shader, dojo, sn
         // currMouseButton = e.button;
         var diffX = mousePosXNew - mousePosX;
         var diffY = mousePosYNew - mousePosY;
+        if (diffX != 0 || diffY != 0) {
+            mouseDragged = true;
+        }
         mousePosX = mousePosXNew;
         mousePosY = mousePosYNew;
 
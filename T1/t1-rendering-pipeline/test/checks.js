@@ -0,0 +1,405 @@
+/**
+ * Headless regression checks of the rendering pipeline, see cog1/headless.js.
+ *
+ * The golden images in golden.js compare single frames with fixed settings.
+ * These checks cover what a single frame does not show:
+ * changes of the settings between frames, options and rendering paths off the default.
+ * Each check renders the default scene and throws an error if the pipeline fails,
+ * options it changes are restored afterwards.
+ * A check that takes a second parameter is asynchronous,
+ * it calls it when it is finished, with the error if it failed.
+ *
+ * Usage:
+ *   node test/checks.js [--filter text]
+ * --filter runs only the checks whose name contains the text.
+ * The exit code is 1 if a check fails.
+ *
+ * @namespace cog1
+ */
+"use strict";
+
+var headless = require("../cog1/headless.js");
+
+// Size of the canvas, the default scene fills most of it.
+var width = 400;
+var height = 300;
+var background = "rgb(255, 255, 255)";
+
+/**
+ * Render the scene again into the canvas of the last initPipeline().
+ */
+function renderAgain(scene) {
+	scene.setUpToDate(false);
+	for(var i = 0; i < 10; i++) {
+		if(scene.render()) {
+			return;
+		}
+	}
+	throw new Error("Scene is not up to date after " + i + " frames.");
+}
+
+/**
+ * @returns number of pixels that differ in any channel.
+ */
+function countDifferentPixels(a, b) {
+	var pixels = 0;
+	for(var i = 0; i < a.length; i += 4) {
+		if(a[i] != b[i] || a[i + 1] != b[i + 1] || a[i + 2] != b[i + 2] || a[i + 3] != b[i + 3]) {
+			pixels++;
+		}
+	}
+	return pixels;
+}
+
+/**
+ * @returns number of pixels that are not transparent, i.e., painted by the framebuffer.
+ */
+function countPaintedPixels(canvas) {
+	var data = canvas.getContext("2d").data;
+	var pixels = 0;
+	for(var i = 3; i < data.length; i += 4) {
+		if(data[i] != 0) {
+			pixels++;
+		}
+	}
+	return pixels;
+}
+
+/**
+ * Start workers that take the frames but never answer, Node.js has no Web Workers.
+ * Enough for the frames that must not use them, see scene.renderOffscreen().
+ * Stop them with parallel.setWorkerCount(0).
+ */
+function startIdleWorkers(parallel, count) {
+	global.Worker = function() {
+	};
+	global.Worker.prototype.postMessage = function() {
+	};
+	global.Worker.prototype.terminate = function() {
+	};
+	try {
+		parallel.setWorkerCount(count);
+	} finally {
+		delete global.Worker;
+	}
+}
+
+/**
+ * Render the scene offscreen into a new canvas, see scene.renderOffscreen().
+ *
+ * @returns copy of the pixels of the offscreen canvas.
+ */
+function renderOffscreen(scene, offscreenWidth, offscreenHeight) {
+	var data = null;
+	scene.renderOffscreen(headless.createCanvas(offscreenWidth, offscreenHeight), function(offscreenCtx) {
+		data = offscreenCtx.data.slice();
+	});
+	return data;
+}
+
+/**
+ * @returns sum of the differences of the color channels, in units of a full channel.
+ */
+function sumDifferences(a, b) {
+	var sum = 0;
+	for(var i = 0; i < a.length; i += 4) {
+		sum += Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2]);
+	}
+	return sum / 255;
+}
+
+/**
+ * Transparent pixels have no defined color, thus the colors are compared on the white background.
+ *
+ * @returns number of pixels that differ in color by more than one in any channel.
+ */
+function countDifferentColors(a, b) {
+	var pixels = 0;
+	for(var i = 0; i < a.length; i += 4) {
+		for(var c = 0; c < 3; c++) {
+			if(Math.abs((a[i + c] - 255) * a[i + 3] - (b[i + c] - 255) * b[i + 3]) / 255 > 1) {
+				pixels++;
+				break;
+			}
+		}
+	}
+	return pixels;
+}
+
+function assert(condition, message) {
+	if(!condition) {
+		throw new Error(message);
+	}
+}
+
+// Checks with name and run function, which gets the loaded modules
+// and for asynchronous checks the function to call when done.
+var checks = [{
+	// The framebuffer is reallocated smaller and must not reset the regions of the larger one.
+	name : "supersampling change between frames",
+	run : function(modules) {
+		var scene = modules.scene;
+		var canvas = headless.createCanvas(width, height);
+		scene.initPipeline(canvas, background);
+		scene.setSupersampling(2);
+		try {
+			renderAgain(scene);
+		} finally {
+			scene.setSupersampling(1);
+		}
+		renderAgain(scene);
+		var fresh = headless.renderFrame(width, height, background);
+		assert(countPaintedPixels(fresh) > 0, "the default scene is empty");
+		var pixels = countDifferentPixels(canvas.getContext("2d").data, fresh.getContext("2d").data);
+		assert(pixels == 0, pixels + " pixels differ from a fresh frame");
+	}
+}, {
+	// Lines are as wide in canvas pixels with supersampling, thus the edges do not fade when downsampled.
+	name : "line width with supersampling",
+	run : function(modules) {
+		var scene = modules.scene;
+		var canvas = headless.createCanvas(width, height);
+		scene.initPipeline(canvas, background);
+		// Difference the edges make to the frame, with the given supersampling factor.
+		function edgeContrast(supersampling) {
+			var frames = [];
+			scene.setSupersampling(supersampling);
+			try {
+				renderAgain(scene);
+				frames.push(canvas.getContext("2d").data.slice());
+				scene.toggleDebugEdges();
+				try {
+					renderAgain(scene);
+					frames.push(canvas.getContext("2d").data.slice());
+				} finally {
+					scene.toggleDebugEdges();
+				}
+			} finally {
+				scene.setSupersampling(1);
+			}
+			return sumDifferences(frames[0], frames[1]);
+		}
+		var expected = edgeContrast(1);
+		assert(expected > 0, "the edges do not change the default scene");
+		[2, 4].forEach(function(supersampling) {
+			var actual = edgeContrast(supersampling);
+			assert(actual > expected * 0.75, "edges fade to " + Math.round(100 * actual / expected) + "% with supersampling " + supersampling);
+		});
+	}
+}, {
+	// All rasterizers cover the same samples, also on the silhouette, see raster.prepareCoverage().
+	// The cube is turned and smaller, thus its silhouette has slanted edges inside the canvas.
+	// Without texture and edges the faces are flat colors, independent of the interpolation.
+	name : "multisampling with each rasterizer",
+	run : function(modules) {
+		var scene = modules.scene;
+		var raster = modules.raster;
+		var node = modules.scenegraph.getInteractiveNode();
+		var rasterizerName = raster.getRasterizerName();
+		var projectionType = scene.getProjectionType();
+		var turn = [0.5, 0.6, 0];
+		var shrink = [-0.6, -0.6, -0.6];
+		scene.initPipeline(headless.createCanvas(width, height), background);
+		scene.setMultisampling(4);
+		scene.setProjectionType("ortho");
+		scene.toggleTexturing();
+		scene.toggleDebugEdges();
+		node.rotate(turn);
+		node.scale(shrink);
+		try {
+			var frames = {};
+			raster.rasterizerNames.forEach(function(name) {
+				raster.setRasterizerName(name);
+				frames[name] = headless.renderFrame(width, height, background).getContext("2d").data.slice();
+			});
+		} finally {
+			node.scale(shrink.map(function(value) {
+				return -value;
+			}));
+			node.rotate(turn.map(function(value) {
+				return -value;
+			}));
+			scene.toggleDebugEdges();
+			scene.toggleTexturing();
+			scene.setProjectionType(projectionType);
+			scene.setMultisampling(1);
+			raster.setRasterizerName(rasterizerName);
+		}
+		raster.rasterizerNames.forEach(function(name) {
+			var pixels = countDifferentColors(frames[name], frames[raster.rasterizerNames[0]]);
+			assert(pixels == 0, name + ": " + pixels + " pixels differ from " + raster.rasterizerNames[0]);
+		});
+	}
+}, {
+	// Deferred shading lights the pixels as the shading function does in the rasterizer.
+	name : "deferred shading with each shading function",
+	run : function(modules) {
+		var scene = modules.scene;
+		var shader = modules.shader;
+		var shadingFunctionName = shader.getShadingFunctionName();
+		try {
+			shader.shadingFunctionNames.forEach(function(name) {
+				shader.setShadingFunctionName(name);
+				var forward = headless.renderFrame(width, height, background);
+				scene.toggleDeferredShading();
+				try {
+					var deferred = headless.renderFrame(width, height, background);
+					// Also with the ambient occlusion, which deferred shading takes from the G-buffer.
+					scene.toggleAmbientOcclusion();
+					try {
+						headless.renderFrame(width, height, background);
+					} finally {
+						scene.toggleAmbientOcclusion();
+					}
+				} finally {
+					scene.toggleDeferredShading();
+				}
+				var pixels = countDifferentPixels(forward.getContext("2d").data, deferred.getContext("2d").data);
+				assert(pixels == 0, name + ": " + pixels + " pixels differ from forward shading");
+			});
+		} finally {
+			shader.setShadingFunctionName(shadingFunctionName);
+		}
+	}
+}, {
+	// The orthogonal projection does not clip the depth, the default scene reaches beyond the canvas width.
+	name : "orthogonal projection in small canvases",
+	run : function(modules) {
+		var scene = modules.scene;
+		var projectionType = scene.getProjectionType();
+		scene.setProjectionType("ortho");
+		try {
+			[[300, 300], [250, 200], [200, 150]].forEach(function(size) {
+				var canvas = headless.renderFrame(size[0], size[1], background);
+				assert(countPaintedPixels(canvas) > 0, "nothing painted at " + size[0] + "x" + size[1]);
+			});
+		} finally {
+			scene.setProjectionType(projectionType);
+		}
+	}
+}, {
+	// Offscreen frames, e.g., exported in another size, are rasterized on the main thread.
+	name : "offscreen frame in parallel mode",
+	run : function(modules) {
+		var scene = modules.scene;
+		var parallel = modules.parallel;
+		scene.initPipeline(headless.createCanvas(width, height), background);
+		var expected = renderOffscreen(scene, width * 2, height * 2);
+		startIdleWorkers(parallel, 2);
+		try {
+			assert(parallel.isEnabled(), "parallel mode is off");
+			var actual = renderOffscreen(scene, width * 2, height * 2);
+		} finally {
+			parallel.setWorkerCount(0);
+		}
+		var pixels = countDifferentPixels(actual, expected);
+		assert(pixels == 0, pixels + " pixels differ from the frame without workers");
+	}
+}, {
+	// Each frame is rendered offscreen in another size, see recorder.start().
+	name : "recording in another size in parallel mode",
+	run : function(modules, done) {
+		var scene = modules.scene;
+		var parallel = modules.parallel;
+		var frameCount = 3;
+		scene.initPipeline(headless.createCanvas(width, height), background);
+		global.require(["recorder"], function(recorder) {
+			startIdleWorkers(parallel, 2);
+			recorder.start({
+				frames : frameCount,
+				format : "png",
+				canvas : headless.createCanvas(width * 2, height * 2)
+			}, function(files) {
+				parallel.setWorkerCount(0);
+				try {
+					assert(files.length == frameCount, files.length + " of " + frameCount + " frames recorded");
+					files.forEach(function(file) {
+						var image = headless.decodePNG(Buffer.from(file.data));
+						assert(image.width == width * 2 && image.height == height * 2, file.name + " is " + image.width + "x" + image.height);
+					});
+				} catch(e) {
+					done(e);
+					return;
+				}
+				done();
+			});
+		});
+	}
+}];
+
+/**
+ * @returns options from the command line with defaults.
+ */
+function parseArguments(args) {
+	var options = {
+		filter : ""
+	};
+	for(var i = 0; i < args.length; i += 2) {
+		var name = args[i].replace(/^--/, "");
+		if(!(name in options) || i + 1 >= args.length) {
+			throw new Error("Unknown option or missing value: " + args[i]);
+		}
+		options[name] = args[i + 1];
+	}
+	return options;
+}
+
+function main() {
+	var options;
+	try {
+		options = parseArguments(process.argv.slice(2));
+	} catch(e) {
+		console.error(e.message);
+		console.error("Usage: node test/checks.js [--filter text]");
+		process.exit(1);
+	}
+
+	var modules = headless.loadPipeline();
+	var selected = checks.filter(function(check) {
+		return check.name.indexOf(options.filter) != -1;
+	});
+	var failed = 0;
+	var index = 0;
+	// Called when the running check is done, see runNext().
+	var done = null;
+
+	// Errors in the timeouts of an asynchronous check,
+	// those after the check is done are already reported.
+	process.on("uncaughtException", function(error) {
+		done(error);
+	});
+
+	// Run the checks one after another, as asynchronous ones continue in timeouts.
+	function runNext() {
+		if(index == selected.length) {
+			console.log((selected.length - failed) + " of " + selected.length + " checks passed.");
+			process.exit(failed > 0 ? 1 : 0);
+		}
+		var check = selected[index++];
+		var finished = false;
+		done = function(error) {
+			if(finished) {
+				return;
+			}
+			finished = true;
+			if(error) {
+				failed++;
+				console.log("FAIL " + check.name + ": " + error.message);
+			} else {
+				console.log("ok   " + check.name);
+			}
+			setTimeout(runNext, 0);
+		};
+		try {
+			check.run(modules, done);
+			if(check.run.length < 2) {
+				done();
+			}
+		} catch(e) {
+			done(e);
+		}
+	}
+	runNext();
+}
+
+main();
@@ -0,0 +1,241 @@
+/**
+ * Golden-image regression test of the rendering pipeline.
+ *
+ * Renders a fixed catalogue of scenes headlessly, see cog1/headless.js,
+ * and compares each frame pixel by pixel with its reference image in test/golden/.
+ * The catalogue covers every model in cog1/modelData, every shading function
+ * and every projection type, and textures for each model and projection type.
+ * While the lighting in cog1/shader.js is left as an exercise, the shading functions
+ * give the same frame as "none". Their references pin this down,
+ * thus an implementation of the lighting shows up as a diff: update the references then.
+ * For a case that fails the frame and a diff image are written to the output directory:
+ * the diff shows the reference faded to grey with the differing pixels in red.
+ * Changes of the settings between frames are checked in checks.js.
+ *
+ * Usage:
+ *   node test/golden.js [--tolerance 0] [--maxPixels 0] [--filter text] [--out test/out] [--update]
+ * --tolerance is the largest difference of a color channel that counts as equal,
+ * --maxPixels the number of differing pixels a case may have,
+ * --filter runs only the cases whose name contains the text,
+ * --update writes the frames as new reference images instead of comparing.
+ * Update the references only for intended changes of the output.
+ * The exit code is 1 if a case fails.
+ *
+ * @namespace cog1
+ */
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var headless = require("../cog1/headless.js");
+
+// Size of the frames, small to keep the references small.
+var width = 160;
+var height = 120;
+var goldenDirectory = path.join(__dirname, "golden");
+// Texture of the textured cases, a PNG image decodes exactly as in the browser.
+var textureURL = "cubeColor.png";
+// Fixed orientation of the models that shows several faces.
+var rotation = [0.5, 0.6, 0];
+// Position and scale of the models by projection type.
+// The frustum is as wide as the canvas at the near plane at 1, thus the models cross it.
+// The perspective projection has a field of view of 1 degree, see mat4.perspective().
+var placements = {
+	ortho : {
+		translate : [0, 0, 0],
+		scale : 50
+	},
+	frustum : {
+		translate : [0, 0, 0],
+		scale : 50
+	},
+	perspective : {
+		translate : [0, 0, -100],
+		scale : 0.5
+	}
+};
+
+/**
+ * @returns cases with name, model, shading function, projection type and texture.
+ */
+function createCatalogue(modules) {
+	var models = fs.readdirSync(path.join(__dirname, "../cog1/modelData")).filter(function(file) {
+		return /\.js$/.test(file);
+	}).map(function(file) {
+		return path.basename(file, ".js");
+	}).sort();
+
+	var catalogue = [];
+	models.forEach(function(model) {
+		modules.scene.projectionTypes.forEach(function(projection) {
+			modules.shader.shadingFunctionNames.forEach(function(shading) {
+				catalogue.push({
+					name : model + "-" + shading + "-" + projection,
+					model : model,
+					shading : shading,
+					projection : projection,
+					texture : false
+				});
+			});
+			catalogue.push({
+				name : model + "-texture-" + projection,
+				model : model,
+				shading : "none",
+				projection : projection,
+				texture : true
+			});
+		});
+	});
+	return catalogue;
+}
+
+/**
+ * Show only the node of the case,
+ * one node per model, texture and projection type is created on first use.
+ *
+ * @returns canvas with the frame of the case.
+ */
+function renderCase(modules, testCase, nodes) {
+	var nodeName = "golden " + testCase.model + (testCase.texture ? " textured " : " ") + testCase.projection;
+	if(!(nodeName in nodes)) {
+		var placement = placements[testCase.projection];
+		var parameter = {
+			scale : placement.scale
+		};
+		if(testCase.texture) {
+			parameter.textureURL = textureURL;
+		}
+		nodes[nodeName] = modules.scenegraph.createNodeWithModel(nodeName, testCase.model, parameter);
+		nodes[nodeName].translate(placement.translate);
+		nodes[nodeName].rotate(rotation);
+	}
+	modules.scenegraph.getNodes().forEach(function(node) {
+		node.setVisible(node === nodes[nodeName]);
+	});
+	modules.shader.setShadingFunctionName(testCase.shading);
+	modules.scene.setProjectionType(testCase.projection);
+	return headless.renderFrame(width, height);
+}
+
+/**
+ * Compare the frame with the reference.
+ *
+ * @returns object with the number of differing pixels and the diff image as RGBA bytes.
+ */
+function compare(actual, reference, tolerance) {
+	var diff = new Uint8ClampedArray(actual.length);
+	var pixels = 0;
+	for(var i = 0; i < actual.length; i += 4) {
+		var differs = false;
+		for(var c = 0; c < 4; c++) {
+			differs = differs || Math.abs(actual[i + c] - reference[i + c]) > tolerance;
+		}
+		if(differs) {
+			pixels++;
+			diff.set([255, 0, 0, 255], i);
+		} else {
+			var grey = 192 + (reference[i] + reference[i + 1] + reference[i + 2]) / 12;
+			diff.set([grey, grey, grey, 255], i);
+		}
+	}
+	return {
+		pixels : pixels,
+		diff : diff
+	};
+}
+
+/**
+ * @returns options from the command line with defaults.
+ */
+function parseArguments(args) {
+	var options = {
+		tolerance : 0,
+		maxPixels : 0,
+		filter : "",
+		out : path.join(__dirname, "out"),
+		update : false
+	};
+	for(var i = 0; i < args.length; i++) {
+		var name = args[i].replace(/^--/, "");
+		if(name == "update") {
+			options.update = true;
+			continue;
+		}
+		if(!(name in options) || i + 1 >= args.length) {
+			throw new Error("Unknown option or missing value: " + args[i]);
+		}
+		i++;
+		options[name] = typeof options[name] == "number" ? parseInt(args[i]) : args[i];
+	}
+	return options;
+}
+
+function main() {
+	var options;
+	try {
+		options = parseArguments(process.argv.slice(2));
+	} catch(e) {
+		console.error(e.message);
+		console.error("Usage: node test/golden.js [--tolerance 0] [--maxPixels 0] [--filter text] [--out test/out] [--update]");
+		process.exit(1);
+	}
+
+	var modules = headless.loadPipeline();
+	var catalogue = createCatalogue(modules).filter(function(testCase) {
+		return testCase.name.indexOf(options.filter) != -1;
+	});
+	var nodes = {};
+	var failed = 0;
+	catalogue.forEach(function(testCase) {
+		var canvas = renderCase(modules, testCase, nodes);
+		var referenceFile = path.join(goldenDirectory, testCase.name + ".png");
+		if(options.update) {
+			fs.mkdirSync(goldenDirectory, {
+				recursive : true
+			});
+			headless.writePNG(referenceFile, canvas);
+			console.log("updated " + testCase.name);
+			return;
+		}
+
+		// Compare as written to the file, i.e., on the background.
+		var actualFile = path.join(options.out, testCase.name + ".png");
+		fs.mkdirSync(options.out, {
+			recursive : true
+		});
+		headless.writePNG(actualFile, canvas);
+		var actual = headless.decodePNG(fs.readFileSync(actualFile)).data;
+		if(!fs.existsSync(referenceFile)) {
+			failed++;
+			console.log("FAIL " + testCase.name + ": no reference image, run with --update");
+			return;
+		}
+		var reference = headless.decodePNG(fs.readFileSync(referenceFile));
+		if(reference.width != width || reference.height != height) {
+			failed++;
+			console.log("FAIL " + testCase.name + ": reference image is " + reference.width + "x" + reference.height);
+			return;
+		}
+		var result = compare(actual, reference.data, options.tolerance);
+		var diffFile = path.join(options.out, testCase.name + "-diff.png");
+		if(result.pixels > options.maxPixels) {
+			failed++;
+			fs.writeFileSync(diffFile, headless.encodePNG(width, height, result.diff));
+			console.log("FAIL " + testCase.name + ": " + result.pixels + " pixels differ, see " + diffFile);
+		} else {
+			// Only images of failed cases are kept.
+			fs.unlinkSync(actualFile);
+			if(fs.existsSync(diffFile)) {
+				fs.unlinkSync(diffFile);
+			}
+			console.log("ok   " + testCase.name);
+		}
+	});
+
+	if(!options.update) {
+		console.log((catalogue.length - failed) + " of " + catalogue.length + " cases passed.");
+	}
+	process.exit(failed > 0 ? 1 : 0);
+}
+
+main();